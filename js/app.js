@@ -4,20 +4,93 @@
 
 // ─── State ───────────────────────────────────────────────
 const state = {
-  nasne: null,
+  nasne: null, // client of the active unit
+  devices: [], // [{ id, name, ip }]
+  clients: new Map(), // deviceId -> NasneClient, connected units only
+  activeDeviceId: null,
+  screenRequests: new AbortController(), // cancels the current screen's requests on leave
+  discovery: {
+    running: false,
+    results: [], // [{ ip, name, udn? }] from the last search
+    rediscoveredAt: 0, // ms, last search for units that moved
+  },
   currentScreen: 'channels',
   currentBroadcastType: 2, // 地デジ
   channels: [],
   selectedChannel: null,
   reservations: [],
+  reservationView: 'timeline', // or 'list'
+  recordingDevices: [], // connected units recording right now, for the header indicator
   quality: 100, // DR
-  pendingDeleteId: null,
-  pendingDeleteType: null,
+  diskWarnGb: 20,
+  diskWarned: false,
   recordings: [],
+  library: {
+    sort: 'date',
+    filterChannel: '',
+    filterGenre: '',
+    filterWatched: 'all',
+    grouped: true,
+    folder: null, // series key of the open folder
+    selecting: false,
+    selected: new Set(), // recording keys picked for bulk delete
+    detail: null, // { recording, scrollTop } while the detail screen is open
+  },
+  epg: {
+    broadcastType: 2, // 地デジ
+    channels: [],
+    channelOffset: 0,
+    windowStart: null, // ms, start of the visible time window
+    loadId: 0, // bumped by every loadEpg(), so a slower earlier load can't overwrite the grid
+    cache: new Map(), // `${type}:${serviceId}:${dayStart}` -> Promise<program[]>
+  },
+  autoReserve: {
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    editingId: null,
+  },
+  upcoming: {
+    entries: null, // [{ program, channel, broadcastingType }]
+    fetchedAt: 0,
+    promise: null,
+  },
   isPlayerOpen: false,
   player: {
     el: null,
     timer: null,
+    recording: null, // what the in-app player is playing, for its position
+    live: null, // { client, channels, index } while watching live TV
+    savedAt: 0,
+    skipForward: 30, // seconds, RIGHT (long enough to skip a CM)
+    skipBack: 10, // seconds, LEFT
+    scrubTarget: null, // seconds, pending seek while LEFT/RIGHT are pressed
+    scrubTimer: null,
+    controlsTimer: null,
+  },
+  playback: {
+    positions: null, // recording key -> last position, loaded on first use
+    external: null, // { recording, startPosition, launchedAt } while the media app plays
+  },
+  queue: {
+    items: [], // recordings to play in a row
+    index: -1, // entry playing or up next, -1 before the queue starts
+    playing: false, // the current playback belongs to the queue
+    countdownTimer: null,
+  },
+  poller: {
+    timer: null,
+    intervalMin: 3,
+    running: false,
+    paused: false, // stopped until playback ends, see resumePolling()
+    snapshots: new Map(), // deviceId -> what the last poll saw, see takePollSnapshot()
+  },
+  thumbnails: {
+    cache: null, // ThumbnailCache
+    observer: null, // IntersectionObserver for lazy loading, if supported
+    urls: new Map(), // recording key -> Promise<object URL|null>
+    active: 0, // fetches in flight
+    waiting: [], // resolvers of fetches waiting for a slot
   },
 };
 
@@ -27,9 +100,21 @@ document.addEventListener('DOMContentLoaded', () => {
   history.replaceState({ screen: 'channels' }, '');
   initTabs();
   initBroadcastTabs();
+  initEpg();
+  initSearch();
+  initReserveOptions();
+  initManualEditor();
+  initReservationEditor();
+  initDeviceStatus();
+  initAutoReservation();
   initSettings();
+  initDiscovery();
   initReservations();
+  initPoller();
   initRecordings();
+  initRecordingDetail();
+  initThumbnails();
+  initPlayback();
   initKeyboard();
   loadSavedSettings();
   console.log('[nasne] App initialized');
@@ -51,13 +136,25 @@ function switchScreen(screenName) {
   document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
   document.querySelector(`.tab-btn[data-screen="${screenName}"]`).classList.add('active');
 
+  state.library.detail = null;
+
   // Push history state for back navigation (unless already at channels)
   if (screenName !== 'channels') {
     history.pushState({ screen: screenName }, '');
   }
 
-  if (screenName === 'reservations' && state.nasne) {
+  // Drop whatever the previous screen was still waiting for
+  state.screenRequests.abort();
+  state.screenRequests = new AbortController();
+
+  if (screenName === 'epg' && state.nasne) {
+    loadEpg();
+  } else if (screenName === 'reservations' && state.nasne) {
     loadReservations();
+  } else if (screenName === 'auto') {
+    renderAutoRules();
+  } else if (screenName === 'settings' && state.nasne) {
+    loadDeviceStatus();
   } else if (screenName === 'recordings' && state.nasne) {
     loadRecordings();
   }
@@ -68,12 +165,12 @@ function switchScreen(screenName) {
 
 // ─── Broadcasting Type Tabs ──────────────────────────────
 function initBroadcastTabs() {
-  document.querySelectorAll('.broadcast-btn').forEach(btn => {
+  document.querySelectorAll('#screen-channels .broadcast-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const type = parseInt(btn.dataset.type, 10);
       state.currentBroadcastType = type;
 
-      document.querySelectorAll('.broadcast-btn').forEach(b => b.classList.remove('active'));
+      document.querySelectorAll('#screen-channels .broadcast-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
 
       if (state.nasne) {
@@ -85,9 +182,9 @@ function initBroadcastTabs() {
 
 // ─── Settings ────────────────────────────────────────────
 function initSettings() {
-  document.getElementById('btn-connect').addEventListener('click', connectToNasne);
+  document.getElementById('btn-connect').addEventListener('click', addDeviceFromForm);
   document.getElementById('nasne-ip').addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') connectToNasne();
+    if (e.key === 'Enter') addDeviceFromForm();
   });
 
   document.querySelectorAll('.quality-btn').forEach(btn => {
@@ -98,19 +195,54 @@ function initSettings() {
       localStorage.setItem('nasne_quality', state.quality);
     });
   });
+
+  initStepper(document.getElementById('skip-forward'), {
+    values: [10, 15, 30, 60, 90],
+    format: sec => `→ ${sec} 秒送り`,
+    onChange: sec => {
+      state.player.skipForward = sec;
+      localStorage.setItem('nasne_skip_forward', sec);
+    },
+  });
+  initStepper(document.getElementById('skip-back'), {
+    values: [5, 10, 15, 30],
+    format: sec => `← ${sec} 秒戻し`,
+    onChange: sec => {
+      state.player.skipBack = sec;
+      localStorage.setItem('nasne_skip_back', sec);
+    },
+  });
 }
 
 function loadSavedSettings() {
-  const savedIp = localStorage.getItem('nasne_ip');
   const savedQuality = localStorage.getItem('nasne_quality');
+  const savedDiskWarn = localStorage.getItem('nasne_disk_warn_gb');
 
-  if (savedIp) {
-    document.getElementById('nasne-ip').value = savedIp;
+  if (savedDiskWarn) {
+    state.diskWarnGb = parseInt(savedDiskWarn, 10);
+  }
+  setStepperValue(document.getElementById('disk-warn-threshold'), state.diskWarnGb);
+
+  const savedSkipForward = localStorage.getItem('nasne_skip_forward');
+  const savedSkipBack = localStorage.getItem('nasne_skip_back');
+  if (savedSkipForward) state.player.skipForward = parseInt(savedSkipForward, 10);
+  if (savedSkipBack) state.player.skipBack = parseInt(savedSkipBack, 10);
+  setStepperValue(document.getElementById('skip-forward'), state.player.skipForward);
+  setStepperValue(document.getElementById('skip-back'), state.player.skipBack);
+
+  const savedPollInterval = localStorage.getItem('nasne_poll_interval_min');
+  if (savedPollInterval) state.poller.intervalMin = parseInt(savedPollInterval, 10);
+  setStepperValue(document.getElementById('poll-interval'), state.poller.intervalMin);
+
+  loadDevices();
+  renderDeviceList();
+  if (state.devices.length > 0) {
     // Auto-connect on load
-    connectToNasne();
+    connectDevices();
   } else {
-    // No saved IP — show settings screen
+    // No saved device — show settings screen and look for units on the LAN
     switchScreen('settings');
+    runDiscovery();
   }
 
   if (savedQuality) {
@@ -121,35 +253,679 @@ function loadSavedSettings() {
   }
 }
 
-async function connectToNasne() {
-  const ip = document.getElementById('nasne-ip').value.trim();
+function showConnectionStatus(text, className) {
+  const el = document.getElementById('connection-status');
+  el.textContent = text;
+  el.className = 'connection-status';
+  if (className) el.classList.add(className);
+}
+
+// ─── Devices ─────────────────────────────────────────────
+function loadDevices() {
+  try {
+    state.devices = JSON.parse(localStorage.getItem('nasne_devices')) || [];
+  } catch {
+    state.devices = [];
+  }
+
+  // Migrate the single IP saved by older versions
+  const legacyIp = localStorage.getItem('nasne_ip');
+  if (legacyIp) {
+    if (!state.devices.some(d => d.ip === legacyIp)) {
+      state.devices.push({ id: Date.now().toString(36), name: 'nasne', ip: legacyIp });
+    }
+    localStorage.removeItem('nasne_ip');
+    saveDevices();
+  }
+
+  const savedActive = localStorage.getItem('nasne_active_device');
+  state.activeDeviceId = getDevice(savedActive)
+    ? savedActive
+    : (state.devices[0] ? state.devices[0].id : null);
+}
+
+function saveDevices() {
+  localStorage.setItem('nasne_devices', JSON.stringify(state.devices));
+  if (state.activeDeviceId) {
+    localStorage.setItem('nasne_active_device', state.activeDeviceId);
+  }
+}
+
+function getDevice(id) {
+  return state.devices.find(d => d.id === id) || null;
+}
+
+/**
+ * Registered units that answered the last connection test.
+ */
+function getConnectedDevices() {
+  return state.devices.filter(d => state.clients.has(d.id));
+}
+
+function hasMultipleDevices() {
+  return getConnectedDevices().length > 1;
+}
+
+/**
+ * Client of the unit an item (reservation, recording) was fetched from.
+ */
+function getClientFor(item) {
+  return state.clients.get(item.deviceId) || state.nasne;
+}
+
+/**
+ * Device name to label merged items with; empty with a single unit.
+ */
+function getDeviceLabel(item) {
+  if (!hasMultipleDevices()) return '';
+  const device = getDevice(item.deviceId);
+  return device ? device.name : '';
+}
+
+/**
+ * Call `fn(client, device)` on every connected unit and merge the returned
+ * item lists, tagging each item with its `deviceId`. Units that fail are
+ * skipped; the error is rethrown only when all of them fail.
+ * @param {Function} fn - resolves to an array of items
+ * @returns {Promise<Object[]>}
+ */
+async function fetchFromAllDevices(fn) {
+  const devices = getConnectedDevices();
+  let lastError = null;
+  const lists = await Promise.all(devices.map(async device => {
+    try {
+      const items = await fn(state.clients.get(device.id), device);
+      items.forEach(item => { item.deviceId = device.id; });
+      return items;
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.warn(`[nasne] Request to ${device.name} failed:`, err);
+      handleUnreachableDevice(device, err);
+      lastError = err;
+      return null;
+    }
+  }));
+  if (devices.length > 0 && lists.every(list => list === null)) throw lastError;
+  return [].concat(...lists.filter(Boolean));
+}
+
+async function addDeviceFromForm() {
+  const ipInput = document.getElementById('nasne-ip');
+  const nameInput = document.getElementById('nasne-name');
+  const ip = ipInput.value.trim();
+  const name = nameInput.value.trim();
   if (!ip) {
     showConnectionStatus('IP アドレスを入力してください', 'error');
     return;
   }
 
+  if (await registerDevice({ ip, name })) {
+    ipInput.value = '';
+    nameInput.value = '';
+  }
+}
+
+/**
+ * Add a unit (or update the one with the same IP) and connect to it.
+ * New units that don't answer are not kept.
+ * @param {Object} info
+ * @param {string} info.ip
+ * @param {string} [info.name]
+ * @param {string} [info.udn] - UPnP device ID, when found by discovery
+ * @returns {Promise<boolean>} true if connected
+ */
+async function registerDevice({ ip, name, udn }) {
+  let device = state.devices.find(d => d.ip === ip);
+  const isNew = !device;
+  if (isNew) {
+    device = { id: Date.now().toString(36), name: name || `nasne ${state.devices.length + 1}`, ip };
+    state.devices.push(device);
+  } else if (name) {
+    device.name = name;
+  }
+  if (udn) device.udn = udn;
+
+  const connected = await connectDevice(device);
+  if (!connected && isNew) {
+    state.devices = state.devices.filter(d => d !== device);
+    renderDeviceList();
+  }
+  renderDiscoveredDevices();
+  return connected;
+}
+
+/**
+ * Keep the unit's own box name, used to find it again if its IP changes.
+ */
+function rememberBoxName(device, client) {
+  client.getBoxName().then(result => {
+    if (result.name && result.name !== device.boxName) {
+      device.boxName = result.name;
+      saveDevices();
+    }
+  }).catch(err => {
+    console.warn('[nasne] Failed to read box name:', err);
+  });
+}
+
+/**
+ * Test every registered unit and switch to the active one (or the first
+ * reachable one when it is down).
+ */
+async function connectDevices() {
   showConnectionStatus('接続中...', '');
-  state.nasne = new NasneClient(ip);
 
-  const connected = await state.nasne.testConnection();
-  if (connected) {
-    localStorage.setItem('nasne_ip', ip);
-    showConnectionStatus('接続しました ✓', 'connected');
-    showToast('nasne に接続しました', 'success');
-    switchScreen('channels');
-    loadChannels();
-  } else {
+  const clients = new Map();
+  await Promise.all(state.devices.map(async device => {
+    const client = new NasneClient(device.ip);
+    if (await client.testConnection()) {
+      clients.set(device.id, client);
+      rememberBoxName(device, client);
+    }
+  }));
+  state.clients = clients;
+
+  // Units that stopped answering may have been given a new IP by DHCP
+  const missing = state.devices.filter(d => !clients.has(d.id));
+  if (missing.length > 0) rediscoverDevices(missing);
+
+  const active = clients.has(state.activeDeviceId)
+    ? getDevice(state.activeDeviceId)
+    : state.devices.find(d => clients.has(d.id));
+
+  if (!active) {
     state.nasne = null;
+    renderDeviceList();
     showConnectionStatus('接続に失敗しました。IP アドレスを確認してください。', 'error');
     showToast('接続に失敗しました', 'error');
+    return;
   }
+  activateDevice(active);
 }
 
-function showConnectionStatus(text, className) {
-  const el = document.getElementById('connection-status');
-  el.textContent = text;
-  el.className = 'connection-status';
-  if (className) el.classList.add(className);
+/**
+ * Connect to a single unit and make it the active one.
+ * @returns {Promise<boolean>}
+ */
+async function connectDevice(device) {
+  showConnectionStatus(`${device.name} に接続中...`, '');
+  const client = new NasneClient(device.ip);
+
+  if (!(await client.testConnection())) {
+    state.clients.delete(device.id);
+    renderDeviceList();
+    showConnectionStatus(`${device.name} に接続できませんでした。IP アドレスを確認してください。`, 'error');
+    showToast('接続に失敗しました', 'error');
+    return false;
+  }
+
+  state.clients.set(device.id, client);
+  rememberBoxName(device, client);
+  activateDevice(device);
+  return true;
+}
+
+/**
+ * Make a connected unit the one used for channels, EPG and status.
+ */
+function activateDevice(device) {
+  state.activeDeviceId = device.id;
+  state.nasne = state.clients.get(device.id);
+  state.epg.channels = [];
+  state.epg.cache.clear();
+  state.upcoming.entries = null;
+  saveDevices();
+  renderDeviceList();
+
+  document.getElementById('header-device').textContent = state.devices.length > 1 ? device.name : '';
+  showConnectionStatus(`${device.name} に接続しました ✓`, 'connected');
+  showToast(`${device.name} に接続しました`, 'success');
+  switchScreen('channels');
+  loadChannels();
+  startAutoReservation();
+  startPolling();
+  state.diskWarned = false;
+  fetchDeviceStatus(state.nasne).then(checkDiskSpace).catch(err => {
+    console.warn('[nasne] Disk space check failed:', err);
+  });
+}
+
+async function removeDevice(device) {
+  const confirmed = await showConfirmDialog({
+    message: `「${device.name}」を登録から削除しますか？`,
+    detail: 'nasne 本体の録画や予約は削除されません。',
+  });
+  if (!confirmed) return;
+
+  state.devices = state.devices.filter(d => d !== device);
+  state.clients.delete(device.id);
+
+  if (state.activeDeviceId === device.id) {
+    state.activeDeviceId = null;
+    state.nasne = null;
+    const next = getConnectedDevices()[0];
+    if (next) {
+      activateDevice(next);
+    } else {
+      document.getElementById('header-device').textContent = '';
+      showConnectionStatus('', '');
+    }
+  }
+  saveDevices();
+  renderDeviceList();
+}
+
+function renderDeviceList() {
+  const listEl = document.getElementById('device-list');
+
+  if (state.devices.length === 0) {
+    listEl.innerHTML = '<div class="status-message">登録されている nasne はありません</div>';
+    return;
+  }
+
+  listEl.innerHTML = '';
+  state.devices.forEach(device => {
+    const isActive = device.id === state.activeDeviceId && state.nasne;
+    const isConnected = state.clients.has(device.id);
+    const item = document.createElement('div');
+    item.className = 'device-item';
+    if (isActive) item.classList.add('active');
+
+    item.innerHTML = `
+      <div class="device-info">
+        <span class="device-name">${escapeHtml(device.name)}</span>
+        <span class="device-ip">${escapeHtml(device.ip)}</span>
+        <span class="device-state${isConnected ? ' connected' : ''}">${isActive ? '使用中' : (isConnected ? '接続済み' : '未接続')}</span>
+      </div>
+      <div class="row-actions">
+        <button class="btn focusable device-use" tabindex="0"${isActive ? ' disabled' : ''}>切替</button>
+        <button class="btn btn-danger focusable device-remove" tabindex="0">削除</button>
+      </div>
+    `;
+
+    item.querySelector('.device-use').addEventListener('click', () => connectDevice(device));
+    item.querySelector('.device-remove').addEventListener('click', () => removeDevice(device));
+    listEl.appendChild(item);
+  });
+}
+
+/**
+ * Free disk space of a unit in bytes (0 when it can't be read).
+ */
+async function getFreeDiskSpace(client) {
+  try {
+    const status = await fetchDeviceStatus(client);
+    return status.disks.reduce((sum, disk) => sum + disk.free, 0);
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Choose the unit a new reservation goes to. With 'auto' every connected
+ * unit is asked, preferring one without conflicts and then the one with the
+ * most free disk space.
+ * @param {Object} params - reservation parameters
+ * @param {string} [deviceId='auto']
+ * @returns {Promise<{device: Object, client: NasneClient, conflicts: Object[]}>}
+ */
+async function pickReservationTarget(params, deviceId = 'auto') {
+  let devices = deviceId === 'auto'
+    ? getConnectedDevices()
+    : getConnectedDevices().filter(d => d.id === deviceId);
+  if (devices.length === 0) devices = [getDevice(state.activeDeviceId)];
+
+  if (devices.length === 1) {
+    const client = state.clients.get(devices[0].id) || state.nasne;
+    return { device: devices[0], client, conflicts: await getReservationConflicts(client, params) };
+  }
+
+  const candidates = await Promise.all(devices.map(async device => {
+    const client = state.clients.get(device.id);
+    const [conflicts, free] = await Promise.all([
+      getReservationConflicts(client, params),
+      getFreeDiskSpace(client),
+    ]);
+    return { device, client, conflicts, free };
+  }));
+  candidates.sort((a, b) =>
+    (a.conflicts.length > 0) - (b.conflicts.length > 0) || b.free - a.free);
+  return candidates[0];
+}
+
+// ─── Discovery ───────────────────────────────────────────
+// SSDP needs UDP, which web apps can't send, and webOS has no documented
+// service for it, so units are found by probing the TV's /24 subnet.
+const SUBNET_SCAN_CONCURRENCY = 32;
+const REDISCOVERY_COOLDOWN_MS = 10 * 60 * 1000;
+
+function initDiscovery() {
+  document.getElementById('btn-discover').addEventListener('click', () => runDiscovery());
+}
+
+/**
+ * Search the LAN and list the nasne units found in Settings.
+ */
+async function runDiscovery() {
+  if (state.discovery.running) return;
+  const btn = document.getElementById('btn-discover');
+  btn.disabled = true;
+  setDiscoveryStatus('LAN 内の nasne を検索中...');
+
+  try {
+    state.discovery.results = await discoverNasneDevices(progress => {
+      setDiscoveryStatus(`サブネットを検索中... ${Math.round(progress * 100)}%`);
+    });
+    setDiscoveryStatus(state.discovery.results.length > 0
+      ? `${state.discovery.results.length} 台見つかりました`
+      : 'nasne が見つかりませんでした');
+  } catch (err) {
+    console.error('[nasne] Discovery failed:', err);
+    setDiscoveryStatus('検索に失敗しました');
+  } finally {
+    btn.disabled = false;
+    renderDiscoveredDevices();
+  }
+}
+
+/**
+ * Find nasne units on the LAN.
+ * @param {Function} [onProgress] - called with 0..1 during the subnet scan
+ * @returns {Promise<{ip: string, name: string, udn?: string}[]>}
+ */
+async function discoverNasneDevices(onProgress) {
+  state.discovery.running = true;
+  try {
+    const found = await scanSubnet(onProgress);
+    const byIp = new Map();
+    found.forEach(device => byIp.set(device.ip, device));
+    return [...byIp.values()];
+  } finally {
+    state.discovery.running = false;
+  }
+}
+
+/**
+ * Probe every host of the TV's /24 subnet for a nasne, confirmed by its
+ * UPnP device description.
+ * @param {Function} [onProgress]
+ * @returns {Promise<Object[]>}
+ */
+async function scanSubnet(onProgress) {
+  const prefixes = await getSubnetPrefixes();
+  const hosts = [];
+  prefixes.forEach(prefix => {
+    for (let i = 1; i < 255; i++) hosts.push(`${prefix}.${i}`);
+  });
+
+  let done = 0;
+  const results = await mapWithConcurrency(hosts, SUBNET_SCAN_CONCURRENCY, async ip => {
+    const found = await NasneClient.probe(ip);
+    done++;
+    if (onProgress && done % SUBNET_SCAN_CONCURRENCY === 0) onProgress(done / hosts.length);
+    return found;
+  });
+  return results.filter(Boolean);
+}
+
+/**
+ * /24 prefixes to scan: the TV's own network, plus those of registered units.
+ * @returns {Promise<string[]>} e.g. ['192.168.1']
+ */
+async function getSubnetPrefixes() {
+  const prefixes = new Set();
+  const toPrefix = ip => (/^(\d+\.\d+\.\d+)\.\d+$/.exec(ip || '') || [])[1];
+
+  if (typeof PalmServiceBridge !== 'undefined') {
+    try {
+      const status = await lunaRequest('luna://com.webos.service.connectionmanager/getStatus', {});
+      [status.wired, status.wifi].forEach(iface => {
+        const prefix = iface && iface.state === 'connected' && toPrefix(iface.ipAddress);
+        if (prefix) prefixes.add(prefix);
+      });
+    } catch (err) {
+      console.warn('[nasne] Failed to read network status:', err);
+    }
+  }
+
+  state.devices.forEach(device => {
+    const prefix = toPrefix(device.ip);
+    if (prefix) prefixes.add(prefix);
+  });
+  return [...prefixes];
+}
+
+/**
+ * Look for registered units that no longer answer on their saved IP and
+ * move them to the address they are found at now. A unit is matched by its
+ * UPnP device ID, or by box name when only one unknown unit has that name.
+ * @param {Object[]} missing - devices that failed to connect
+ */
+async function rediscoverDevices(missing) {
+  if (state.discovery.running) return;
+  state.discovery.rediscoveredAt = Date.now();
+
+  let found;
+  try {
+    found = await discoverNasneDevices();
+  } catch (err) {
+    console.warn('[nasne] Re-discovery failed:', err);
+    return;
+  }
+  state.discovery.results = found;
+  const registeredIps = new Set(state.devices.map(d => d.ip));
+  const unknown = found.filter(f => !registeredIps.has(f.ip));
+
+  for (const device of missing) {
+    let match = device.udn ? unknown.find(f => f.udn === device.udn) : null;
+    if (!match && device.boxName) {
+      const named = unknown.filter(f => f.name === device.boxName);
+      if (named.length === 1) match = named[0];
+    }
+    if (!match) continue;
+
+    const client = new NasneClient(match.ip);
+    if (!(await client.testConnection())) continue;
+
+    console.log(`[nasne] ${device.name} moved from ${device.ip} to ${match.ip}`);
+    device.ip = match.ip;
+    unknown.splice(unknown.indexOf(match), 1);
+    state.clients.set(device.id, client);
+    if (state.activeDeviceId === device.id) state.nasne = client;
+    saveDevices();
+    showToast(`${device.name} の IP アドレスが変わったため再接続しました`, 'success');
+    if (!state.nasne) activateDevice(device);
+  }
+  renderDeviceList();
+  renderDiscoveredDevices();
+}
+
+/**
+ * A connected unit stopped answering: it may have been given a new address by
+ * DHCP, so look for it again. Throttled, as a unit that is simply switched off
+ * would otherwise start a LAN search on every failed request.
+ * @param {Object} device
+ * @param {Error} err - the failure; only network errors and timeouts count
+ */
+async function handleUnreachableDevice(device, err) {
+  if (!(err instanceof NasneNetworkError || err instanceof NasneTimeoutError)) return;
+  if (Date.now() - state.discovery.rediscoveredAt < REDISCOVERY_COOLDOWN_MS) return;
+  state.discovery.rediscoveredAt = Date.now();
+
+  try {
+    // One dropped request is no reason to search the whole LAN
+    if (await (state.clients.get(device.id) || new NasneClient(device.ip)).testConnection()) return;
+    console.warn(`[nasne] ${device.name} is not answering, searching the LAN`);
+    await rediscoverDevices([device]);
+  } catch (rediscoverErr) {
+    console.warn('[nasne] Re-discovery failed:', rediscoverErr);
+  }
+}
+
+function setDiscoveryStatus(text) {
+  document.getElementById('discovery-status').textContent = text;
+}
+
+function renderDiscoveredDevices() {
+  const listEl = document.getElementById('discovery-list');
+  listEl.innerHTML = '';
+
+  state.discovery.results.forEach(found => {
+    const registered = state.devices.some(d => d.ip === found.ip);
+    const item = document.createElement('div');
+    item.className = 'device-item';
+    item.innerHTML = `
+      <div class="device-info">
+        <span class="device-name">${escapeHtml(found.name || 'nasne')}</span>
+        <span class="device-ip">${escapeHtml(found.ip)}</span>
+      </div>
+      <div class="row-actions">
+        ${registered
+          ? '<span class="device-state connected">登録済み</span>'
+          : '<button class="btn btn-primary focusable" tabindex="0">接続</button>'}
+      </div>
+    `;
+    const connectBtn = item.querySelector('.btn');
+    if (connectBtn) {
+      connectBtn.addEventListener('click', () => registerDevice(found));
+    }
+    listEl.appendChild(item);
+  });
+}
+
+// ─── Device Status ───────────────────────────────────────
+const TUNER_STATE_LABELS = { idle: '待機中', recording: '録画中', streaming: '配信中' };
+
+function initDeviceStatus() {
+  document.getElementById('btn-refresh-status').addEventListener('click', () => loadDeviceStatus());
+
+  initStepper(document.getElementById('disk-warn-threshold'), {
+    values: [5, 10, 20, 30, 50, 100],
+    format: gb => `${gb} GB 未満で警告`,
+    onChange: gb => {
+      state.diskWarnGb = gb;
+      localStorage.setItem('nasne_disk_warn_gb', gb);
+    },
+  });
+}
+
+/**
+ * Tuner state from the box status and the DTCP-IP client list.
+ * @returns {'idle'|'recording'|'streaming'}
+ */
+function getTunerState(boxStatus, clients) {
+  const timer = boxStatus && boxStatus.tvTimerInfoStatus;
+  if (timer && Number(timer.nowId) > 0) return 'recording';
+  if (clients && Number(clients.number || (clients.client || []).length) > 0) return 'streaming';
+  return 'idle';
+}
+
+/**
+ * Collect name, firmware, tuner state and HDD usage of the connected nasne.
+ * Optional parts that fail to load are left out.
+ */
+async function fetchDeviceStatus(nasne) {
+  const [boxStatus, boxName, version, clients, disks] = await Promise.all([
+    nasne.getBoxStatusList(),
+    optionalStatus(nasne.getBoxName()),
+    optionalStatus(nasne.getSoftwareVersion()),
+    optionalStatus(nasne.getDtcpipClientList()),
+    fetchDisks(nasne),
+  ]);
+
+  return {
+    name: (boxName && boxName.name) || '',
+    softwareVersion: (version && version.softwareVersion) || '',
+    tuner: getTunerState(boxStatus, clients),
+    disks,
+  };
+}
+
+function optionalStatus(promise) {
+  return promise.catch(err => {
+    console.warn('[nasne] Status request failed:', err);
+    return null;
+  });
+}
+
+/**
+ * Capacity and usage of the registered HDDs; ones that fail to load are left out.
+ * @returns {Promise<{id: number, internal: boolean, total: number, free: number, used: number}[]>}
+ */
+async function fetchDisks(nasne) {
+  const hddList = await optionalStatus(nasne.getHddList());
+  const registered = ((hddList && hddList.HDD) || []).filter(hdd => hdd.registerFlag !== 0);
+  const hddInfos = await Promise.all(registered.map(hdd => optionalStatus(nasne.getHddInfo(hdd.id))));
+  return hddInfos
+    .filter(info => info && info.HDD)
+    .map(info => {
+      const hdd = info.HDD;
+      const total = Number(hdd.totalVolumeSize) || 0;
+      const free = Number(hdd.freeVolumeSize) || 0;
+      const internal = hdd.internalFlag !== undefined ? Number(hdd.internalFlag) === 1 : hdd.id === 0;
+      return { id: hdd.id, internal, total, free, used: Number(hdd.usedVolumeSize) || total - free };
+    });
+}
+
+async function loadDeviceStatus() {
+  const panel = document.getElementById('status-panel');
+  if (!state.nasne) {
+    panel.innerHTML = '<div class="status-message">nasne に接続してください</div>';
+    return;
+  }
+
+  panel.innerHTML = '<div class="status-message">読み込み中...</div>';
+
+  try {
+    const status = await fetchDeviceStatus(screenClient());
+    renderDeviceStatus(status);
+    checkDiskSpace(status);
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error('[nasne] Failed to load device status:', err);
+    panel.innerHTML = `<div class="status-message">${escapeHtml(describeError(err, 'ステータスの取得に失敗しました'))}</div>`;
+  }
+}
+
+function renderDeviceStatus(status) {
+  const panel = document.getElementById('status-panel');
+
+  const disks = status.disks.map(disk => {
+    const pct = disk.total > 0 ? Math.round((disk.used / disk.total) * 100) : 0;
+    const drHours = disk.free * 8 / RECORDING_BITRATES.DR / 3600;
+    const threeXHours = disk.free * 8 / RECORDING_BITRATES.THREE_X / 3600;
+    const low = disk.free < state.diskWarnGb * 1e9;
+    return `
+      <div class="disk-status${low ? ' low' : ''}">
+        <div class="disk-header">
+          <span>${disk.internal ? '内蔵 HDD' : '外付け HDD'}</span>
+          <span>${formatBytes(disk.used)} / ${formatBytes(disk.total)}（空き ${formatBytes(disk.free)}）</span>
+        </div>
+        <div class="disk-bar"><div class="disk-bar-fill" style="width: ${pct}%"></div></div>
+        <div class="disk-remaining">残り録画時間の目安: DR 約 ${Math.floor(drHours)} 時間 / 3倍 約 ${Math.floor(threeXHours)} 時間</div>
+      </div>
+    `;
+  }).join('');
+
+  panel.innerHTML = `
+    <dl class="status-list">
+      <dt>名前</dt><dd>${escapeHtml(status.name || '-')}</dd>
+      <dt>ソフトウェア</dt><dd>${escapeHtml(status.softwareVersion || '-')}</dd>
+      <dt>チューナー</dt><dd class="tuner-${status.tuner}">${TUNER_STATE_LABELS[status.tuner]}</dd>
+    </dl>
+    ${disks || '<div class="status-message">HDD 情報を取得できませんでした</div>'}
+  `;
+}
+
+/**
+ * Toast once when any disk drops below the warning threshold.
+ */
+function checkDiskSpace(status) {
+  const lowDisk = status.disks.find(disk => disk.free < state.diskWarnGb * 1e9);
+  if (lowDisk && !state.diskWarned) {
+    showToast(`nasne の空き容量が残り ${formatBytes(lowDisk.free)} です`, 'error');
+  }
+  state.diskWarned = Boolean(lowDisk);
 }
 
 // ─── Channels ────────────────────────────────────────────
@@ -160,8 +936,7 @@ async function loadChannels() {
   listEl.innerHTML = '<div class="loading-message">読み込み中...</div>';
 
   try {
-    const result = await state.nasne.getChannelList(state.currentBroadcastType);
-    state.channels = result.channel || [];
+    state.channels = await screenClient().getChannelList(state.currentBroadcastType);
 
     if (state.channels.length === 0) {
       listEl.innerHTML = '<div class="loading-message">チャンネルが見つかりません</div>';
@@ -175,7 +950,7 @@ async function loadChannels() {
       item.tabIndex = 0;
       item.innerHTML = `
         <span class="channel-number">${ch.remoteControlKeyId || ch.serviceId || (index + 1)}</span>
-        <span class="channel-name">${ch.title || ch.serviceName || 'Unknown'}</span>
+        <span class="channel-name">${escapeHtml(ch.name || 'Unknown')}</span>
       `;
       item.addEventListener('click', () => selectChannel(ch, item));
       item.addEventListener('keydown', (e) => {
@@ -190,8 +965,9 @@ async function loadChannels() {
       selectChannel(state.channels[0], firstItem);
     }
   } catch (err) {
+    if (isAbortError(err)) return;
     console.error('[nasne] Failed to load channels:', err);
-    listEl.innerHTML = '<div class="loading-message">チャンネルの取得に失敗しました</div>';
+    listEl.innerHTML = `<div class="loading-message">${escapeHtml(describeError(err, 'チャンネルの取得に失敗しました'))}</div>`;
   }
 }
 
@@ -205,25 +981,14 @@ async function selectChannel(channel, element) {
   detailEl.innerHTML = '<div class="loading-message">番組情報を取得中...</div>';
 
   try {
-    const result = await state.nasne.getChannelInfo2({
-      serviceId: channel.serviceId,
-      transportStreamId: channel.transportStreamId,
-      networkId: channel.networkId,
-    });
-
-    // Debug: log the raw response to help identify the structure
-    console.log('[nasne] channelInfoGet2 response:', JSON.stringify(result, null, 2));
-
-    // Try multiple possible response formats
-    const program = extractProgram(result);
+    const program = await screenClient().getChannelInfo2(channel);
 
     if (program) {
       renderProgramDetail(program, channel);
     } else {
       detailEl.innerHTML = `
-        <div class="program-title">${escapeHtml(channel.title || channel.serviceName || 'チャンネル')}</div>
-        <p class="program-description">番組情報を取得できませんでした。</p>
-        <pre class="debug-response">${escapeHtml(JSON.stringify(result, null, 2))}</pre>
+        <div class="program-title">${escapeHtml(channel.name || 'チャンネル')}</div>
+        <p class="program-description">放送中の番組はありません。</p>
         <div class="program-actions">
           <button class="btn btn-record focusable" tabindex="0"
                   onclick="recordManual()">手動予約</button>
@@ -231,107 +996,56 @@ async function selectChannel(channel, element) {
       `;
     }
   } catch (err) {
+    if (isAbortError(err)) return;
     console.error('[nasne] Failed to get channel info:', err);
     detailEl.innerHTML = `
-      <div class="program-title">${escapeHtml(channel.title || channel.serviceName || 'チャンネル')}</div>
-      <p class="program-description">番組情報の取得に失敗しました: ${escapeHtml(err.message)}</p>
+      <div class="program-title">${escapeHtml(channel.name || 'チャンネル')}</div>
+      <p class="program-description">${escapeHtml(describeError(err, '番組情報の取得に失敗しました'))}</p>
     `;
   }
 }
 
-/**
- * Extract a program object from the channelInfoGet2 response.
- * Tries multiple known and guessed response formats.
- */
-function extractProgram(result) {
-  if (!result) return null;
-
-  // Direct program fields
-  const directPaths = [
-    result.currentProgram,
-    result.program,
-    result.epgInfo,
-    result.epg,
-  ];
-  for (const p of directPaths) {
-    if (p && typeof p === 'object' && !Array.isArray(p) && (p.title || p.eventId)) {
-      return p;
-    }
-  }
-
-  // Array of programs — take the first one (current)
-  const arrayPaths = [
-    result.programs,
-    result.programList,
-    result.epgInfoList,
-    result.item,
-  ];
-  for (const arr of arrayPaths) {
-    if (Array.isArray(arr) && arr.length > 0) {
-      return arr[0];
-    }
-  }
-
-  // Nested under 'channel' key
-  if (result.channel) {
-    const ch = result.channel;
-    const nestedPaths = [
-      ch.currentProgram,
-      ch.program,
-      ch.programs,
-      ch.epgInfo,
-    ];
-    for (const p of nestedPaths) {
-      if (Array.isArray(p) && p.length > 0) return p[0];
-      if (p && typeof p === 'object' && (p.title || p.eventId)) return p;
-    }
-  }
-
-  // If the result itself looks like a program (has title)
-  if (result.title && (result.startDateTime || result.duration || result.eventId)) {
-    return result;
-  }
-
-  // Walk all top-level keys looking for any object/array that has 'title'
-  for (const key of Object.keys(result)) {
-    const val = result[key];
-    if (Array.isArray(val) && val.length > 0 && val[0].title) {
-      return val[0];
-    }
-    if (val && typeof val === 'object' && !Array.isArray(val) && val.title && val.startDateTime) {
-      return val;
-    }
-  }
-
-  return null;
-}
-
-function renderProgramDetail(program, channel) {
-  const detailEl = document.getElementById('program-detail');
-  const startTime = program.startDateTime ? formatDateTime(program.startDateTime) : '';
-  const endTime = program.endDateTime ? formatTime(program.endDateTime) : '';
-  const duration = program.duration ? formatDuration(program.duration) : '';
+function renderProgramDetail(program, channel) {
+  const detailEl = document.getElementById('program-detail');
+  const startTime = program.startDateTime ? formatDateTime(program.startDateTime) : '';
+  const endTime = program.endDateTime ? formatTime(program.endDateTime) : '';
+  const duration = program.duration ? formatDuration(program.duration) : '';
 
   detailEl.innerHTML = `
     <div class="program-title">${escapeHtml(program.title || '番組名不明')}</div>
     <div class="program-meta">
       ${startTime ? `<span class="program-meta-item">📅 ${startTime}${endTime ? ' 〜 ' + endTime : ''}</span>` : ''}
       ${duration ? `<span class="program-meta-item">⏱ ${duration}</span>` : ''}
-      <span class="program-meta-item">📺 ${escapeHtml(channel.title || channel.serviceName || '')}</span>
+      <span class="program-meta-item">📺 ${escapeHtml(channel.name)}</span>
     </div>
     <div class="program-description">${escapeHtml(program.description || program.descriptionLong || '番組の詳細情報はありません。')}</div>
     <div class="program-actions">
+      <button class="btn btn-primary focusable" tabindex="0" id="btn-watch-live">視聴</button>
       <button class="btn btn-record focusable" tabindex="0" id="btn-record-program">録画予約</button>
     </div>
   `;
 
+  document.getElementById('btn-watch-live').addEventListener('click', () => {
+    watchLive(channel);
+  });
   document.getElementById('btn-record-program').addEventListener('click', () => {
-    recordProgram(program, channel);
+    openReserveOptions(program, channel);
   });
 }
 
-async function recordProgram(program, channel) {
-  if (!state.nasne) return;
+/**
+ * Reserve a program on the given channel.
+ * @param {Object} program
+ * @param {Object} channel
+ * @param {Object} [options]
+ * @param {number} [options.broadcastingType] - defaults to the Channels screen type
+ * @param {string} [options.conditionId] - repeat condition, defaults to once
+ * @param {number} [options.quality] - defaults to the global quality setting
+ * @param {string} [options.deviceId] - target unit, 'auto' (default) picks one
+ * @returns {Promise<boolean>} true if the reservation was created
+ */
+async function recordProgram(program, channel, options = {}) {
+  if (!state.nasne) return false;
 
   try {
     const params = {
@@ -339,309 +1053,2699 @@ async function recordProgram(program, channel) {
       startDateTime: program.startDateTime,
       duration: program.duration,
       serviceId: channel.serviceId,
-      broadcastingType: state.currentBroadcastType,
-      quality: state.quality,
+      broadcastingType: options.broadcastingType || state.currentBroadcastType,
+      conditionId: options.conditionId || NasneClient.Condition.ONCE,
+      quality: options.quality || state.quality,
     };
 
     if (program.eventId) {
       params.eventId = program.eventId;
     }
 
-    await state.nasne.createReservation(params);
-    showToast(`「${program.title}」の録画を予約しました`, 'success');
+    const { device, client, conflicts } = await pickReservationTarget(params, options.deviceId);
+    const choice = conflicts.length > 0 ? await showConflictDialog(program, conflicts) : 'keep';
+    if (choice === 'cancel') return false;
+
+    if (choice === 'replace') {
+      await swapReservations(client, conflicts, params);
+    } else {
+      await client.createReservation(params);
+    }
+    const target = hasMultipleDevices() ? `${device.name} に` : '';
+    showToast(`「${program.title}」の録画を${target}予約しました`, 'success');
+    return true;
   } catch (err) {
     console.error('[nasne] Failed to create reservation:', err);
-    showToast('録画予約に失敗しました', 'error');
+    if (err.rolledBack === undefined) {
+      // The weekday condition ID is unconfirmed, so say so if nasne turns it down
+      showToast(options.conditionId === NasneClient.Condition.WEEKDAYS && err instanceof NasneApiError
+        ? '月〜金の繰り返しに nasne が対応していない可能性があります。毎日か毎週で予約してください'
+        : describeError(err, '録画予約に失敗しました'), 'error');
+    } else {
+      showToast(err.rolledBack
+        ? '録画予約に失敗したため、重複していた予約を元に戻しました'
+        : '録画予約に失敗し、重複していた予約も復元できませんでした', 'error');
+    }
+    return false;
   }
 }
 
-function recordManual() {
-  if (!state.nasne || !state.selectedChannel) return;
-
-  const channel = state.selectedChannel;
-  const now = new Date();
-  const startDateTime = now.toISOString();
-  const duration = 3600; // 1 hour default
-
-  recordProgram({
-    title: channel.title || channel.serviceName || 'Manual Recording',
-    startDateTime,
-    duration,
-  }, channel);
-}
-
-// ─── Recordings ─────────────────────────────────────────
-function initRecordings() {
-  document.getElementById('btn-refresh-recordings').addEventListener('click', loadRecordings);
+/**
+ * Ask a unit which existing reservations overlap a reservation about to be made.
+ * A failed check doesn't block reserving; nasne resolves overlaps itself.
+ * @param {NasneClient} client
+ * @param {Object} params
+ * @returns {Promise<Object[]>} conflicting reservations
+ */
+async function getReservationConflicts(client, params) {
+  try {
+    return await client.getConflictList({
+      startDateTime: params.startDateTime,
+      duration: params.duration,
+      broadcastingType: params.broadcastingType,
+      serviceId: params.serviceId,
+    });
+  } catch (err) {
+    console.warn('[nasne] Conflict check failed:', err);
+    return [];
+  }
 }
 
-async function loadRecordings() {
-  if (!state.nasne) {
-    document.getElementById('recording-list').innerHTML =
-      '<div class="loading-message">nasne に接続してください</div>';
-    return;
-  }
+/**
+ * Show the clashing reservations and let the user decide.
+ * @returns {Promise<'cancel'|'keep'|'replace'>}
+ */
+function showConflictDialog(program, conflicts) {
+  const overlay = document.getElementById('conflict-overlay');
+  document.getElementById('conflict-message').textContent =
+    `「${program.title || '番組名不明'}」は次の録画予約と時間が重なっています。`;
+  document.getElementById('conflict-list').innerHTML = conflicts.map(c => `
+    <li>
+      <span class="conflict-time">${c.startDateTime ? formatDateTime(c.startDateTime) : '不明'}</span>
+      <span class="conflict-title">${escapeHtml(c.title || '無題')}</span>
+      <span class="conflict-channel">${escapeHtml(c.channelName || '')}</span>
+    </li>
+  `).join('');
+
+  return new Promise(resolve => {
+    const buttons = {
+      cancel: document.getElementById('conflict-cancel'),
+      keep: document.getElementById('conflict-keep'),
+      replace: document.getElementById('conflict-replace'),
+    };
+    const handlers = {};
+    Object.entries(buttons).forEach(([choice, btn]) => {
+      handlers[choice] = () => {
+        Object.entries(buttons).forEach(([c, b]) => b.removeEventListener('click', handlers[c]));
+        closeOverlay(overlay);
+        resolve(choice);
+      };
+      btn.addEventListener('click', handlers[choice]);
+    });
 
-  const listEl = document.getElementById('recording-list');
-  listEl.innerHTML = '<div class="loading-message">読み込み中...</div>';
+    openOverlay(overlay);
+    buttons.cancel.focus();
+  });
+}
 
-  try {
-    const result = await state.nasne.getRecordedTitleList();
-    // The structure might be similar to reservedList or different
-    // Assuming result.item or result.titleList
-    state.recordings = result.item || result.titleList || [];
+const TUNER_COUNT = 1; // nasne records one program at a time
 
-    if (state.recordings.length === 0) {
-      listEl.innerHTML = '<div class="loading-message">録画はありません</div>';
-      return;
+/**
+ * Find reservations that can't all be recorded because more of them overlap
+ * than nasne has tuners. Reservations nasne itself flags are included too.
+ * @param {Object[]} reservations
+ * @returns {Set<Object>}
+ */
+function findConflictingReservations(reservations) {
+  const spans = reservations
+    .filter(res => res.startDateTime)
+    .map(res => {
+      const start = new Date(res.startDateTime).getTime();
+      return { res, start, end: start + (res.duration || 0) * 1000 };
+    })
+    .sort((a, b) => a.start - b.start);
+
+  const conflicting = new Set();
+  const active = [];
+  spans.forEach(span => {
+    for (let i = active.length - 1; i >= 0; i--) {
+      if (active[i].end <= span.start) active.splice(i, 1);
     }
+    active.push(span);
+    if (active.length > TUNER_COUNT) {
+      active.forEach(a => conflicting.add(a.res));
+    }
+    if (span.res.conflicting) conflicting.add(span.res);
+  });
+  return conflicting;
+}
 
-    listEl.innerHTML = '';
-    state.recordings.forEach(rec => {
-      const item = document.createElement('div');
-      item.className = 'recording-item focusable';
-      item.tabIndex = 0;
+function initReserveOptions() {
+  initToggleGroup(document.getElementById('reserve-condition'));
+  initToggleGroup(document.getElementById('reserve-quality'));
+  document.getElementById('reserve-options-cancel').addEventListener('click', () => {
+    closeOverlay(document.getElementById('reserve-options-overlay'));
+  });
+}
 
-      const duration = rec.duration ? formatDuration(rec.duration) : '';
-      const time = rec.startDateTime ? formatDateTime(rec.startDateTime) : '';
+/**
+ * Ask for repeat condition and quality, then reserve the program.
+ * @param {Object} program
+ * @param {Object} channel
+ * @param {Object} [options] - passed on to recordProgram()
+ */
+function openReserveOptions(program, channel, options = {}) {
+  const overlay = document.getElementById('reserve-options-overlay');
+  const start = new Date(program.startDateTime);
+
+  document.getElementById('reserve-options-title').textContent =
+    `${program.title || '番組名不明'}（${formatDateTime(start)}）`;
+
+  const weeklyBtn = document.getElementById('reserve-condition-weekly');
+  weeklyBtn.dataset.value = NasneClient.weeklyCondition(start.getDay());
+  weeklyBtn.textContent = formatCondition(weeklyBtn.dataset.value);
+
+  setToggleGroupValues(document.getElementById('reserve-condition'), [NasneClient.Condition.ONCE]);
+  setToggleGroupValues(document.getElementById('reserve-quality'), [state.quality]);
+  renderReserveDeviceOptions();
+
+  const oldBtn = document.getElementById('reserve-options-confirm');
+  // Replace the button to drop the listener of the previous program
+  const confirmBtn = oldBtn.cloneNode(true);
+  oldBtn.replaceWith(confirmBtn);
+  confirmBtn.addEventListener('click', () => {
+    const conditionId = getToggleGroupValues(document.getElementById('reserve-condition'))[0];
+    const quality = Number(getToggleGroupValues(document.getElementById('reserve-quality'))[0]);
+    const deviceId = getToggleGroupValues(document.getElementById('reserve-device'))[0] || 'auto';
+    closeOverlay(overlay);
+    recordProgram(program, channel, { ...options, conditionId, quality, deviceId });
+  });
 
-      // Use a placeholder if no image exists (nasne API might not provide direct thumbnails without auth/more steps)
-      // Sometimes 'genre' or other fields avail.
-      const thumbUrl = 'assets/icon.png'; // Placeholder
+  openOverlay(overlay);
+  confirmBtn.focus();
+}
 
-      item.innerHTML = `
-        <div class="recording-thumbnail">
-          <img src="${thumbUrl}" alt="Thumbnail">
-          ${duration ? `<div class="recording-duration">${duration}</div>` : ''}
-        </div>
-        <div class="recording-info">
-          <div class="recording-title">${escapeHtml(rec.title || '無題')}</div>
-          <div class="recording-meta">
-            <span>${time}</span>
-            <span>${escapeHtml(rec.channelName || '')}</span>
-          </div>
-        </div>
-      `;
+/**
+ * Fill the 予約先 choices with 自動 plus every connected unit. The row is
+ * only shown when more than one nasne is connected.
+ */
+function renderReserveDeviceOptions() {
+  const group = document.getElementById('reserve-device');
+  const devices = getConnectedDevices();
+  document.getElementById('reserve-device-row').classList.toggle('hidden', devices.length < 2);
+
+  group.innerHTML = [{ id: 'auto', name: '自動' }, ...devices].map(d =>
+    `<button class="toggle-btn focusable" data-value="${escapeHtml(d.id)}" tabindex="0">${escapeHtml(d.name)}</button>`
+  ).join('');
+  initToggleGroup(group);
+  setToggleGroupValues(group, ['auto']);
+}
 
-      item.addEventListener('click', () => {
-        playRecording(rec);
-      });
+/**
+ * Human-readable repeat condition ('' for one-off reservations).
+ */
+function formatCondition(conditionId) {
+  if (!conditionId || conditionId === NasneClient.Condition.ONCE) return '';
+  if (conditionId === NasneClient.Condition.DAILY) return '毎日';
+  if (conditionId === NasneClient.Condition.WEEKDAYS) return '毎週月〜金';
+  const weekly = /^w([0-6])$/.exec(conditionId);
+  if (weekly) return `毎週${WEEKDAY_LABELS[weekly[1]]}曜`;
+  return conditionId;
+}
 
-      // Enter key handled by click event (via handleEnter)
+function recordManual() {
+  if (!state.nasne) return;
+  openManualEditor(state.currentBroadcastType, state.selectedChannel);
+}
 
-      listEl.appendChild(item);
-    });
-  } catch (err) {
-    console.error('[nasne] Failed to load recordings:', err);
-    listEl.innerHTML = '<div class="loading-message">録画一覧の取得に失敗しました</div>';
+// ─── Live TV ─────────────────────────────────────────────
+/**
+ * A connected unit whose tuner is idle, the active one first. A unit that
+ * streams to another client may be sending it a live channel on its only
+ * tuner, so it doesn't count as free either.
+ * @returns {Promise<{client: NasneClient|null, busy: boolean, streaming: boolean}>}
+ *   busy is true when every reachable unit is recording or streaming,
+ *   streaming when at least one of them is streaming
+ */
+async function findFreeTuner() {
+  const devices = getConnectedDevices()
+    .sort((a, b) => (b.id === state.activeDeviceId) - (a.id === state.activeDeviceId));
+  let busy = false;
+  let streaming = false;
+  for (const device of devices) {
+    const client = state.clients.get(device.id);
+    try {
+      const [boxStatus, clients] = await Promise.all([
+        client.getBoxStatusList(),
+        optionalStatus(client.getDtcpipClientList()),
+      ]);
+      const tuner = getTunerState(boxStatus, clients);
+      if (tuner === 'idle') return { client, busy: false, streaming: false };
+      busy = true;
+      if (tuner === 'streaming') streaming = true;
+    } catch (err) {
+      console.warn(`[nasne] Tuner check failed on ${device.name}:`, err);
+    }
   }
+  return { client: null, busy, streaming };
 }
 
-async function playRecording(recording) {
-  console.log('[nasne] Recording object:', JSON.stringify(recording, null, 2));
+/**
+ * Watch a channel live: in the app when the stream isn't copy-protected,
+ * otherwise in the TV's media player like recordings.
+ * @param {Object} channel
+ */
+async function watchLive(channel) {
+  if (!state.nasne) return;
 
-  // PalmServiceBridge is always available in the webOS TV WebKit runtime
-  if (typeof PalmServiceBridge === 'undefined') {
-    showToast('webOS 環境でのみ再生できます', 'error');
+  showToast('チューナーを確認中...', 'success');
+  const { client, busy, streaming } = await findFreeTuner();
+  if (!client) {
+    if (!busy) {
+      showToast('nasne に接続できません', 'error');
+    } else if (streaming) {
+      showToast('録画中か他の機器で視聴中のためチューナーが空いていません。しばらくしてから視聴してください', 'error');
+    } else {
+      showToast('録画中のためチューナーが空いていません。録画が終わってから視聴してください', 'error');
+    }
     return;
   }
 
-  showToast('DLNA コンテンツを検索中...', 'success');
-  await launchMediaServerApp(recording);
-}
+  let item;
+  try {
+    item = await client.findDlnaLiveChannel(channel);
+  } catch (err) {
+    console.error('[nasne] Live channel lookup failed:', err);
+  }
+  if (!item) {
+    showToast(`${channel.name} のライブ配信が見つかりません`, 'error');
+    return;
+  }
 
-/**
- * Make a Luna service request via PalmServiceBridge.
- * This works on all webOS TV versions without needing the webOSjs library.
- */
-function lunaRequest(uri, params) {
-  return new Promise((resolve, reject) => {
-    const bridge = new PalmServiceBridge();
-    bridge.onservicecallback = (response) => {
-      try {
-        const result = JSON.parse(response);
-        if (result.returnValue === false || result.errorCode) {
-          reject(result);
-        } else {
-          resolve(result);
-        }
-      } catch (e) {
-        reject({ errorText: 'Failed to parse response' });
-      }
+  const resource = NasneClient.getVideoResource(item);
+  if (!isDtcpResource(resource)) {
+    openPlayer(resource.url, channel.name);
+    state.player.live = {
+      client,
+      channels: state.channels.slice(),
+      index: state.channels.findIndex(ch => ch.serviceId === channel.serviceId),
     };
-    bridge.call(uri, JSON.stringify(params));
-  });
+    showLiveProgramInfo(client, channel);
+    return;
+  }
+
+  if (!hasMediaApp()) {
+    showToast('webOS 環境でのみ視聴できます', 'error');
+    return;
+  }
+  showToast(`${channel.name} を視聴します`, 'success');
+  await launchDlnaResource(resource, channel.name);
 }
 
 /**
- * Launch the TV's built-in media server app (DTCP-IP capable) for playback.
- *
- * Strategy:
- * 1. Try to find the recording via DLNA ContentDirectory (get proper res URL + protocolInfo)
- * 2. If found, launch media player with DLNA payload for auto-play
- * 3. If not found, fall back to launching media app without params
- */
-async function launchMediaServerApp(recording) {
-  // Media player app IDs by webOS version (try newest first)
-  const playerApps = [
-    'com.webos.app.mediadiscovery',   // webOS 6+
-    'com.webos.app.photovideo',       // webOS 3.x-5.x
-    'com.webos.app.smartshare',       // webOS 1.0-2.x
-  ];
-
-  const title = recording.title || '録画';
-
-  // Try DLNA ContentDirectory discovery for auto-play
-  if (state.nasne) {
-    try {
-      console.log(`[nasne] Searching DLNA for: "${title}"`);
-      const dlnaResult = await state.nasne.findDlnaRecording(title);
-
-      if (dlnaResult && dlnaResult.url) {
-        console.log('[nasne] DLNA content found, launching with payload');
-        showToast('コンテンツを発見、再生を開始します...', 'success');
+ * Tune the in-app player to the next or previous channel (CH+/CH-, UP/DOWN).
+ * @param {number} direction - 1 or -1
+ */
+async function switchLiveChannel(direction) {
+  const live = state.player.live;
+  if (!live || live.channels.length === 0) return;
 
-        // Parse protocolInfo into dlnaInfo fields
-        const protocolInfo = dlnaResult.protocolInfo || '';
-        const payload = {
-          mediaType: 'VIDEO',
-          fullPath: dlnaResult.url,
-          fileName: title,
-          dlnaInfo: {
-            flagVal: extractDlnaFlag(protocolInfo, 'DLNA.ORG_FLAGS') || '01700000000000000000000000000000',
-            cleartextSize: '-1',
-            contentLength: '-1',
-            opVal: extractDlnaFlag(protocolInfo, 'DLNA.ORG_OP') || '01',
-            protocolInfo: protocolInfo,
-          },
-        };
+  live.index = (live.index + direction + live.channels.length) % live.channels.length;
+  const channel = live.channels[live.index];
+  document.getElementById('video-title').textContent = channel.name;
+  showToast(`📺 ${channel.name}`, '');
 
-        console.log('[nasne] Launch payload:', JSON.stringify(payload, null, 2));
-        await tryLaunchMediaAppWithPayload(playerApps, 0, payload);
-        return;
-      }
-    } catch (err) {
-      console.warn('[nasne] DLNA discovery failed:', err);
-    }
+  let item = null;
+  try {
+    item = await live.client.findDlnaLiveChannel(channel);
+  } catch (err) {
+    console.error('[nasne] Live channel lookup failed:', err);
   }
+  // The user may have closed the player or zapped on meanwhile
+  if (state.player.live !== live || live.channels[live.index] !== channel) return;
 
-  // Fallback: launch media app without params
-  console.log('[nasne] DLNA auto-play not available, launching bare');
-  showToast('メディアプレーヤーを起動中...', 'success');
-  tryLaunchMediaAppBare(playerApps, 0);
+  const resource = item && NasneClient.getVideoResource(item);
+  if (!resource || isDtcpResource(resource)) {
+    showToast(`${channel.name} はこのプレーヤーでは視聴できません`, 'error');
+    return;
+  }
+  const video = document.getElementById('video-player');
+  video.src = resource.url;
+  video.play().catch(e => showToast(`再生失敗: ${e.message}`, 'error'));
+  showLiveProgramInfo(live.client, channel);
 }
 
 /**
- * Extract a DLNA flag value from protocolInfo string.
+ * Fill the player's info overlay with what is on air now.
  */
-function extractDlnaFlag(protocolInfo, flagName) {
-  const match = protocolInfo.match(new RegExp(`${flagName}=([^;]+)`));
-  return match ? match[1] : null;
+async function showLiveProgramInfo(client, channel) {
+  renderPlayerInfo(channel.name, { channelName: channel.name });
+  try {
+    const program = await client.getChannelInfo2(channel);
+    if (program && state.player.live && document.getElementById('video-title').textContent === channel.name) {
+      renderPlayerInfo(program.title, program);
+    }
+  } catch (err) {
+    console.warn('[nasne] Failed to load the program on air:', err);
+  }
+}
+
+// ─── Manual Reservation ──────────────────────────────────
+const MANUAL_MAX_DURATION_MIN = 8 * 60;
+const MANUAL_MINUTE_STEP = 5;
+
+function initManualEditor() {
+  initStepper(document.getElementById('manual-type'), {
+    values: Object.values(NasneClient.BroadcastingType),
+    format: getBroadcastTypeLabel,
+    onChange: type => loadManualChannels(type),
+  });
+  initStepper(document.getElementById('manual-channel'), {
+    values: [],
+    format: ch => `${ch.remoteControlKeyId || ch.serviceId} ${ch.name}`,
+  });
+  initStepper(document.getElementById('manual-date'), {
+    values: Array.from({ length: EPG_DAYS }, (_, i) => i),
+    format: offset => {
+      const d = new Date(getDayStart(Date.now()) + offset * DAY_MS);
+      return `${d.getMonth() + 1}/${d.getDate()}(${WEEKDAY_LABELS[d.getDay()]})`;
+    },
+  });
+  initStepper(document.getElementById('manual-hour'), {
+    values: Array.from({ length: 24 }, (_, h) => h),
+    format: h => `${h}時`,
+  });
+  initStepper(document.getElementById('manual-minute'), {
+    values: Array.from({ length: 60 / MANUAL_MINUTE_STEP }, (_, i) => i * MANUAL_MINUTE_STEP),
+    format: m => `${String(m).padStart(2, '0')}分`,
+  });
+  initStepper(document.getElementById('manual-duration'), {
+    values: Array.from({ length: MANUAL_MAX_DURATION_MIN / MANUAL_MINUTE_STEP }, (_, i) => (i + 1) * MANUAL_MINUTE_STEP),
+    format: min => formatDuration(min * 60),
+  });
+  initToggleGroup(document.getElementById('manual-quality'));
+
+  document.getElementById('btn-manual-reserve').addEventListener('click', () => {
+    if (state.nasne) openManualEditor(state.currentBroadcastType, null);
+  });
+  document.getElementById('manual-cancel').addEventListener('click', () => {
+    closeOverlay(document.getElementById('manual-overlay'));
+  });
+  document.getElementById('manual-submit').addEventListener('click', submitManualReservation);
 }
 
 /**
- * Try launching a media player app with DLNA payload for automatic playback.
+ * Open the manual reservation editor.
+ * @param {number} broadcastingType
+ * @param {Object|null} channel - preselected channel
  */
-async function tryLaunchMediaAppWithPayload(playerApps, index, payload) {
-  if (index >= playerApps.length) {
-    // All apps failed with payload — try bare launch
-    console.log('[nasne] All player apps failed with payload, trying bare launch');
-    tryLaunchMediaAppBare(playerApps, 0);
-    return;
-  }
+async function openManualEditor(broadcastingType, channel) {
+  const overlay = document.getElementById('manual-overlay');
+
+  // Default start: the next 5-minute boundary, one hour long
+  const start = new Date(Math.ceil((Date.now() + 60 * 1000) / (MANUAL_MINUTE_STEP * 60 * 1000)) * MANUAL_MINUTE_STEP * 60 * 1000);
+  setStepperValue(document.getElementById('manual-type'), broadcastingType);
+  setStepperValue(document.getElementById('manual-date'), Math.round((getDayStart(start.getTime()) - getDayStart(Date.now())) / DAY_MS));
+  setStepperValue(document.getElementById('manual-hour'), start.getHours());
+  setStepperValue(document.getElementById('manual-minute'), start.getMinutes());
+  setStepperValue(document.getElementById('manual-duration'), 60);
+  setToggleGroupValues(document.getElementById('manual-quality'), [state.quality]);
+  document.getElementById('manual-title').value = '';
+  document.getElementById('manual-error').textContent = '';
+
+  openOverlay(overlay);
+  document.getElementById('manual-channel').focus();
+  await loadManualChannels(broadcastingType, channel);
+}
 
-  const appId = playerApps[index];
-  console.log(`[nasne] Trying media app: ${appId} (with payload)`);
+async function loadManualChannels(type, preselect) {
+  const channelEl = document.getElementById('manual-channel');
+  setStepperValue(channelEl, null, []);
 
   try {
-    const res = await lunaRequest('luna://com.webos.applicationManager/launch', {
-      id: appId,
-      params: {
-        payload: [payload],
-      },
-    });
-    console.log(`[nasne] Media app launched successfully (${appId}):`, res);
-    showToast('メディアプレーヤーで再生を開始します', 'success');
+    const channels = await state.nasne.getChannelList(type);
+    // Ignore responses for a type the user has already stepped away from
+    if (getStepperValue(document.getElementById('manual-type')) !== type) return;
+    const selected = preselect && channels.find(ch => ch.serviceId === preselect.serviceId);
+    setStepperValue(channelEl, selected || channels[0], channels);
   } catch (err) {
-    console.warn(`[nasne] Failed to launch ${appId} with payload:`, err);
-    tryLaunchMediaAppWithPayload(playerApps, index + 1, payload);
+    console.error('[nasne] Failed to load channels:', err);
+    document.getElementById('manual-error').textContent = 'チャンネルの取得に失敗しました';
   }
 }
 
 /**
- * Launch a media player app without params (user manually navigates to nasne content).
- * This is the final fallback when payload-based launch fails.
+ * Read and validate the editor.
+ * @returns {{error: string}|{program: Object, channel: Object, broadcastingType: number, quality: number}}
  */
-async function tryLaunchMediaAppBare(playerApps, index) {
-  if (index >= playerApps.length) {
-    showToast('メディアプレーヤーの起動に失敗しました', 'error');
-    return;
+function readManualEditor() {
+  const broadcastingType = getStepperValue(document.getElementById('manual-type'));
+  const channel = getStepperValue(document.getElementById('manual-channel'));
+  const dayOffset = getStepperValue(document.getElementById('manual-date'));
+  const hour = getStepperValue(document.getElementById('manual-hour'));
+  const minute = getStepperValue(document.getElementById('manual-minute'));
+  const durationMin = getStepperValue(document.getElementById('manual-duration'));
+  const title = document.getElementById('manual-title').value.trim();
+  const quality = Number(getToggleGroupValues(document.getElementById('manual-quality'))[0]) || state.quality;
+
+  if (!channel) return { error: 'チャンネルを選択してください' };
+
+  const start = new Date(getDayStart(Date.now()) + dayOffset * DAY_MS);
+  start.setHours(hour, minute, 0, 0);
+  if (start.getTime() <= Date.now()) {
+    return { error: '開始時刻が過去になっています' };
+  }
+  if (!(durationMin > 0 && durationMin <= MANUAL_MAX_DURATION_MIN)) {
+    return { error: `録画時間は ${formatDuration(MANUAL_MAX_DURATION_MIN * 60)} までです` };
   }
 
-  const appId = playerApps[index];
-  console.log(`[nasne] Trying media app: ${appId} (bare launch)`);
+  return {
+    program: {
+      title: title || `${channel.name} ${formatDateTime(start)}`.trim(),
+      startDateTime: NasneClient.formatDateTime(start),
+      duration: durationMin * 60,
+    },
+    channel,
+    broadcastingType,
+    quality,
+  };
+}
 
-  try {
-    const res = await lunaRequest('luna://com.webos.applicationManager/launch', {
-      id: appId,
-    });
-    console.log(`[nasne] Media app launched (${appId}):`, res);
-    showToast('メディアプレーヤーから nasne を選択してください', 'success');
-  } catch (err) {
-    console.warn(`[nasne] Failed to launch ${appId}:`, err);
-    tryLaunchMediaAppBare(playerApps, index + 1);
+async function submitManualReservation() {
+  const input = readManualEditor();
+  if (input.error) {
+    document.getElementById('manual-error').textContent = input.error;
+    return;
   }
-}
 
-// ─── Video Player ────────────────────────────────────────
-function openPlayer(url, title, recording) {
-  state.isPlayerOpen = true;
-  const overlay = document.getElementById('video-player-overlay');
-  const video = document.getElementById('video-player');
-  const titleEl = document.getElementById('video-title');
-  const durationEl = document.getElementById('video-duration');
-  const currentEl = document.getElementById('video-current-time');
-  const progressFill = document.getElementById('video-progress-fill');
+  closeOverlay(document.getElementById('manual-overlay'));
+  const ok = await recordProgram(input.program, input.channel, {
+    broadcastingType: input.broadcastingType,
+    quality: input.quality,
+  });
+  if (ok && state.currentScreen === 'reservations') loadReservations();
+}
 
-  // Push a history state so the back button doesn't exit the app
-  history.pushState({ player: true }, '');
+// ─── EPG Grid (番組表) ───────────────────────────────────
+const EPG_DAYS = 7;
+const EPG_VISIBLE_HOURS = 6;
+const EPG_VISIBLE_CHANNELS = 7;
+const EPG_HOUR_HEIGHT = 140; // px
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
 
-  overlay.classList.remove('hidden');
-  titleEl.textContent = title || 'Unknown Title';
+function initEpg() {
+  document.querySelectorAll('.epg-type-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.epg.broadcastType = parseInt(btn.dataset.type, 10);
+      state.epg.channels = [];
+      state.epg.channelOffset = 0;
 
-  // Reset
-  video.src = '';
-  currentEl.textContent = '0:00';
-  durationEl.textContent = '0:00';
-  progressFill.style.width = '0%';
+      document.querySelectorAll('.epg-type-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
 
-  if (url) {
-    video.src = url;
-    video.play().catch(e => {
-      console.error('[nasne] Play failed:', e);
-      // Show debug info about the recording object to help troubleshoot
-      const fields = recording ? Object.keys(recording).join(', ') : 'N/A';
-      showToast(`再生失敗: ${e.message}`, 'error');
-      console.log('[nasne] Recording fields available:', fields);
+      if (state.nasne) loadEpg();
     });
-  } else {
-    showToast('ストリーミングURLが見つかりません', 'error');
-    if (recording) {
-      console.log('[nasne] Recording fields:', Object.keys(recording));
-    }
-  }
+  });
 
-  // Focus the overlay to capture key events
-  overlay.setAttribute('tabindex', '-1');
-  overlay.focus();
+  document.getElementById('btn-epg-prev-day').addEventListener('click', () => shiftEpgWindow(-24));
+  document.getElementById('btn-epg-next-day').addEventListener('click', () => shiftEpgWindow(24));
+  document.getElementById('btn-epg-now').addEventListener('click', () => {
+    state.epg.windowStart = getEpgMinStart();
+    loadEpg();
+  });
 
-  // Simple controls loop
+  document.getElementById('epg-detail-close').addEventListener('click', () => {
+    closeOverlay(document.getElementById('epg-detail-overlay'));
+  });
+}
+
+/**
+ * Earliest window start: the beginning of the current hour.
+ */
+function getEpgMinStart() {
+  const d = new Date();
+  d.setMinutes(0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Latest window start so the window stays inside the EPG range.
+ */
+function getEpgMaxStart() {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d.getTime() + EPG_DAYS * DAY_MS - EPG_VISIBLE_HOURS * HOUR_MS;
+}
+
+function getDayStart(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+async function loadEpg(focusHint) {
+  if (!state.nasne) return;
+
+  const gridEl = document.getElementById('epg-grid');
+  const epg = state.epg;
+
+  if (epg.windowStart === null) epg.windowStart = getEpgMinStart();
+  const loadId = ++epg.loadId;
+
+  try {
+    if (epg.channels.length === 0) {
+      gridEl.innerHTML = '<div class="loading-message">読み込み中...</div>';
+      const channels = await screenClient().getChannelList(epg.broadcastType);
+      // The broadcast type, page or window may have changed while we were waiting
+      if (loadId !== epg.loadId) return;
+      epg.channels = channels;
+    }
+
+    if (epg.channels.length === 0) {
+      gridEl.innerHTML = '<div class="loading-message">チャンネルが見つかりません</div>';
+      return;
+    }
+
+    const windowStart = epg.windowStart;
+    const windowEnd = windowStart + EPG_VISIBLE_HOURS * HOUR_MS;
+    const visibleChannels = epg.channels.slice(epg.channelOffset, epg.channelOffset + EPG_VISIBLE_CHANNELS);
+
+    updateEpgRangeLabel();
+
+    const programsByChannel = await Promise.all(
+      visibleChannels.map(ch => getEpgPrograms(ch, epg.broadcastType, windowStart, windowEnd))
+    );
+
+    if (loadId !== epg.loadId) return;
+
+    renderEpgGrid(visibleChannels, programsByChannel, windowStart, windowEnd);
+    focusEpgCell(focusHint);
+  } catch (err) {
+    if (isAbortError(err) || loadId !== epg.loadId) return;
+    console.error('[nasne] Failed to load EPG:', err);
+    gridEl.innerHTML = `<div class="loading-message">${escapeHtml(describeError(err, '番組表の取得に失敗しました'))}</div>`;
+  }
+}
+
+/**
+ * Get programs of a channel overlapping [from, to), fetched per day and cached.
+ */
+async function getEpgPrograms(channel, broadcastType, from, to) {
+  const days = [];
+  for (let day = getDayStart(from); day < to; day += DAY_MS) {
+    days.push(fetchEpgDay(channel, broadcastType, day));
+  }
+  const programs = [].concat(...await Promise.all(days));
+
+  // A program crossing midnight shows up in both days
+  const seen = new Set();
+  return programs.filter(p => {
+    const start = new Date(p.startDateTime).getTime();
+    const end = start + (p.duration || 0) * 1000;
+    const key = p.eventId || `${start}:${p.title}`;
+    if (seen.has(key) || end <= from || start >= to) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function fetchEpgDay(channel, broadcastType, dayStart) {
+  const key = `${broadcastType}:${channel.serviceId}:${dayStart}`;
+  if (!state.epg.cache.has(key)) {
+    const promise = state.nasne.getChannelEpg(channel, new Date(dayStart), DAY_MS / 1000)
+      .catch(err => {
+        // Don't cache failures
+        state.epg.cache.delete(key);
+        throw err;
+      });
+    state.epg.cache.set(key, promise);
+  }
+  return state.epg.cache.get(key);
+}
+
+function updateEpgRangeLabel() {
+  const start = new Date(state.epg.windowStart);
+  const end = new Date(state.epg.windowStart + EPG_VISIBLE_HOURS * HOUR_MS);
+  const weekday = '日月火水木金土'[start.getDay()];
+  document.getElementById('epg-range').textContent =
+    `${start.getMonth() + 1}/${start.getDate()}(${weekday}) ${formatTime(start)} 〜 ${formatTime(end)}`;
+}
+
+function renderEpgGrid(channels, programsByChannel, windowStart, windowEnd) {
+  const gridEl = document.getElementById('epg-grid');
+  const pxPerMs = EPG_HOUR_HEIGHT / HOUR_MS;
+  const now = Date.now();
+
+  const headerCells = channels.map(ch => `
+    <div class="epg-channel-header">${escapeHtml(ch.name)}</div>
+  `).join('');
+
+  let timeLabels = '';
+  for (let t = windowStart; t < windowEnd; t += HOUR_MS) {
+    timeLabels += `<div class="epg-time-label" style="height: ${EPG_HOUR_HEIGHT}px">${new Date(t).getHours()}</div>`;
+  }
+
+  gridEl.innerHTML = `
+    <div class="epg-header-row">
+      <div class="epg-time-corner"></div>
+      ${headerCells}
+    </div>
+    <div class="epg-body">
+      <div class="epg-time-column">${timeLabels}</div>
+    </div>
+  `;
+
+  const bodyEl = gridEl.querySelector('.epg-body');
+  channels.forEach((channel, col) => {
+    const column = document.createElement('div');
+    column.className = 'epg-column';
+    column.style.height = `${EPG_VISIBLE_HOURS * EPG_HOUR_HEIGHT}px`;
+
+    programsByChannel[col].forEach(program => {
+      const start = new Date(program.startDateTime).getTime();
+      const end = start + (program.duration || 0) * 1000;
+      const top = (Math.max(start, windowStart) - windowStart) * pxPerMs;
+      const height = (Math.min(end, windowEnd) - Math.max(start, windowStart)) * pxPerMs;
+
+      const cell = document.createElement('div');
+      cell.className = 'epg-cell focusable';
+      if (end <= now) cell.classList.add('past');
+      if (start <= now && now < end) cell.classList.add('on-air');
+      cell.tabIndex = 0;
+      cell.dataset.col = col;
+      cell.dataset.start = start;
+      cell.dataset.end = end;
+      cell.style.top = `${top}px`;
+      cell.style.height = `${height}px`;
+      cell.innerHTML = `
+        <span class="epg-cell-time">${formatTime(start)}</span>
+        <span class="epg-cell-title">${escapeHtml(program.title || '番組名不明')}</span>
+      `;
+      cell.addEventListener('click', () => openEpgDetail(program, channel));
+      column.appendChild(cell);
+    });
+
+    bodyEl.appendChild(column);
+  });
+}
+
+/**
+ * Focus a cell after re-rendering.
+ * @param {Object} [hint]
+ * @param {number} hint.col - column index
+ * @param {number} hint.time - ms, the cell covering this time is preferred
+ */
+function focusEpgCell(hint) {
+  if (!hint) return;
+  const cells = Array.from(document.querySelectorAll(`.epg-cell[data-col="${hint.col}"]`));
+  const target = cells.find(c => Number(c.dataset.start) <= hint.time && hint.time < Number(c.dataset.end))
+    || cells[0]
+    || document.querySelector('.epg-cell');
+  if (target) {
+    target.focus();
+    target.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function shiftEpgWindow(hours, focusHint) {
+  const epg = state.epg;
+  const next = Math.min(getEpgMaxStart(), Math.max(getEpgMinStart(), epg.windowStart + hours * HOUR_MS));
+  if (next === epg.windowStart) return false;
+  epg.windowStart = next;
+  loadEpg(focusHint);
+  return true;
+}
+
+function shiftEpgChannels(delta, focusHint) {
+  const epg = state.epg;
+  const maxOffset = Math.max(0, epg.channels.length - EPG_VISIBLE_CHANNELS);
+  const next = Math.min(maxOffset, Math.max(0, epg.channelOffset + delta));
+  if (next === epg.channelOffset) return false;
+  epg.channelOffset = next;
+  loadEpg(focusHint);
+  return true;
+}
+
+/**
+ * D-pad inside the EPG grid: move between cells, and page by an hour
+ * (UP/DOWN) or a channel (LEFT/RIGHT) when the focus hits the grid edge.
+ * @returns {boolean} true if the key was handled
+ */
+function handleEpgDpad(keyCode, current) {
+  const cells = Array.from(document.querySelectorAll('.epg-cell'));
+  const next = findNextFocus(current, cells, keyCode);
+  if (next) {
+    next.focus();
+    next.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    return true;
+  }
+
+  const col = Number(current.dataset.col);
+  const start = Number(current.dataset.start);
+  const end = Number(current.dataset.end);
+
+  const newStart = state.epg.windowStart - HOUR_MS;
+  const newEnd = state.epg.windowStart + (EPG_VISIBLE_HOURS + 1) * HOUR_MS;
+
+  // Move on to the neighbouring program once it comes into view,
+  // otherwise keep a long program focused while paging through it
+  switch (keyCode) {
+    case KEY.UP:
+      return shiftEpgWindow(-1, { col, time: start > newStart ? start - 1 : start });
+    case KEY.DOWN:
+      return shiftEpgWindow(1, { col, time: end < newEnd ? end : start });
+    case KEY.LEFT:
+      return shiftEpgChannels(-1, { col, time: start });
+    case KEY.RIGHT:
+      return shiftEpgChannels(1, { col, time: start });
+  }
+  return false;
+}
+
+function openEpgDetail(program, channel) {
+  const start = new Date(program.startDateTime);
+  const end = new Date(start.getTime() + (program.duration || 0) * 1000);
+
+  document.getElementById('epg-detail-title').textContent = program.title || '番組名不明';
+  document.getElementById('epg-detail-meta').innerHTML = `
+    <span class="program-meta-item">📅 ${formatDateTime(start)} 〜 ${formatTime(end)}</span>
+    ${program.duration ? `<span class="program-meta-item">⏱ ${formatDuration(program.duration)}</span>` : ''}
+    <span class="program-meta-item">📺 ${escapeHtml(channel.name)}</span>
+  `;
+  document.getElementById('epg-detail-description').textContent =
+    program.descriptionLong || program.description || '番組の詳細情報はありません。';
+
+  const overlay = document.getElementById('epg-detail-overlay');
+  const oldBtn = document.getElementById('epg-detail-record');
+  // Replace the button to drop the listener of the previously opened program
+  const recordBtn = oldBtn.cloneNode(true);
+  oldBtn.replaceWith(recordBtn);
+  recordBtn.disabled = end.getTime() <= Date.now();
+  recordBtn.addEventListener('click', () => {
+    closeOverlay(overlay);
+    openReserveOptions(program, channel, { broadcastingType: state.epg.broadcastType });
+  });
+
+  openOverlay(overlay);
+  recordBtn.focus();
+}
+
+// ─── Search ──────────────────────────────────────────────
+const SEARCH_MAX_RESULTS = 200;
+const UPCOMING_TTL_MS = 15 * 60 * 1000;
+
+function initSearch() {
+  const input = document.getElementById('search-keyword');
+  document.getElementById('btn-search').addEventListener('click', runSearch);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') runSearch();
+  });
+}
+
+/**
+ * Fetch the EPG of every channel for all broadcasting types over the next
+ * EPG_DAYS days. The result is shared and reused for UPCOMING_TTL_MS.
+ * @param {Function} [onProgress] - called with (done, total)
+ * @returns {Promise<Array<{program: Object, channel: Object, broadcastingType: number}>>}
+ */
+async function fetchUpcomingPrograms(onProgress) {
+  const upcoming = state.upcoming;
+  if (upcoming.entries && Date.now() - upcoming.fetchedAt < UPCOMING_TTL_MS) {
+    return upcoming.entries;
+  }
+  if (upcoming.promise) return upcoming.promise;
+
+  const nasne = state.nasne;
+  upcoming.promise = (async () => {
+    const types = Object.values(NasneClient.BroadcastingType);
+    const lists = await Promise.all(types.map(type => nasne.getChannelList(type)));
+    const targets = [];
+    lists.forEach((channels, i) => {
+      channels.forEach(channel => targets.push({ channel, broadcastingType: types[i] }));
+    });
+
+    const from = new Date();
+    let done = 0;
+    const perChannel = await mapWithConcurrency(targets, 4, async ({ channel, broadcastingType }) => {
+      let programs = [];
+      try {
+        programs = await nasne.getChannelEpg(channel, from, EPG_DAYS * DAY_MS / 1000);
+      } catch (err) {
+        // One broken channel shouldn't fail the whole search
+        console.warn(`[nasne] EPG fetch failed for ${channel.serviceId}:`, err);
+      }
+      done++;
+      if (onProgress) onProgress(done, targets.length);
+      return programs.map(program => ({ program, channel, broadcastingType }));
+    });
+
+    const entries = [].concat(...perChannel);
+    if (state.nasne === nasne) {
+      upcoming.entries = entries;
+      upcoming.fetchedAt = Date.now();
+    }
+    return entries;
+  })().finally(() => {
+    upcoming.promise = null;
+  });
+
+  return upcoming.promise;
+}
+
+/**
+ * Normalize text for keyword matching: full/half width, case and kana.
+ */
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\u30a1-\u30f6]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Check whether a title contains every whitespace-separated keyword.
+ */
+function matchesKeyword(title, keyword) {
+  const target = normalizeSearchText(title);
+  return String(keyword).split(/[\s\u3000]+/)
+    .map(normalizeSearchText)
+    .filter(Boolean)
+    .every(term => target.includes(term));
+}
+
+async function runSearch() {
+  const keyword = document.getElementById('search-keyword').value.trim();
+  const listEl = document.getElementById('search-results');
+  const statusEl = document.getElementById('search-status');
+
+  if (!state.nasne) {
+    listEl.innerHTML = '<div class="loading-message">nasne に接続してください</div>';
+    return;
+  }
+  if (!keyword) {
+    statusEl.textContent = 'キーワードを入力してください';
+    return;
+  }
+
+  listEl.innerHTML = '<div class="loading-message">検索中...</div>';
+  statusEl.textContent = '';
+
+  try {
+    const entries = await fetchUpcomingPrograms((done, total) => {
+      statusEl.textContent = `番組表を取得中... ${done}/${total}`;
+    });
+
+    const now = Date.now();
+    const results = entries
+      .filter(({ program }) => {
+        const end = new Date(program.startDateTime).getTime() + (program.duration || 0) * 1000;
+        return end > now && matchesKeyword(program.title, keyword);
+      })
+      .sort((a, b) => new Date(a.program.startDateTime) - new Date(b.program.startDateTime));
+
+    statusEl.textContent = `${results.length} 件`;
+    renderSearchResults(results.slice(0, SEARCH_MAX_RESULTS));
+  } catch (err) {
+    console.error('[nasne] Search failed:', err);
+    statusEl.textContent = '';
+    listEl.innerHTML = '<div class="loading-message">検索に失敗しました</div>';
+  }
+}
+
+function renderSearchResults(results) {
+  const listEl = document.getElementById('search-results');
+
+  if (results.length === 0) {
+    listEl.innerHTML = '<div class="loading-message">該当する番組はありません</div>';
+    return;
+  }
+
+  listEl.innerHTML = '';
+  results.forEach(({ program, channel, broadcastingType }) => {
+    const item = document.createElement('div');
+    item.className = 'reservation-item';
+
+    const start = new Date(program.startDateTime);
+    const end = new Date(start.getTime() + (program.duration || 0) * 1000);
+    const duration = program.duration ? formatDuration(program.duration) : '';
+
+    item.innerHTML = `
+      <div class="reservation-info">
+        <div class="reservation-title">${escapeHtml(program.title || '番組名不明')}</div>
+        <div class="reservation-time">${formatDateTime(start)} 〜 ${formatTime(end)}${duration ? ' / ' + duration : ''}</div>
+        <div class="reservation-channel">${getBroadcastTypeLabel(broadcastingType)} ${escapeHtml(channel.name)}</div>
+      </div>
+      <button class="btn btn-record focusable" tabindex="0">録画予約</button>
+    `;
+
+    const recordBtn = item.querySelector('.btn-record');
+    recordBtn.addEventListener('click', async () => {
+      recordBtn.disabled = true;
+      const ok = await recordProgram(program, channel, { broadcastingType });
+      if (ok) {
+        recordBtn.textContent = '予約済';
+      } else {
+        recordBtn.disabled = false;
+      }
+    });
+
+    listEl.appendChild(item);
+  });
+
+  const first = listEl.querySelector('.focusable');
+  if (first) first.focus();
+}
+
+// ─── Auto Reservation (キーワード自動予約) ─────────────────
+const AUTO_RESERVE_INTERVAL_MS = 60 * 60 * 1000;
+const AUTO_LOG_MAX_ENTRIES = 300;
+const AUTO_RETRY_LIMIT = 3; // failed creates per event before a rule gives up on it
+const AUTO_RETRY_BACKOFF_MS = 2 * 60 * 60 * 1000; // doubled after each failure
+const WEEKDAY_LABELS = '日月火水木金土';
+
+function initAutoReservation() {
+  document.getElementById('btn-add-rule').addEventListener('click', () => openRuleEditor(null));
+  document.getElementById('btn-run-auto').addEventListener('click', () => runAutoReservation());
+
+  initStepper(document.getElementById('rule-hour-from'), {
+    values: Array.from({ length: 24 }, (_, h) => h),
+    format: h => `${h}:00`,
+  });
+  initStepper(document.getElementById('rule-hour-to'), {
+    values: Array.from({ length: 24 }, (_, h) => h + 1),
+    format: h => `${h}:00`,
+  });
+  initToggleGroup(document.getElementById('rule-types'));
+  initToggleGroup(document.getElementById('rule-weekdays'));
+  initToggleGroup(document.getElementById('rule-quality'));
+
+  document.getElementById('rule-editor-cancel').addEventListener('click', () => {
+    closeOverlay(document.getElementById('rule-editor-overlay'));
+  });
+  document.getElementById('rule-editor-save').addEventListener('click', saveRuleFromEditor);
+}
+
+function loadAutoRules() {
+  try {
+    return JSON.parse(localStorage.getItem('nasne_auto_rules')) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveAutoRules(rules) {
+  localStorage.setItem('nasne_auto_rules', JSON.stringify(rules));
+}
+
+function loadAutoLog() {
+  try {
+    return JSON.parse(localStorage.getItem('nasne_auto_log')) || [];
+  } catch {
+    return [];
+  }
+}
+
+function appendAutoLog(entry) {
+  const log = loadAutoLog();
+  log.push({ ...entry, at: new Date().toISOString() });
+  localStorage.setItem('nasne_auto_log', JSON.stringify(log.slice(-AUTO_LOG_MAX_ENTRIES)));
+}
+
+/**
+ * Start evaluating rules now and then every AUTO_RESERVE_INTERVAL_MS.
+ */
+function startAutoReservation() {
+  clearInterval(state.autoReserve.timer);
+  state.autoReserve.timer = setInterval(runAutoReservation, AUTO_RESERVE_INTERVAL_MS);
+  runAutoReservation();
+}
+
+/**
+ * Check whether an hour falls in [from, to). Ranges may wrap past midnight.
+ */
+function isHourInRange(hour, from, to) {
+  if (from < to) return hour >= from && hour < to;
+  return hour >= from || hour < to;
+}
+
+/**
+ * Check whether an upcoming EPG entry satisfies a rule.
+ * @param {Object} rule
+ * @param {{program: Object, broadcastingType: number}} entry
+ */
+function matchesRule(rule, entry) {
+  const { program, broadcastingType } = entry;
+  if (rule.broadcastingTypes.length > 0 && !rule.broadcastingTypes.includes(broadcastingType)) {
+    return false;
+  }
+  if (!matchesKeyword(program.title, rule.keyword)) return false;
+
+  const start = new Date(program.startDateTime);
+  if (rule.weekdays.length > 0 && !rule.weekdays.includes(start.getDay())) return false;
+  return isHourInRange(start.getHours(), rule.fromHour, rule.toHour);
+}
+
+/**
+ * Key identifying a broadcast event across EPG and reservation payloads.
+ */
+function getEventKey(serviceId, eventId, startDateTime) {
+  return eventId ? `${serviceId}:e${eventId}` : `${serviceId}:t${new Date(startDateTime).getTime()}`;
+}
+
+/**
+ * Whether a match whose reservation failed before may be tried again: once
+ * AUTO_RETRY_BACKOFF_MS has passed, doubled per failure, up to AUTO_RETRY_LIMIT tries.
+ * @param {{count: number, lastAt: number}|undefined} failure
+ * @param {number} now
+ */
+function isAutoRetryDue(failure, now) {
+  if (!failure) return true;
+  if (failure.count >= AUTO_RETRY_LIMIT) return false;
+  return now - failure.lastAt >= AUTO_RETRY_BACKOFF_MS * 2 ** (failure.count - 1);
+}
+
+/**
+ * Evaluate every enabled rule against the upcoming EPG and reserve new matches.
+ * Events already reserved, reserved by a rule before, or reported as
+ * conflicting by nasne are skipped; failed ones are retried with a backoff.
+ */
+async function runAutoReservation() {
+  const rules = loadAutoRules().filter(r => r.enabled);
+  if (!state.nasne || state.autoReserve.running || rules.length === 0) return;
+
+  state.autoReserve.running = true;
+  setAutoStatus('自動予約を実行中...');
+  let reservedCount = 0;
+
+  try {
+    // Reservations on any unit count, so a program is only reserved once
+    const [entries, reserved] = await Promise.all([
+      fetchUpcomingPrograms(),
+      fetchFromAllDevices(client => client.getReservedList()),
+    ]);
+
+    const reservedKeys = new Set();
+    reserved.forEach(res => {
+      reservedKeys.add(getEventKey(res.serviceId, res.eventId, res.startDateTime));
+      reservedKeys.add(getEventKey(res.serviceId, null, res.startDateTime));
+    });
+
+    // Events a rule has handled before stay handled, even if the user
+    // deleted the reservation afterwards
+    const log = loadAutoLog();
+    const handledKeys = new Set(log.map(e => `${e.ruleId}:${e.result}:${e.eventKey}`));
+    const failures = new Map(); // `${ruleId}:${eventKey}` -> { count, lastAt }
+    log.filter(e => e.result === 'failed').forEach(e => {
+      const key = `${e.ruleId}:${e.eventKey}`;
+      const previous = failures.get(key);
+      failures.set(key, { count: (previous ? previous.count : 0) + 1, lastAt: new Date(e.at).getTime() });
+    });
+
+    const now = Date.now();
+    for (const rule of rules) {
+      const matches = entries.filter(entry =>
+        new Date(entry.program.startDateTime).getTime() > now && matchesRule(rule, entry));
+
+      for (const { program, channel, broadcastingType } of matches) {
+        const eventKey = getEventKey(channel.serviceId, program.eventId, program.startDateTime);
+        if (reservedKeys.has(eventKey) ||
+          reservedKeys.has(getEventKey(channel.serviceId, null, program.startDateTime)) ||
+          handledKeys.has(`${rule.id}:reserved:${eventKey}`) ||
+          !isAutoRetryDue(failures.get(`${rule.id}:${eventKey}`), now)) {
+          continue;
+        }
+
+        const logEntry = {
+          ruleId: rule.id,
+          eventKey,
+          title: program.title || '',
+          startDateTime: program.startDateTime,
+          channelName: channel.name,
+        };
+
+        const params = {
+          title: program.title || '',
+          startDateTime: program.startDateTime,
+          duration: program.duration,
+          serviceId: channel.serviceId,
+          broadcastingType,
+          eventId: program.eventId,
+          quality: rule.quality,
+        };
+
+        try {
+          const { client, conflicts } = await pickReservationTarget(params);
+          if (conflicts.length > 0) {
+            // Logged once; retried on the next run in case the conflict went away
+            if (!handledKeys.has(`${rule.id}:conflict:${eventKey}`)) {
+              appendAutoLog({ ...logEntry, result: 'conflict' });
+              handledKeys.add(`${rule.id}:conflict:${eventKey}`);
+            }
+            continue;
+          }
+
+          await client.createReservation(params);
+          appendAutoLog({ ...logEntry, result: 'reserved' });
+          reservedKeys.add(eventKey);
+          reservedCount++;
+        } catch (err) {
+          console.error('[nasne] Auto reservation failed:', err);
+          appendAutoLog({ ...logEntry, result: 'failed' });
+        }
+      }
+    }
+
+    state.autoReserve.lastRunAt = new Date();
+    setAutoStatus(`最終実行: ${formatDateTime(state.autoReserve.lastRunAt)}（${reservedCount} 件予約）`);
+    if (reservedCount > 0) {
+      showToast(`自動予約で ${reservedCount} 件の録画を予約しました`, 'success');
+    }
+  } catch (err) {
+    console.error('[nasne] Auto reservation run failed:', err);
+    setAutoStatus('自動予約の実行に失敗しました');
+  } finally {
+    state.autoReserve.running = false;
+    if (state.currentScreen === 'auto') renderAutoRules();
+  }
+}
+
+function setAutoStatus(text) {
+  document.getElementById('auto-status').textContent = text;
+}
+
+function describeRule(rule) {
+  const types = rule.broadcastingTypes.length > 0
+    ? rule.broadcastingTypes.map(getBroadcastTypeLabel).join('・')
+    : '全放送波';
+  const days = rule.weekdays.length > 0 && rule.weekdays.length < 7
+    ? [1, 2, 3, 4, 5, 6, 0].filter(d => rule.weekdays.includes(d)).map(d => WEEKDAY_LABELS[d]).join('')
+    : '毎日';
+  const hours = rule.fromHour === 0 && rule.toHour === 24 ? '終日' : `${rule.fromHour}:00〜${rule.toHour}:00`;
+  return `${types} / ${days} / ${hours} / ${formatQuality(rule.quality)}`;
+}
+
+function renderAutoRules() {
+  const listEl = document.getElementById('rule-list');
+  const rules = loadAutoRules();
+  const log = loadAutoLog();
+
+  if (rules.length === 0) {
+    listEl.innerHTML = '<div class="loading-message">自動予約ルールはありません</div>';
+    return;
+  }
+
+  const resultLabels = { reserved: '予約', conflict: '競合のため見送り', failed: '失敗' };
+
+  listEl.innerHTML = '';
+  rules.forEach(rule => {
+    const item = document.createElement('div');
+    item.className = 'rule-item';
+    if (!rule.enabled) item.classList.add('disabled');
+
+    const ruleLog = log.filter(e => e.ruleId === rule.id).slice(-10).reverse();
+    const logHtml = ruleLog.length > 0
+      ? ruleLog.map(e => `
+          <li class="rule-log-entry ${e.result}">
+            <span>${formatDateTime(e.startDateTime)}</span>
+            <span>${escapeHtml(e.title)}</span>
+            <span>${escapeHtml(e.channelName)}</span>
+            <span>${resultLabels[e.result] || e.result}</span>
+          </li>`).join('')
+      : '<li class="rule-log-entry">まだ予約はありません</li>';
+
+    item.innerHTML = `
+      <div class="reservation-item">
+        <div class="reservation-info">
+          <div class="reservation-title">${escapeHtml(rule.keyword)}</div>
+          <div class="reservation-time">${escapeHtml(describeRule(rule))}</div>
+        </div>
+        <div class="row-actions">
+          <button class="btn focusable rule-toggle" tabindex="0">${rule.enabled ? '有効' : '無効'}</button>
+          <button class="btn focusable rule-log-btn" tabindex="0">履歴</button>
+          <button class="btn focusable rule-edit" tabindex="0">編集</button>
+          <button class="btn btn-danger focusable rule-delete" tabindex="0">削除</button>
+        </div>
+      </div>
+      <ul class="rule-log hidden">${logHtml}</ul>
+    `;
+
+    item.querySelector('.rule-toggle').addEventListener('click', () => {
+      updateAutoRule(rule.id, { enabled: !rule.enabled });
+    });
+    item.querySelector('.rule-log-btn').addEventListener('click', () => {
+      item.querySelector('.rule-log').classList.toggle('hidden');
+    });
+    item.querySelector('.rule-edit').addEventListener('click', () => openRuleEditor(rule));
+    item.querySelector('.rule-delete').addEventListener('click', () => {
+      saveAutoRules(loadAutoRules().filter(r => r.id !== rule.id));
+      showToast('ルールを削除しました', 'success');
+      renderAutoRules();
+      setInitialFocus();
+    });
+
+    listEl.appendChild(item);
+  });
+}
+
+function updateAutoRule(id, changes) {
+  const rules = loadAutoRules().map(r => (r.id === id ? { ...r, ...changes } : r));
+  saveAutoRules(rules);
+  renderAutoRules();
+  // Keep focus on the toggle of the re-rendered row
+  const row = document.querySelectorAll('#rule-list .rule-item')[rules.findIndex(r => r.id === id)];
+  if (row) row.querySelector('.rule-toggle').focus();
+}
+
+function openRuleEditor(rule) {
+  const overlay = document.getElementById('rule-editor-overlay');
+  state.autoReserve.editingId = rule ? rule.id : null;
+
+  document.getElementById('rule-editor-heading').textContent = rule ? 'ルール編集' : 'ルール追加';
+  document.getElementById('rule-keyword').value = rule ? rule.keyword : '';
+  setToggleGroupValues(document.getElementById('rule-types'), rule ? rule.broadcastingTypes : []);
+  setToggleGroupValues(document.getElementById('rule-weekdays'), rule ? rule.weekdays : []);
+  setToggleGroupValues(document.getElementById('rule-quality'), [rule ? rule.quality : state.quality]);
+  setStepperValue(document.getElementById('rule-hour-from'), rule ? rule.fromHour : 0);
+  setStepperValue(document.getElementById('rule-hour-to'), rule ? rule.toHour : 24);
+  document.getElementById('rule-editor-error').textContent = '';
+
+  openOverlay(overlay);
+  document.getElementById('rule-keyword').focus();
+}
+
+function saveRuleFromEditor() {
+  const keyword = document.getElementById('rule-keyword').value.trim();
+  const fromHour = getStepperValue(document.getElementById('rule-hour-from'));
+  const toHour = getStepperValue(document.getElementById('rule-hour-to'));
+  const errorEl = document.getElementById('rule-editor-error');
+
+  if (!keyword) {
+    errorEl.textContent = 'キーワードを入力してください';
+    return;
+  }
+
+  const values = {
+    keyword,
+    broadcastingTypes: getToggleGroupValues(document.getElementById('rule-types')).map(Number),
+    weekdays: getToggleGroupValues(document.getElementById('rule-weekdays')).map(Number),
+    fromHour,
+    toHour,
+    quality: Number(getToggleGroupValues(document.getElementById('rule-quality'))[0]) || NasneClient.Quality.DR,
+  };
+
+  const rules = loadAutoRules();
+  const editingId = state.autoReserve.editingId;
+  if (editingId) {
+    saveAutoRules(rules.map(r => (r.id === editingId ? { ...r, ...values } : r)));
+  } else {
+    rules.push({ id: Date.now().toString(36), enabled: true, ...values });
+    saveAutoRules(rules);
+  }
+
+  closeOverlay(document.getElementById('rule-editor-overlay'));
+  showToast('ルールを保存しました', 'success');
+  renderAutoRules();
+  runAutoReservation();
+}
+
+// ─── Recordings ─────────────────────────────────────────
+const RECORDINGS_PAGE_SIZE = 50;
+const RECORDING_BITRATES = { DR: 17e6, THREE_X: 5.7e6 }; // bps, typical for 地デジ
+const GENRE_LABELS = [
+  'ニュース・報道', 'スポーツ', '情報・ワイドショー', 'ドラマ', '音楽', 'バラエティ',
+  '映画', 'アニメ・特撮', 'ドキュメンタリー・教養', '劇場・公演', '趣味・教育', '福祉',
+];
+const RECORDING_SORTS = {
+  date: { label: '新しい順', compare: (a, b) => new Date(b.startDateTime || 0) - new Date(a.startDateTime || 0) },
+  title: { label: 'タイトル順', compare: (a, b) => (a.title || '').localeCompare(b.title || '', 'ja') },
+  channel: { label: 'チャンネル順', compare: (a, b) => (a.channelName || '').localeCompare(b.channelName || '', 'ja') },
+  duration: { label: '長い順', compare: (a, b) => (b.duration || 0) - (a.duration || 0) },
+};
+
+function initRecordings() {
+  document.getElementById('btn-refresh-recordings').addEventListener('click', loadRecordings);
+
+  initStepper(document.getElementById('recording-sort'), {
+    values: Object.keys(RECORDING_SORTS),
+    format: key => RECORDING_SORTS[key].label,
+    onChange: sort => {
+      state.library.sort = sort;
+      renderRecordings();
+    },
+  });
+  initStepper(document.getElementById('recording-filter-channel'), {
+    values: [''],
+    format: name => name || '全チャンネル',
+    onChange: name => {
+      state.library.filterChannel = name;
+      renderRecordings();
+    },
+  });
+  initStepper(document.getElementById('recording-filter-genre'), {
+    values: [''],
+    format: genre => genre || '全ジャンル',
+    onChange: genre => {
+      state.library.filterGenre = genre;
+      renderRecordings();
+    },
+  });
+  initStepper(document.getElementById('recording-filter-watched'), {
+    values: ['all', 'unwatched', 'watched'],
+    format: value => ({ all: 'すべて', unwatched: '未視聴', watched: '視聴済み' })[value],
+    onChange: value => {
+      state.library.filterWatched = value;
+      renderRecordings();
+    },
+  });
+
+  const selectBtn = document.getElementById('btn-recording-select');
+  selectBtn.addEventListener('click', () => {
+    state.library.selecting = !state.library.selecting;
+    state.library.selected.clear();
+    selectBtn.classList.toggle('active', state.library.selecting);
+    renderRecordings();
+  });
+  document.getElementById('btn-recording-delete-selected').addEventListener('click', () => {
+    const selected = state.recordings.filter(rec => state.library.selected.has(getRecordingKey(rec)));
+    if (selected.length > 0) confirmDeleteRecordings(selected);
+  });
+  document.getElementById('btn-recording-queue-selected').addEventListener('click', () => {
+    const selected = state.recordings.filter(rec => state.library.selected.has(getRecordingKey(rec)));
+    if (selected.length > 0) enqueueRecordings(selected);
+  });
+  document.getElementById('btn-play-queue').addEventListener('click', playQueue);
+  document.getElementById('btn-clear-queue').addEventListener('click', () => {
+    clearQueue();
+    showToast('キューを空にしました', 'success');
+  });
+  updateQueueButtons();
+
+  const groupBtn = document.getElementById('btn-recording-group');
+  groupBtn.addEventListener('click', () => {
+    state.library.grouped = !state.library.grouped;
+    state.library.folder = null;
+    groupBtn.classList.toggle('active', state.library.grouped);
+    renderRecordings();
+  });
+}
+
+async function loadRecordings() {
+  if (!state.nasne) {
+    document.getElementById('recording-list').innerHTML =
+      '<div class="loading-message">nasne に接続してください</div>';
+    return;
+  }
+
+  const listEl = document.getElementById('recording-list');
+  listEl.innerHTML = '<div class="loading-message">読み込み中...</div>';
+
+  state.recordings = [];
+  state.library.folder = null;
+  state.library.selected.clear();
+
+  try {
+    state.recordings = await fetchAllRecordings((loaded, total) => {
+      listEl.innerHTML = `<div class="loading-message">読み込み中... ${loaded}${total !== null ? ` / ${total}` : ''} 件</div>`;
+    });
+    renderRecordings();
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error('[nasne] Failed to load recordings:', err);
+    listEl.innerHTML = `<div class="loading-message">${escapeHtml(describeError(err, '録画一覧の取得に失敗しました'))}</div>`;
+  }
+}
+
+/**
+ * Fetch every recorded title of every unit, a page of RECORDINGS_PAGE_SIZE at
+ * a time. Sorting and filtering need the whole library, so nothing is shown
+ * from a partial list.
+ * @param {Function} [onProgress] - called with (loaded, total) after each page; total is null while unknown
+ * @returns {Promise<Object[]>}
+ */
+async function fetchAllRecordings(onProgress) {
+  const progress = new Map(); // deviceId -> { loaded, total }
+  const devices = getConnectedDevices();
+  const report = () => {
+    if (!onProgress) return;
+    const counts = devices.map(d => progress.get(d.id) || { loaded: 0, total: null });
+    const loaded = counts.reduce((sum, c) => sum + c.loaded, 0);
+    const total = counts.every(c => c.total !== null) ? counts.reduce((sum, c) => sum + c.total, 0) : null;
+    onProgress(loaded, total);
+  };
+
+  return fetchFromAllDevices(async (client, device) => {
+    const items = [];
+    for (;;) {
+      const { items: page, totalMatches } = await screenClient(client).getRecordedTitleList({
+        startingIndex: items.length,
+        requestedCount: RECORDINGS_PAGE_SIZE,
+      });
+      items.push(...page);
+      const done = page.length < RECORDINGS_PAGE_SIZE || (totalMatches !== null && items.length >= totalMatches);
+      progress.set(device.id, { loaded: items.length, total: done ? items.length : totalMatches });
+      report();
+      if (done) return items;
+    }
+  });
+}
+
+/**
+ * Key of a recording that is unique across units.
+ */
+function getRecordingKey(rec) {
+  return `${rec.deviceId}:${rec.id}`;
+}
+
+function isRecordingWatched(rec) {
+  // nasne's played flag, or finished here (nasne's API can't set the flag)
+  const entry = getPlaybackPosition(rec);
+  return rec.watched || Boolean(entry && entry.watched);
+}
+
+/**
+ * Genre name of a recording's major ARIB content genre.
+ */
+function getRecordingGenre(rec) {
+  return rec.genreId !== null ? GENRE_LABELS[rec.genreId] || '' : '';
+}
+
+/**
+ * Series key of a title: drops broadcast tags ([字][再]…), episode numbers
+ * and subtitles so episodes of the same program share one key.
+ */
+function getSeriesKey(title) {
+  return String(title || '')
+    .normalize('NFKC')
+    .replace(/[[【(][^\]】)]{1,3}[\]】)]/g, '')
+    .replace(/(第\s*\d+\s*[話回]|#\s*\d+|episode\s*\d+|ep\.?\s*\d+).*$/i, '')
+    .replace(/「.*$/, '')
+    .replace(/\s+\d+\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Update the channel/genre filter choices from the loaded recordings.
+ */
+function updateRecordingFilters() {
+  const channels = [...new Set(state.recordings.map(r => r.channelName).filter(Boolean))].sort();
+  const genres = GENRE_LABELS.filter(g => state.recordings.some(r => getRecordingGenre(r) === g));
+  setStepperValue(document.getElementById('recording-filter-channel'), state.library.filterChannel, ['', ...channels]);
+  setStepperValue(document.getElementById('recording-filter-genre'), state.library.filterGenre, ['', ...genres]);
+  state.library.filterChannel = getStepperValue(document.getElementById('recording-filter-channel'));
+  state.library.filterGenre = getStepperValue(document.getElementById('recording-filter-genre'));
+}
+
+/**
+ * Loaded recordings after filters and sort.
+ */
+function getVisibleRecordings() {
+  const lib = state.library;
+  return state.recordings
+    .filter(rec => !lib.filterChannel || rec.channelName === lib.filterChannel)
+    .filter(rec => !lib.filterGenre || getRecordingGenre(rec) === lib.filterGenre)
+    .filter(rec => lib.filterWatched === 'all' || isRecordingWatched(rec) === (lib.filterWatched === 'watched'))
+    .sort(RECORDING_SORTS[lib.sort].compare);
+}
+
+/**
+ * Group sorted recordings into series folders. Series with a single episode
+ * stay as plain recordings; order follows each group's first recording.
+ * @returns {Array<{recording: Object}|{key: string, recordings: Object[]}>}
+ */
+function groupRecordings(recordings) {
+  const groups = new Map();
+  recordings.forEach(rec => {
+    const key = getSeriesKey(rec.title) || rec.title || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(rec);
+  });
+  return [...groups.entries()].map(([key, recs]) =>
+    (recs.length > 1 ? { key, recordings: recs } : { recording: recs[0] }));
+}
+
+/**
+ * Render the library grid from the loaded recordings.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepFocusIndex] - refocus the tile at the same position
+ */
+function renderRecordings(options = {}) {
+  const listEl = document.getElementById('recording-list');
+  const lib = state.library;
+  const focusIndex = Array.from(listEl.children).indexOf(document.activeElement);
+
+  updateRecordingFilters();
+
+  if (state.recordings.length === 0) {
+    listEl.innerHTML = '<div class="loading-message">録画はありません</div>';
+    return;
+  }
+
+  let recordings = getVisibleRecordings();
+  let entries;
+  listEl.innerHTML = '';
+
+  if (lib.folder !== null) {
+    recordings = recordings.filter(rec => (getSeriesKey(rec.title) || rec.title || '') === lib.folder);
+    entries = recordings.map(recording => ({ recording }));
+    listEl.appendChild(createFolderBackTile(lib.folder, recordings.length));
+    const unwatched = getUnwatchedEpisodes(recordings);
+    if (unwatched.length > 0) listEl.appendChild(createPlayAllTile(unwatched));
+  } else {
+    entries = lib.grouped ? groupRecordings(recordings) : recordings.map(recording => ({ recording }));
+  }
+
+  if (entries.length === 0) {
+    listEl.insertAdjacentHTML('beforeend', '<div class="loading-message">条件に合う録画はありません</div>');
+  }
+
+  entries.forEach(entry => {
+    listEl.appendChild(entry.recording ? createRecordingTile(entry.recording) : createSeriesTile(entry));
+  });
+
+  updateRecordingSelection();
+
+  document.getElementById('recording-count').textContent = `${state.recordings.length} 件`;
+
+  if (options.keepFocusIndex && focusIndex >= 0) {
+    const target = listEl.children[Math.min(focusIndex, listEl.children.length - 1)];
+    if (target && target.classList.contains('focusable')) target.focus();
+  }
+}
+
+function renderWatchedBadge(rec) {
+  if (isRecordingWatched(rec)) return '<div class="recording-badge watched">視聴済み</div>';
+  if (getPlaybackProgress(rec) > 0) return '<div class="recording-badge">途中</div>';
+  return '<div class="recording-badge">未視聴</div>';
+}
+
+function createRecordingTile(rec) {
+  const item = document.createElement('div');
+  item.className = 'recording-item focusable';
+  item.tabIndex = 0;
+
+  const duration = rec.duration ? formatDuration(rec.duration) : '';
+  const time = rec.startDateTime ? formatDateTime(rec.startDateTime) : '';
+
+  item._recording = rec;
+  if (state.library.selected.has(getRecordingKey(rec))) item.classList.add('selected');
+  const deviceLabel = getDeviceLabel(rec);
+  const progress = getPlaybackProgress(rec);
+
+  item.innerHTML = `
+    <div class="recording-thumbnail">
+      <div class="thumbnail-placeholder">${escapeHtml(getChannelMark(rec.channelName))}</div>
+      <img class="thumbnail-image hidden" alt="">
+      ${state.library.selecting ? '<div class="recording-check">✓</div>' : ''}
+      ${duration ? `<div class="recording-duration">${duration}</div>` : ''}
+      ${renderWatchedBadge(rec)}
+      ${progress > 0 ? `
+        <div class="recording-progress">
+          <div class="recording-progress-fill" style="width: ${Math.round(progress * 100)}%"></div>
+        </div>` : ''}
+    </div>
+    <div class="recording-info">
+      <div class="recording-title">${escapeHtml(rec.title || '無題')}</div>
+      <div class="recording-meta">
+        <span>${time}</span>
+        <span>${escapeHtml(rec.channelName || '')}</span>
+        ${deviceLabel ? `<span class="device-label">${escapeHtml(deviceLabel)}</span>` : ''}
+      </div>
+    </div>
+  `;
+
+  const img = item.querySelector('.thumbnail-image');
+  img._recording = rec;
+  observeThumbnail(img);
+
+  item.addEventListener('click', () => {
+    if (state.library.selecting) {
+      toggleRecordingSelection(rec, item);
+    } else {
+      openRecordingDetail(rec);
+    }
+  });
+
+  // Enter key handled by click event (via handleEnter)
+
+  return item;
+}
+
+function toggleRecordingSelection(rec, item) {
+  const selected = state.library.selected;
+  const key = getRecordingKey(rec);
+  if (selected.has(key)) {
+    selected.delete(key);
+  } else {
+    selected.add(key);
+  }
+  item.classList.toggle('selected', selected.has(key));
+  updateRecordingSelection();
+}
+
+function updateRecordingSelection() {
+  const btn = document.getElementById('btn-recording-delete-selected');
+  const queueBtn = document.getElementById('btn-recording-queue-selected');
+  const count = state.library.selected.size;
+  btn.classList.toggle('hidden', !state.library.selecting);
+  btn.textContent = `削除 (${count})`;
+  btn.disabled = count === 0;
+  queueBtn.classList.toggle('hidden', !state.library.selecting);
+  queueBtn.textContent = `キューに追加 (${count})`;
+  queueBtn.disabled = count === 0;
+}
+
+/**
+ * Size of a recording in bytes. nasne doesn't always report it, so fall back
+ * to an estimate from duration and quality.
+ * @returns {{bytes: number, estimated: boolean}}
+ */
+function getRecordingSize(rec) {
+  if (rec.size > 0) return { bytes: rec.size, estimated: false };
+  const bitrate = rec.quality === NasneClient.Quality.THREE_X ? RECORDING_BITRATES.THREE_X : RECORDING_BITRATES.DR;
+  return { bytes: (rec.duration || 0) * bitrate / 8, estimated: true };
+}
+
+async function confirmDeleteRecordings(recordings) {
+  const sizes = recordings.map(getRecordingSize);
+  const bytes = sizes.reduce((sum, s) => sum + s.bytes, 0);
+  const estimated = sizes.some(s => s.estimated);
+
+  const confirmed = await showConfirmDialog({
+    message: recordings.length === 1
+      ? `「${recordings[0].title || '無題'}」を削除しますか？`
+      : `${recordings.length} 件の録画を削除しますか？`,
+    detail: `${estimated ? '約 ' : ''}${formatBytes(bytes)} の空き容量が増えます。削除した録画は元に戻せません。`,
+  });
+  if (confirmed) await deleteRecordings(recordings);
+}
+
+async function deleteRecordings(recordings) {
+  if (!state.nasne) return;
+
+  const deleted = new Set();
+  for (const rec of recordings) {
+    try {
+      await getClientFor(rec).deleteRecordedTitle(rec.id);
+      deleted.add(getRecordingKey(rec));
+      forgetPlaybackPosition(rec);
+      forgetThumbnail(rec);
+      removeFromQueue(rec);
+    } catch (err) {
+      console.error(`[nasne] Failed to delete recording ${rec.id}:`, err);
+    }
+  }
+
+  state.recordings = state.recordings.filter(rec => !deleted.has(getRecordingKey(rec)));
+  deleted.forEach(key => state.library.selected.delete(key));
+
+  if (deleted.size === recordings.length) {
+    showToast(`${deleted.size} 件の録画を削除しました`, 'success');
+  } else {
+    showToast(`${recordings.length - deleted.size} 件の削除に失敗しました`, 'error');
+  }
+  renderRecordings({ keepFocusIndex: true });
+}
+
+function createSeriesTile(group) {
+  const item = document.createElement('div');
+  item.className = 'recording-item series-item focusable';
+  item.tabIndex = 0;
+
+  const unwatched = group.recordings.filter(rec => !isRecordingWatched(rec)).length;
+  const latest = group.recordings[0];
+
+  item.innerHTML = `
+    <div class="recording-thumbnail series-thumbnail">
+      <div class="series-count">${group.recordings.length}</div>
+      ${unwatched > 0 ? `<div class="recording-badge">未視聴 ${unwatched}</div>` : ''}
+    </div>
+    <div class="recording-info">
+      <div class="recording-title">📁 ${escapeHtml(group.key)}</div>
+      <div class="recording-meta">
+        <span>${latest.startDateTime ? formatDateTime(latest.startDateTime) : ''}</span>
+        <span>${escapeHtml(latest.channelName || '')}</span>
+      </div>
+    </div>
+  `;
+
+  item._series = group.recordings;
+  item.addEventListener('click', () => openSeriesFolder(group.key));
+  return item;
+}
+
+function createFolderBackTile(key, count) {
+  const item = document.createElement('div');
+  item.className = 'recording-item folder-back focusable';
+  item.tabIndex = 0;
+  item.innerHTML = `
+    <div class="recording-info">
+      <div class="recording-title">◀ ${escapeHtml(key)}</div>
+      <div class="recording-meta"><span>${count} 件</span></div>
+    </div>
+  `;
+  item.addEventListener('click', closeSeriesFolder);
+  return item;
+}
+
+/**
+ * Tile in an open series folder that plays its unwatched episodes in a row.
+ * @param {Object[]} recordings - from getUnwatchedEpisodes()
+ */
+function createPlayAllTile(recordings) {
+  const item = document.createElement('div');
+  item.className = 'recording-item folder-back play-all focusable';
+  item.tabIndex = 0;
+  item.innerHTML = `
+    <div class="recording-info">
+      <div class="recording-title">▶ 未視聴をすべて再生</div>
+      <div class="recording-meta"><span>${recordings.length} 件</span></div>
+    </div>
+  `;
+  item.addEventListener('click', () => playAll(recordings));
+  return item;
+}
+
+function openSeriesFolder(key) {
+  state.library.folder = key;
+  renderRecordings();
+  const first = document.querySelector('#recording-list .recording-item:not(.folder-back)');
+  if (first) first.focus();
+}
+
+function closeSeriesFolder() {
+  const key = state.library.folder;
+  state.library.folder = null;
+  renderRecordings();
+  const folders = Array.from(document.querySelectorAll('#recording-list .series-item'));
+  const folder = folders.find(el => el.textContent.includes(key)) || document.querySelector('#recording-list .focusable');
+  if (folder) folder.focus();
+}
+
+/**
+ * @param {Object} recording
+ * @param {Object} [options]
+ * @param {boolean} [options.queued=false] - played as part of the queue
+ * @param {number} [options.startPosition] - seconds; asks whether to resume when omitted
+ */
+async function playRecording(recording, options = {}) {
+  console.log('[nasne] Recording object:', JSON.stringify(recording, null, 2));
+
+  const startPosition = options.startPosition !== undefined
+    ? options.startPosition
+    : await askResumePosition(recording);
+  if (startPosition === null) return;
+
+  state.queue.playing = Boolean(options.queued);
+  showToast('DLNA コンテンツを検索中...', 'success');
+  await launchMediaServerApp(recording, startPosition);
+}
+
+const LUNA_TIMEOUT_MS = 10000;
+
+/**
+ * Make a Luna service request via PalmServiceBridge.
+ * This works on all webOS TV versions without needing the webOSjs library.
+ * A service that never answers (or doesn't exist on this firmware) rejects
+ * after `timeout` ms instead of hanging.
+ */
+function lunaRequest(uri, params, timeout = LUNA_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const bridge = new PalmServiceBridge();
+    const timer = setTimeout(() => {
+      if (bridge.cancel) bridge.cancel();
+      reject({ errorText: `No response from ${uri}` });
+    }, timeout);
+    bridge.onservicecallback = (response) => {
+      clearTimeout(timer);
+      try {
+        const result = JSON.parse(response);
+        if (result.returnValue === false || result.errorCode) {
+          reject(result);
+        } else {
+          resolve(result);
+        }
+      } catch (e) {
+        reject({ errorText: 'Failed to parse response' });
+      }
+    };
+    bridge.call(uri, JSON.stringify(params));
+  });
+}
+
+// Media player app IDs by webOS version (try newest first)
+const MEDIA_PLAYER_APPS = [
+  'com.webos.app.mediadiscovery',   // webOS 6+
+  'com.webos.app.photovideo',       // webOS 3.x-5.x
+  'com.webos.app.smartshare',       // webOS 1.0-2.x
+];
+
+/**
+ * Launch the TV's built-in media server app (DTCP-IP capable) for playback.
+ *
+ * Strategy:
+ * 1. Match the recording to its DLNA item (get proper res URL + protocolInfo),
+ *    asking the user when several items match
+ * 2. If found and not copy-protected, play it in the app
+ * 3. If found, launch media player with DLNA payload for auto-play
+ * 4. If not found, fall back to launching media app without params
+ */
+async function launchMediaServerApp(recording, startPosition = 0) {
+  const title = recording.title || '録画';
+
+  // Try DLNA ContentDirectory discovery for auto-play
+  if (state.nasne) {
+    try {
+      console.log(`[nasne] Searching DLNA for: "${title}"`);
+      const items = await getClientFor(recording).findDlnaItems(recording);
+      const item = items.length > 1 ? await showDlnaPicker(recording, items) : items[0];
+      if (items.length > 1 && !item) return; // cancelled
+
+      const dlnaResult = item ? NasneClient.getVideoResource(item) : null;
+      if (dlnaResult && dlnaResult.url && !isDtcpResource(dlnaResult)) {
+        openPlayer(dlnaResult.url, title, recording, startPosition);
+        return;
+      }
+      if (dlnaResult && dlnaResult.url && hasMediaApp()) {
+        console.log('[nasne] DLNA content found, launching with payload');
+        showToast('コンテンツを発見、再生を開始します...', 'success');
+        const launchedAt = Date.now();
+        const launched = await launchDlnaResource(dlnaResult, title, startPosition);
+        // A bare fallback doesn't play this recording, so there's no position to track
+        state.playback.external = launched ? { recording, startPosition, launchedAt } : null;
+        if (launched) pausePolling();
+        return;
+      }
+    } catch (err) {
+      console.warn('[nasne] DLNA discovery failed:', err);
+    }
+  }
+
+  if (!hasMediaApp()) {
+    showToast('webOS 環境でのみ再生できます', 'error');
+    return;
+  }
+
+  // Fallback: launch media app without params
+  console.log('[nasne] DLNA auto-play not available, launching bare');
+  showToast('メディアプレーヤーを起動中...', 'success');
+  tryLaunchMediaAppBare(MEDIA_PLAYER_APPS, 0);
+}
+
+/**
+ * Hand a DLNA resource to the TV's media player for playback.
+ * @param {Object} resource - from NasneClient.getVideoResource()
+ * @param {string} title
+ * @param {number} [startPosition=0] - seconds
+ * @returns {Promise<boolean>} whether a player took the payload
+ */
+async function launchDlnaResource(resource, title, startPosition = 0) {
+  // Parse protocolInfo into dlnaInfo fields
+  const protocolInfo = resource.protocolInfo || '';
+  const payload = {
+    mediaType: 'VIDEO',
+    fullPath: resource.url,
+    fileName: title,
+    lastPlayPosition: startPosition > 0 ? Math.floor(startPosition * 1000) : -1, // ms, -1 = beginning
+    dlnaInfo: {
+      flagVal: extractDlnaFlag(protocolInfo, 'DLNA.ORG_FLAGS') || '01700000000000000000000000000000',
+      cleartextSize: '-1',
+      contentLength: resource.size ? String(resource.size) : '-1',
+      opVal: extractDlnaFlag(protocolInfo, 'DLNA.ORG_OP') || '01',
+      protocolInfo: protocolInfo,
+    },
+  };
+
+  console.log('[nasne] Launch payload:', JSON.stringify(payload, null, 2));
+  return tryLaunchMediaAppWithPayload(MEDIA_PLAYER_APPS, 0, payload);
+}
+
+/**
+ * Whether the TV's media player can be launched: PalmServiceBridge is always
+ * available in the webOS TV WebKit runtime, and nowhere else.
+ */
+function hasMediaApp() {
+  return typeof PalmServiceBridge !== 'undefined';
+}
+
+/**
+ * Whether a resource is DTCP-IP protected, which only the TV's media player can play.
+ */
+function isDtcpResource(resource) {
+  return /application\/x-dtcp1|DTCP1/i.test(resource.protocolInfo || '');
+}
+
+/**
+ * Let the user choose between DLNA items that all match a recording.
+ * @param {Object} recording
+ * @param {Object[]} items - DIDL items from NasneClient#findDlnaItems
+ * @returns {Promise<Object|null>} the chosen item, or null if cancelled
+ */
+function showDlnaPicker(recording, items) {
+  const overlay = document.getElementById('dlna-picker-overlay');
+  const list = document.getElementById('dlna-picker-list');
+  const cancelBtn = document.getElementById('dlna-picker-cancel');
+
+  document.getElementById('dlna-picker-message').textContent =
+    `「${recording.title || '録画'}」に一致する項目が複数あります。再生する項目を選んでください。`;
+  list.innerHTML = items.map((item, index) => {
+    const resource = NasneClient.getVideoResource(item);
+    const start = item.date.includes('T') ? formatDateTime(item.date) : item.date;
+    return `
+      <button class="dlna-picker-item focusable" data-index="${index}" tabindex="0">
+        <span class="conflict-time">${escapeHtml(start || '日時不明')}</span>
+        <span class="conflict-title">${escapeHtml(item.title || '無題')}</span>
+        <span class="conflict-channel">${escapeHtml(item.channelName || '')}</span>
+        <span class="dlna-picker-duration">${resource.duration ? formatDuration(resource.duration) : ''}</span>
+      </button>
+    `;
+  }).join('');
+
+  return new Promise(resolve => {
+    const finish = (item) => {
+      list.removeEventListener('click', onPick);
+      cancelBtn.removeEventListener('click', onCancel);
+      closeOverlay(overlay);
+      resolve(item);
+    };
+    const onPick = (e) => {
+      const button = e.target.closest('.dlna-picker-item');
+      if (button) finish(items[Number(button.dataset.index)]);
+    };
+    const onCancel = () => finish(null);
+
+    list.addEventListener('click', onPick);
+    cancelBtn.addEventListener('click', onCancel);
+
+    openOverlay(overlay);
+    list.querySelector('.dlna-picker-item').focus();
+  });
+}
+
+/**
+ * Extract a DLNA flag value from protocolInfo string.
+ */
+function extractDlnaFlag(protocolInfo, flagName) {
+  const match = protocolInfo.match(new RegExp(`${flagName}=([^;]+)`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Try launching a media player app with DLNA payload for automatic playback.
+ * @returns {Promise<boolean>} false when every app refused it and the bare
+ *   launch was used instead
+ */
+async function tryLaunchMediaAppWithPayload(playerApps, index, payload) {
+  if (index >= playerApps.length) {
+    // All apps failed with payload — try bare launch
+    console.log('[nasne] All player apps failed with payload, trying bare launch');
+    tryLaunchMediaAppBare(playerApps, 0);
+    return false;
+  }
+
+  const appId = playerApps[index];
+  console.log(`[nasne] Trying media app: ${appId} (with payload)`);
+
+  try {
+    const res = await lunaRequest('luna://com.webos.applicationManager/launch', {
+      id: appId,
+      params: {
+        payload: [payload],
+      },
+    });
+    console.log(`[nasne] Media app launched successfully (${appId}):`, res);
+    showToast('メディアプレーヤーで再生を開始します', 'success');
+    return true;
+  } catch (err) {
+    console.warn(`[nasne] Failed to launch ${appId} with payload:`, err);
+    return tryLaunchMediaAppWithPayload(playerApps, index + 1, payload);
+  }
+}
+
+/**
+ * Launch a media player app without params (user manually navigates to nasne content).
+ * This is the final fallback when payload-based launch fails.
+ */
+async function tryLaunchMediaAppBare(playerApps, index) {
+  if (index >= playerApps.length) {
+    showToast('メディアプレーヤーの起動に失敗しました', 'error');
+    return;
+  }
+
+  const appId = playerApps[index];
+  console.log(`[nasne] Trying media app: ${appId} (bare launch)`);
+
+  try {
+    const res = await lunaRequest('luna://com.webos.applicationManager/launch', {
+      id: appId,
+    });
+    console.log(`[nasne] Media app launched (${appId}):`, res);
+    showToast('メディアプレーヤーから nasne を選択してください', 'success');
+  } catch (err) {
+    console.warn(`[nasne] Failed to launch ${appId}:`, err);
+    tryLaunchMediaAppBare(playerApps, index + 1);
+  }
+}
+
+// ─── Recording Detail ────────────────────────────────────
+function initRecordingDetail() {
+  const current = () => state.library.detail.recording;
+  document.getElementById('btn-detail-play').addEventListener('click', () => {
+    playRecording(current(), { startPosition: 0 });
+  });
+  document.getElementById('btn-detail-resume').addEventListener('click', () => {
+    playRecording(current(), { startPosition: getResumePosition(current()) });
+  });
+  document.getElementById('btn-detail-protect').addEventListener('click', () => toggleRecordingProtect(current()));
+  document.getElementById('btn-detail-next').addEventListener('click', () => reserveNextEpisode(current()));
+  document.getElementById('btn-detail-delete').addEventListener('click', async () => {
+    const rec = current();
+    await confirmDeleteRecordings([rec]);
+    if (!state.recordings.some(r => getRecordingKey(r) === getRecordingKey(rec))) closeRecordingDetail();
+  });
+}
+
+/**
+ * Show a recording's detail in place of the list. The list's scroll
+ * position is kept for the way back.
+ */
+function openRecordingDetail(rec) {
+  const listScreen = document.getElementById('screen-recordings');
+  state.library.detail = { recording: rec, scrollTop: listScreen.scrollTop };
+
+  // Push a history state so the back button returns to the list
+  history.pushState({ recordingDetail: true }, '');
+
+  listScreen.classList.remove('active');
+  document.getElementById('screen-recording-detail').classList.add('active');
+  renderRecordingDetail();
+
+  const resumeBtn = document.getElementById('btn-detail-resume');
+  (resumeBtn.classList.contains('hidden') ? document.getElementById('btn-detail-play') : resumeBtn).focus();
+}
+
+function closeRecordingDetail() {
+  const detail = state.library.detail;
+  if (!detail) return;
+  state.library.detail = null;
+
+  document.getElementById('screen-recording-detail').classList.remove('active');
+  const listScreen = document.getElementById('screen-recordings');
+  listScreen.classList.add('active');
+  listScreen.scrollTop = detail.scrollTop;
+
+  const key = getRecordingKey(detail.recording);
+  const tile = Array.from(document.getElementById('recording-list').children)
+    .find(el => el._recording && getRecordingKey(el._recording) === key);
+  if (tile) {
+    tile.focus();
+  } else {
+    setInitialFocus();
+  }
+}
+
+function renderRecordingDetail() {
+  const rec = state.library.detail.recording;
+  const size = getRecordingSize(rec);
+  const position = getResumePosition(rec);
+  const watched = isRecordingWatched(rec)
+    ? '視聴済み'
+    : position > 0 ? `途中（${formatTimeSeconds(position)} まで）` : '未視聴';
+  const airTime = rec.startDateTime
+    ? `${formatDateTime(rec.startDateTime)}〜${rec.endDateTime ? formatTime(rec.endDateTime) : ''}`
+    : '';
+  const facts = [
+    ['チャンネル', rec.channelName],
+    ['放送日時', airTime],
+    ['長さ', rec.duration ? formatDuration(rec.duration) : ''],
+    ['ジャンル', getRecordingGenre(rec)],
+    ['画質', formatQuality(rec.quality)],
+    ['サイズ', `${size.estimated ? '約 ' : ''}${formatBytes(size.bytes)}`],
+    ['視聴', watched],
+    ['保護', rec.protected ? '🔒 保護中' : 'なし'],
+    ['nasne', getDeviceLabel(rec)],
+  ].filter(([, value]) => value);
+
+  document.getElementById('recording-detail-title').textContent = rec.title || '無題';
+  document.getElementById('recording-detail-facts').innerHTML = facts
+    .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+  document.getElementById('recording-detail-description').textContent =
+    [rec.description, rec.descriptionLong].filter(Boolean).join('\n\n');
+  document.getElementById('recording-detail-mark').textContent = getChannelMark(rec.channelName);
+
+  document.getElementById('btn-detail-resume').classList.toggle('hidden', position === 0);
+  document.getElementById('btn-detail-resume').textContent = `続きから再生（${formatTimeSeconds(position)}）`;
+  document.getElementById('btn-detail-protect').textContent = rec.protected ? '保護を解除' : '保護';
+
+  const img = document.getElementById('recording-detail-image');
+  if (img._recording !== rec) {
+    img._recording = rec;
+    img.classList.add('hidden');
+    loadThumbnail(img);
+  }
+}
+
+async function toggleRecordingProtect(rec) {
+  const protect = !rec.protected;
+  try {
+    await getClientFor(rec).setRecordedTitleProtect(rec.id, protect);
+    rec.protected = protect;
+    showToast(protect ? '録画を保護しました' : '保護を解除しました', 'success');
+  } catch (err) {
+    console.error('[nasne] Failed to change protection:', err);
+    showToast(describeError(err, '保護の設定に失敗しました。nasne の公式アプリから設定してください'), 'error');
+  }
+  if (state.library.detail && state.library.detail.recording === rec) renderRecordingDetail();
+}
+
+/**
+ * The next airing of a recording's series within the EPG week: on its own
+ * channel first, then on any channel.
+ * @param {Object} rec
+ * @returns {Promise<{program: Program, channel: Channel, broadcastingType: number}|null>}
+ */
+async function findNextEpisode(rec) {
+  const client = getClientFor(rec);
+  const series = normalizeSearchText(getSeriesKey(rec.title) || rec.title);
+  const now = new Date();
+  const isNext = program => program.startDateTime > now &&
+    normalizeSearchText(getSeriesKey(program.title) || program.title) === series;
+  const byStart = (a, b) => a.program.startDateTime - b.program.startDateTime;
+
+  const channel = rec.serviceId ? await client.getChannel(rec.serviceId) : null;
+  if (channel) {
+    const programs = await client.getChannelEpg(channel, now, EPG_DAYS * DAY_MS / 1000);
+    const next = programs.filter(isNext)
+      .map(program => ({ program, channel, broadcastingType: channel.broadcastingType }))
+      .sort(byStart)[0];
+    if (next) return next;
+  }
+
+  const entries = await fetchUpcomingPrograms();
+  return entries.filter(entry => isNext(entry.program)).sort(byStart)[0] || null;
+}
+
+async function reserveNextEpisode(rec) {
+  showToast('次回の放送を番組表から検索中...', 'success');
+  let next;
+  let reservations;
+  try {
+    next = await findNextEpisode(rec);
+    reservations = next ? await fetchFromAllDevices(client => client.getReservedList()) : [];
+  } catch (err) {
+    console.error('[nasne] Next episode lookup failed:', err);
+    showToast(describeError(err, '番組表を取得できませんでした'), 'error');
+    return;
+  }
+  if (!next) {
+    showToast('1週間以内に次回の放送は見つかりません', 'error');
+    return;
+  }
+
+  const start = next.program.startDateTime.getTime();
+  const reserved = reservations.some(r =>
+    r.serviceId === next.channel.serviceId && r.startDateTime && r.startDateTime.getTime() === start);
+  if (reserved) {
+    showToast(`「${next.program.title}」（${formatDateTime(start)}）は予約済みです`, 'success');
+    return;
+  }
+  openReserveOptions(next.program, next.channel, { broadcastingType: next.broadcastingType });
+}
+
+// ─── Thumbnails ──────────────────────────────────────────
+const THUMBNAIL_CONCURRENCY = 4;
+const THUMBNAIL_TIMEOUT_MS = 10000;
+
+function initThumbnails() {
+  const thumbs = state.thumbnails;
+  thumbs.cache = new ThumbnailCache();
+  if (typeof IntersectionObserver === 'undefined') return;
+  thumbs.observer = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      thumbs.observer.unobserve(entry.target);
+      loadThumbnail(entry.target);
+    });
+  }, { rootMargin: '300px 0px' }); // start a little before the row scrolls in
+}
+
+/**
+ * Load a tile's thumbnail once it scrolls into view, or right away when
+ * it is known already or IntersectionObserver is missing.
+ * @param {HTMLImageElement} img - with the tile's `_recording`
+ */
+function observeThumbnail(img) {
+  const thumbs = state.thumbnails;
+  if (thumbs.observer && !thumbs.urls.has(getRecordingKey(img._recording))) {
+    thumbs.observer.observe(img);
+  } else {
+    loadThumbnail(img);
+  }
+}
+
+async function loadThumbnail(img) {
+  const rec = img._recording;
+  const url = await getThumbnailUrl(rec);
+  // Without one the channel placeholder stays; the detail screen's image may show another recording by now
+  if (!url || img._recording !== rec) return;
+  img.onload = () => img.classList.remove('hidden');
+  img.src = url;
+}
+
+/**
+ * Object URL of a recording's thumbnail, from the IndexedDB cache or else
+ * fetched through DLNA.
+ * @returns {Promise<string|null>} null when it has none
+ */
+function getThumbnailUrl(rec) {
+  const urls = state.thumbnails.urls;
+  const key = getRecordingKey(rec);
+  if (!urls.has(key)) {
+    urls.set(key, withThumbnailSlot(() => fetchThumbnail(rec)).then(
+      blob => (blob ? URL.createObjectURL(blob) : null),
+      err => {
+        console.warn(`[nasne] Thumbnail of ${key} failed:`, err);
+        urls.delete(key); // try again next time the tile shows
+        return null;
+      }));
+  }
+  return urls.get(key);
+}
+
+async function fetchThumbnail(rec) {
+  const cache = state.thumbnails.cache;
+  const key = getRecordingKey(rec);
+  const cached = await cache.get(key);
+  if (cached) return cached;
+
+  const client = getClientFor(rec);
+  const url = client ? await client.findThumbnailUrl(rec) : null;
+  if (!url) return null;
+  const response = await fetch(url, { signal: AbortSignal.timeout(THUMBNAIL_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const blob = await response.blob();
+  await cache.put(key, blob);
+  return blob;
+}
+
+/**
+ * Run fn with at most THUMBNAIL_CONCURRENCY others, so a page of tiles
+ * doesn't flood nasne with requests.
+ */
+async function withThumbnailSlot(fn) {
+  const thumbs = state.thumbnails;
+  while (thumbs.active >= THUMBNAIL_CONCURRENCY) {
+    await new Promise(resolve => thumbs.waiting.push(resolve));
+  }
+  thumbs.active++;
+  try {
+    return await fn();
+  } finally {
+    thumbs.active--;
+    const next = thumbs.waiting.shift();
+    if (next) next();
+  }
+}
+
+function forgetThumbnail(rec) {
+  const thumbs = state.thumbnails;
+  const key = getRecordingKey(rec);
+  const url = thumbs.urls.get(key);
+  thumbs.urls.delete(key);
+  if (url) url.then(objectUrl => objectUrl && URL.revokeObjectURL(objectUrl));
+  if (thumbs.cache) thumbs.cache.delete(key);
+}
+
+/**
+ * Short channel name for the placeholder of a tile without a thumbnail.
+ */
+function getChannelMark(channelName) {
+  return (channelName || '').normalize('NFKC').split('・')[0];
+}
+
+// ─── Playback Positions ──────────────────────────────────
+const PLAYBACK_MAX_ENTRIES = 500;
+const RESUME_MIN_SEC = 10; // not worth resuming the first few seconds
+const WATCHED_REMAINING_SEC = 60; // stopping this close to the end counts as watched
+
+function initPlayback() {
+  // The media app doesn't report back, so the position of an external
+  // playback is estimated from how long the app stayed in the background
+  document.addEventListener('visibilitychange', () => {
+    const external = state.playback.external;
+    if (document.hidden || !external) return;
+    state.playback.external = null;
+    resumePolling();
+
+    const elapsed = (Date.now() - external.launchedAt) / 1000;
+    if (elapsed < RESUME_MIN_SEC) return;
+    const finished = recordPlaybackPosition(external.recording, external.startPosition + elapsed);
+    if (state.currentScreen === 'recordings') renderRecordings({ keepFocusIndex: true });
+    if (state.library.detail) renderRecordingDetail();
+    if (finished && state.queue.playing) advanceQueue(1, { countdown: true });
+  });
+}
+
+/**
+ * Last positions by recording key: { position, duration, watched, updatedAt }.
+ */
+function getPlaybackPositions() {
+  if (!state.playback.positions) {
+    try {
+      state.playback.positions = JSON.parse(localStorage.getItem('nasne_playback_positions')) || {};
+    } catch {
+      state.playback.positions = {};
+    }
+  }
+  return state.playback.positions;
+}
+
+function savePlaybackPositions() {
+  const positions = getPlaybackPositions();
+  const keys = Object.keys(positions);
+  if (keys.length > PLAYBACK_MAX_ENTRIES) {
+    keys.sort((a, b) => positions[a].updatedAt - positions[b].updatedAt)
+      .slice(0, keys.length - PLAYBACK_MAX_ENTRIES)
+      .forEach(key => delete positions[key]);
+  }
+  localStorage.setItem('nasne_playback_positions', JSON.stringify(positions));
+}
+
+function getPlaybackPosition(rec) {
+  return getPlaybackPositions()[getRecordingKey(rec)] || null;
+}
+
+/**
+ * Remember where playback of a recording stopped. Stopping near the end
+ * marks it watched and starts the next playback from the beginning.
+ * @param {Object} rec
+ * @param {number} position - seconds
+ * @param {number} [duration] - seconds, defaults to the recording's
+ * @returns {boolean} whether playback got to the end
+ */
+function recordPlaybackPosition(rec, position, duration = rec.duration) {
+  const previous = getPlaybackPosition(rec);
+  const finished = duration > 0 && position >= duration - WATCHED_REMAINING_SEC;
+  getPlaybackPositions()[getRecordingKey(rec)] = {
+    position: finished ? 0 : Math.floor(position),
+    duration: duration || 0,
+    watched: finished || Boolean(previous && previous.watched),
+    updatedAt: Date.now(),
+  };
+  savePlaybackPositions();
+  return finished;
+}
+
+function forgetPlaybackPosition(rec) {
+  delete getPlaybackPositions()[getRecordingKey(rec)];
+  savePlaybackPositions();
+}
+
+/**
+ * Seconds to resume a recording from, 0 when it should start over.
+ */
+function getResumePosition(rec) {
+  const entry = getPlaybackPosition(rec);
+  return entry && entry.position >= RESUME_MIN_SEC ? entry.position : 0;
+}
+
+/**
+ * Fraction of a recording played so far, 0 when not started or finished.
+ */
+function getPlaybackProgress(rec) {
+  const entry = getPlaybackPosition(rec);
+  const duration = (entry && entry.duration) || rec.duration;
+  return entry && duration ? Math.min(1, entry.position / duration) : 0;
+}
+
+/**
+ * Offer to resume where the last playback stopped.
+ * @param {Object} rec
+ * @returns {Promise<number|null>} seconds to start from, null if cancelled
+ */
+function askResumePosition(rec) {
+  const position = getResumePosition(rec);
+  if (!position) return Promise.resolve(0);
+
+  const overlay = document.getElementById('resume-overlay');
+  document.getElementById('resume-message').textContent = `「${rec.title || '録画'}」`;
+  document.getElementById('resume-detail').textContent =
+    `前回は ${formatTimeSeconds(position)} まで再生しました`;
+
+  return new Promise(resolve => {
+    const buttons = {
+      cancel: document.getElementById('resume-cancel'),
+      restart: document.getElementById('resume-restart'),
+      resume: document.getElementById('resume-continue'),
+    };
+    const handlers = {};
+    Object.entries(buttons).forEach(([choice, btn]) => {
+      handlers[choice] = () => {
+        Object.entries(buttons).forEach(([c, b]) => b.removeEventListener('click', handlers[c]));
+        closeOverlay(overlay);
+        resolve({ cancel: null, restart: 0, resume: position }[choice]);
+      };
+      btn.addEventListener('click', handlers[choice]);
+    });
+
+    openOverlay(overlay);
+    buttons.resume.focus();
+  });
+}
+
+// ─── Playback Queue ──────────────────────────────────────
+const NEXT_UP_COUNTDOWN_SEC = 10;
+
+/**
+ * Add recordings to the end of the queue, skipping those already in it.
+ */
+function enqueueRecordings(recordings) {
+  const keys = new Set(state.queue.items.map(getRecordingKey));
+  const added = recordings.filter(rec => !keys.has(getRecordingKey(rec)));
+  state.queue.items.push(...added);
+  updateQueueButtons();
+  showToast(added.length > 0 ? `${added.length} 件をキューに追加しました` : 'すでにキューに入っています', 'success');
+}
+
+function removeFromQueue(rec) {
+  const queue = state.queue;
+  const index = queue.items.findIndex(item => getRecordingKey(item) === getRecordingKey(rec));
+  if (index < 0) return;
+  queue.items.splice(index, 1);
+  if (index <= queue.index) queue.index--;
+  updateQueueButtons();
+}
+
+function clearQueue() {
+  state.queue.items = [];
+  state.queue.index = -1;
+  state.queue.playing = false;
+  updateQueueButtons();
+}
+
+/**
+ * Episodes of a series not watched yet, oldest first.
+ */
+function getUnwatchedEpisodes(recordings) {
+  return recordings.filter(rec => !isRecordingWatched(rec))
+    .sort((a, b) => new Date(a.startDateTime || 0) - new Date(b.startDateTime || 0));
+}
+
+/**
+ * Replace the queue with these recordings and play them from the first.
+ */
+function playAll(recordings) {
+  state.queue.items = recordings.slice();
+  state.queue.index = 0;
+  updateQueueButtons();
+  return playQueueEntry({ ask: true });
+}
+
+/**
+ * Play the queue on from the entry it stopped at.
+ */
+function playQueue() {
+  const queue = state.queue;
+  if (queue.items.length === 0) return;
+  queue.index = Math.min(Math.max(queue.index, 0), queue.items.length - 1);
+  return playQueueEntry({ ask: true });
+}
+
+function playQueueEntry({ ask = false } = {}) {
+  const recording = state.queue.items[state.queue.index];
+  return playRecording(recording, { queued: true, startPosition: ask ? undefined : getResumePosition(recording) });
+}
+
+/**
+ * Move to the next or previous entry and play it. Going past the last one
+ * ends the queue.
+ * @param {number} direction - 1 or -1
+ * @param {Object} [options]
+ * @param {boolean} [options.countdown=false] - count down before playing, so the user can stop
+ */
+async function advanceQueue(direction, options = {}) {
+  const queue = state.queue;
+  const index = queue.index + direction;
+  if (index < 0) return;
+  if (index >= queue.items.length) {
+    clearQueue();
+    showToast('キューの再生が終わりました', 'success');
+    return;
+  }
+
+  queue.index = index;
+  updateQueueButtons();
+  if (options.countdown && !(await showNextUp())) {
+    queue.playing = false; // the queue button carries on from here
+    return;
+  }
+  await playQueueEntry();
+}
+
+/**
+ * Skip to the next or previous entry from the in-app player (CH+/CH-).
+ */
+function skipQueue(direction) {
+  const queue = state.queue;
+  if (!queue.playing) return;
+  if (queue.index + direction < 0) {
+    showToast('キューの先頭です', '');
+    return;
+  }
+  closePlayer();
+  advanceQueue(direction);
+}
+
+/**
+ * Announce the entry up next and count down to it.
+ * @returns {Promise<boolean>} true to play it, false if cancelled
+ */
+function showNextUp() {
+  const queue = state.queue;
+  const next = queue.items[queue.index];
+  const overlay = document.getElementById('next-up-overlay');
+  const countdownEl = document.getElementById('next-up-countdown');
+
+  document.getElementById('next-up-message').textContent = `次は「${next.title || '録画'}」`;
+  document.getElementById('next-up-list').innerHTML = queue.items.slice(queue.index + 1).map(rec => `
+    <li>
+      <span class="conflict-time">${rec.startDateTime ? formatDateTime(rec.startDateTime) : ''}</span>
+      <span>${escapeHtml(rec.title || '録画')}</span>
+    </li>
+  `).join('');
+
+  return new Promise(resolve => {
+    const playBtn = document.getElementById('next-up-play');
+    const cancelBtn = document.getElementById('next-up-cancel');
+    let remaining = NEXT_UP_COUNTDOWN_SEC;
+
+    const finish = (play) => {
+      clearTimeout(queue.countdownTimer);
+      playBtn.removeEventListener('click', onPlay);
+      cancelBtn.removeEventListener('click', onCancel);
+      closeOverlay(overlay);
+      resolve(play);
+    };
+    const onPlay = () => finish(true);
+    const onCancel = () => finish(false);
+    const tick = () => {
+      if (remaining <= 0) {
+        finish(true);
+        return;
+      }
+      countdownEl.textContent = `${remaining} 秒後に再生します`;
+      remaining--;
+      queue.countdownTimer = setTimeout(tick, 1000);
+    };
+
+    playBtn.addEventListener('click', onPlay);
+    cancelBtn.addEventListener('click', onCancel);
+    openOverlay(overlay);
+    playBtn.focus();
+    tick();
+  });
+}
+
+function updateQueueButtons() {
+  const { items, index } = state.queue;
+  const playBtn = document.getElementById('btn-play-queue');
+  const left = items.length - Math.max(index, 0);
+  playBtn.classList.toggle('hidden', items.length === 0);
+  playBtn.textContent = `▶ キュー (${left})`;
+  document.getElementById('btn-clear-queue').classList.toggle('hidden', items.length === 0);
+}
+
+/**
+ * Show the queue's progress and what's next in the in-app player.
+ */
+function renderPlayerQueue(recording) {
+  const { items, index, playing } = state.queue;
+  const current = items[index];
+  const el = document.getElementById('video-queue');
+  if (!playing || !recording || !current || getRecordingKey(current) !== getRecordingKey(recording)) {
+    el.textContent = '';
+    return;
+  }
+  const next = items[index + 1];
+  el.textContent = `キュー ${index + 1}/${items.length}${next ? `　次: ${next.title || '録画'}` : ''}`;
+}
+
+// ─── Video Player ────────────────────────────────────────
+/**
+ * @param {string} url
+ * @param {string} title
+ * @param {Object} [recording] - remembers the position of this recording
+ * @param {number} [startPosition=0] - seconds
+ */
+function openPlayer(url, title, recording, startPosition = 0) {
+  state.isPlayerOpen = true;
+  pausePolling();
+  state.player.recording = recording || null;
+  state.player.savedAt = Date.now();
+  const overlay = document.getElementById('video-player-overlay');
+  const video = document.getElementById('video-player');
+  const titleEl = document.getElementById('video-title');
+
+  // Push a history state so the back button doesn't exit the app
+  history.pushState({ player: true }, '');
+
+  overlay.classList.remove('hidden');
+  titleEl.textContent = title || 'Unknown Title';
+  renderPlayerInfo(title, recording);
+  renderPlayerQueue(recording);
+
+  // Reset
+  video.src = '';
+  video.playbackRate = 1;
+  video.preservesPitch = true;
+  video.webkitPreservesPitch = true; // older webOS WebKit
+  document.getElementById('video-rate').textContent = '';
+  state.player.scrubTarget = null;
+  updateSeekBar(video);
+
+  if (url) {
+    video.src = url;
+    video.onloadedmetadata = () => {
+      if (startPosition > 0) video.currentTime = startPosition;
+    };
+    video.onended = () => {
+      if (state.player.recording) recordPlaybackPosition(state.player.recording, video.duration, video.duration);
+      if (state.queue.playing) {
+        closePlayer();
+        advanceQueue(1, { countdown: true });
+      }
+    };
+    video.play().catch(e => {
+      console.error('[nasne] Play failed:', e);
+      // Show debug info about the recording object to help troubleshoot
+      const fields = recording ? Object.keys(recording).join(', ') : 'N/A';
+      showToast(`再生失敗: ${e.message}`, 'error');
+      console.log('[nasne] Recording fields available:', fields);
+    });
+  } else {
+    showToast('ストリーミングURLが見つかりません', 'error');
+    if (recording) {
+      console.log('[nasne] Recording fields:', Object.keys(recording));
+    }
+  }
+
+  // Focus the overlay to capture key events
+  overlay.setAttribute('tabindex', '-1');
+  overlay.focus();
+
+  // Simple controls loop
   state.player.timer = setInterval(() => {
     if (!video.duration) return;
-    const pct = (video.currentTime / video.duration) * 100;
-    progressFill.style.width = `${pct}%`;
-    currentEl.textContent = formatTimeSeconds(video.currentTime);
-    durationEl.textContent = formatTimeSeconds(video.duration);
+    updateSeekBar(video);
+
+    // Save now and then, so a crash or power-off loses little
+    if (state.player.recording && Date.now() - state.player.savedAt > 5000) {
+      state.player.savedAt = Date.now();
+      recordPlaybackPosition(state.player.recording, video.currentTime, video.duration);
+    }
   }, 1000);
 }
 
@@ -650,127 +3754,693 @@ function closePlayer() {
 
   const video = document.getElementById('video-player');
   video.pause();
+  if (state.player.recording && video.currentTime > 0 && !video.ended) {
+    recordPlaybackPosition(state.player.recording, video.currentTime, video.duration || undefined);
+  }
+  state.player.recording = null;
+  state.player.live = null;
+  state.queue.playing = false;
+  if (state.library.detail) renderRecordingDetail();
+  video.onloadedmetadata = null;
+  video.onended = null;
   video.src = '';
 
   clearInterval(state.player.timer);
+  clearTimeout(state.player.scrubTimer);
+  state.player.scrubTarget = null;
+  document.getElementById('video-info').classList.add('hidden');
+
+  const overlay = document.getElementById('video-player-overlay');
+  overlay.classList.add('hidden');
+  state.isPlayerOpen = false;
+  resumePolling();
+
+  // Restore focus
+  setInitialFocus();
+}
+
+function formatTimeSeconds(sec) {
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor(sec / 60) % 60;
+  const s = Math.floor(sec % 60);
+  const mm = h > 0 ? String(m).padStart(2, '0') : m;
+  return `${h > 0 ? `${h}:` : ''}${mm}:${String(s).padStart(2, '0')}`;
+}
+
+// ─── Input Logic for Player is needed in handleDpad/Enter etc. or a separate handler
+
+// ─── Reservations ────────────────────────────────────────
+function initReservations() {
+  document.getElementById('btn-refresh-reservations').addEventListener('click', loadReservations);
+
+  state.reservationView = localStorage.getItem('nasne_reservation_view') || 'timeline';
+  const viewBtn = document.getElementById('btn-reservation-timeline');
+  viewBtn.classList.toggle('active', state.reservationView === 'timeline');
+  viewBtn.addEventListener('click', () => {
+    state.reservationView = state.reservationView === 'timeline' ? 'list' : 'timeline';
+    localStorage.setItem('nasne_reservation_view', state.reservationView);
+    viewBtn.classList.toggle('active', state.reservationView === 'timeline');
+    renderReservations();
+  });
+
+  // Keeps the elapsed time of REC badges running
+  setInterval(updateRecBadges, 1000);
+}
+
+async function loadReservations() {
+  if (!state.nasne) {
+    document.getElementById('reservation-list').innerHTML =
+      '<div class="loading-message">nasne に接続してください</div>';
+    return;
+  }
+
+  const listEl = document.getElementById('reservation-list');
+  listEl.innerHTML = '<div class="loading-message">読み込み中...</div>';
+
+  try {
+    const reservations = await fetchFromAllDevices(client => screenClient(client).getReservedList());
+    state.reservations = hasMultipleDevices()
+      ? reservations.sort((a, b) => new Date(a.startDateTime || 0) - new Date(b.startDateTime || 0))
+      : reservations;
+
+    renderReservations();
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error('[nasne] Failed to load reservations:', err);
+    listEl.innerHTML = `<div class="loading-message">${escapeHtml(describeError(err, '予約一覧の取得に失敗しました'))}</div>`;
+  }
+}
+
+function renderReservations() {
+  const listEl = document.getElementById('reservation-list');
+  listEl.classList.toggle('timeline', state.reservationView === 'timeline');
+  if (state.reservations.length === 0) {
+    listEl.innerHTML = '<div class="loading-message">録画予約はありません</div>';
+    return;
+  }
+
+  // Each unit has its own tuner, so overlaps only matter within a unit
+  const conflicting = new Set();
+  getConnectedDevices().forEach(device => {
+    findConflictingReservations(state.reservations.filter(res => res.deviceId === device.id))
+      .forEach(res => conflicting.add(res));
+  });
+
+  if (state.reservationView === 'timeline') {
+    renderReservationTimeline(conflicting);
+  } else {
+    renderReservationList(conflicting);
+  }
+}
+
+function renderReservationList(conflicting) {
+  const listEl = document.getElementById('reservation-list');
+  listEl.innerHTML = '';
+  state.reservations.forEach(res => {
+    const item = document.createElement('div');
+    item.className = 'reservation-item focusable';
+    item.tabIndex = 0;
+    const isConflicting = conflicting.has(res);
+    if (isConflicting) item.classList.add('conflict');
+
+    const startTime = res.startDateTime ? formatDateTime(res.startDateTime) : '不明';
+    const duration = res.duration ? formatDuration(res.duration) : '';
+    const condition = formatCondition(res.conditionId);
+    const deviceLabel = getDeviceLabel(res);
+
+    item.innerHTML = `
+      <div class="reservation-info">
+        <div class="reservation-title">${isReservationRecording(res) ? recBadgeHtml(res) : ''}${isConflicting ? '<span class="conflict-badge">重複</span>' : ''}${escapeHtml(res.title || '無題')}</div>
+        <div class="reservation-time">${startTime}${duration ? ' / ' + duration : ''}${condition ? `<span class="reservation-condition">${condition}</span>` : ''}</div>
+        ${res.channelName ? `<div class="reservation-channel">${escapeHtml(res.channelName)}</div>` : ''}
+        ${deviceLabel ? `<span class="device-label">${escapeHtml(deviceLabel)}</span>` : ''}
+      </div>
+      <div class="row-actions">
+        <button class="btn focusable btn-edit" tabindex="0">編集</button>
+        <button class="btn btn-danger focusable" tabindex="0">削除</button>
+      </div>
+    `;
+
+    item.querySelector('.btn-edit').addEventListener('click', (e) => {
+      e.stopPropagation();
+      openReservationEditor(res);
+    });
+
+    const deleteBtn = item.querySelector('.btn-danger');
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      confirmDeleteReservation(res);
+    });
+
+    listEl.appendChild(item);
+  });
+}
+
+async function confirmDeleteReservation(reservation) {
+  const confirmed = await showConfirmDialog({
+    message: `「${reservation.title || '無題'}」の録画予約を削除しますか？`,
+  });
+  if (confirmed) {
+    await deleteReservation(reservation);
+  }
+}
+
+async function deleteReservation(reservation) {
+  if (!state.nasne) return;
+
+  try {
+    await getClientFor(reservation).deleteReservation(reservation.id, reservation.type || 0);
+    showToast('録画予約を削除しました', 'success');
+    loadReservations();
+  } catch (err) {
+    console.error('[nasne] Failed to delete reservation:', err);
+    showToast(describeError(err, '削除に失敗しました'), 'error');
+  }
+}
+
+// ─── Reservation Timeline ────────────────────────────────
+const TIMELINE_DAYS = 7;
+
+/**
+ * Place reservations on per-device tuner lanes for each day, from the day
+ * containing `from`. Overlaps beyond the unit's tuners go to extra
+ * conflict lanes; a reservation running past midnight is split over both days.
+ * @returns {{days: {start: number, rows: {device: Object, lane: number, conflict: boolean, bars: Object[]}[]}[], outside: number}}
+ *   bars carry { res, left, width } in percent of the day, `outside` counts reservations past the range
+ */
+function layoutReservationTimeline(reservations, devices, from, dayCount = TIMELINE_DAYS) {
+  const rangeStart = getDayStart(from);
+  const rangeEnd = rangeStart + dayCount * DAY_MS;
+  const days = [];
+  for (let i = 0; i < dayCount; i++) {
+    days.push({ start: rangeStart + i * DAY_MS, rows: [] });
+  }
+  let outside = 0;
+
+  devices.forEach(device => {
+    const spans = reservations
+      .filter(res => res.deviceId === device.id && res.startDateTime)
+      .map(res => {
+        const start = new Date(res.startDateTime).getTime();
+        return { res, start, end: start + (res.duration || 0) * 1000 };
+      })
+      .sort((a, b) => a.start - b.start);
+
+    // Greedy lane assignment: the first lane free at the span's start
+    const laneEnds = [];
+    const placed = [];
+    spans.forEach(span => {
+      if (span.end <= rangeStart || span.start >= rangeEnd) {
+        if (span.start >= rangeEnd) outside++;
+        return;
+      }
+      let lane = laneEnds.findIndex(end => end <= span.start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = span.end;
+      placed.push({ ...span, lane });
+    });
+
+    days.forEach(day => {
+      const dayEnd = day.start + DAY_MS;
+      const rows = [];
+      placed.forEach(span => {
+        if (span.end <= day.start || span.start >= dayEnd) return;
+        const start = Math.max(span.start, day.start);
+        const end = Math.min(span.end, dayEnd);
+        if (!rows[span.lane]) rows[span.lane] = [];
+        rows[span.lane].push({
+          res: span.res,
+          left: (start - day.start) / DAY_MS * 100,
+          width: (end - start) / DAY_MS * 100,
+        });
+      });
+      // Tuner lanes are always shown, conflict lanes only on days that use them
+      const laneCount = Math.max(TUNER_COUNT, rows.length);
+      for (let lane = 0; lane < laneCount; lane++) {
+        if (lane >= TUNER_COUNT && !rows[lane]) continue;
+        day.rows.push({ device, lane, conflict: lane >= TUNER_COUNT, bars: rows[lane] || [] });
+      }
+    });
+  });
+
+  return { days, outside };
+}
+
+function renderReservationTimeline(conflicting) {
+  const listEl = document.getElementById('reservation-list');
+  const now = Date.now();
+  const devices = getConnectedDevices();
+  const { days, outside } = layoutReservationTimeline(state.reservations, devices, now);
+  const multiple = devices.length > 1;
+
+  const hours = [];
+  for (let h = 0; h < 24; h += 3) {
+    hours.push(`<span class="timeline-hour" style="left: ${h / 24 * 100}%">${h}:00</span>`);
+  }
+
+  listEl.innerHTML = `<div class="timeline-axis"><div class="timeline-label"></div><div class="timeline-track">${hours.join('')}</div></div>`;
+
+  days.forEach(day => {
+    const date = new Date(day.start);
+    const dayEl = document.createElement('div');
+    dayEl.className = 'timeline-day';
+    dayEl.innerHTML = `<div class="timeline-date">${date.getMonth() + 1}/${date.getDate()}(${WEEKDAY_LABELS[date.getDay()]})</div>`;
+
+    day.rows.forEach(row => {
+      const rowEl = document.createElement('div');
+      rowEl.className = 'timeline-row' + (row.conflict ? ' conflict' : '');
+      const label = row.conflict ? '重複' : (multiple ? row.device.name : 'チューナー');
+      const nowLine = now >= day.start && now < day.start + DAY_MS
+        ? `<div class="timeline-now" style="left: ${(now - day.start) / DAY_MS * 100}%"></div>`
+        : '';
+      rowEl.innerHTML = `<div class="timeline-label">${escapeHtml(label)}</div><div class="timeline-track">${nowLine}</div>`;
+
+      const track = rowEl.querySelector('.timeline-track');
+      row.bars.forEach(bar => {
+        const res = bar.res;
+        const barEl = document.createElement('button');
+        barEl.className = 'timeline-bar focusable';
+        if (conflicting.has(res)) barEl.classList.add('conflict');
+        barEl.tabIndex = 0;
+        barEl.style.left = `${bar.left}%`;
+        barEl.style.width = `${bar.width}%`;
+        barEl.title = `${formatDateTime(res.startDateTime)} ${res.title || '無題'}`;
+        barEl.innerHTML = `${isReservationRecording(res) ? recBadgeHtml(res) : ''}<span class="timeline-bar-title">${escapeHtml(res.title || '無題')}</span>`;
+        barEl.addEventListener('click', () => openReservationEditor(res));
+        track.appendChild(barEl);
+      });
+      dayEl.appendChild(rowEl);
+    });
+    listEl.appendChild(dayEl);
+  });
+
+  if (outside > 0) {
+    const note = document.createElement('div');
+    note.className = 'loading-message';
+    note.textContent = `${TIMELINE_DAYS} 日より先の予約が ${outside} 件あります（リスト表示で確認できます）`;
+    listEl.appendChild(note);
+  }
+}
+
+/**
+ * Whether the reservation is being recorded right now: its unit reported it
+ * as the one on its tuner at the last poll.
+ */
+function isReservationRecording(res) {
+  const snapshot = state.poller.snapshots.get(res.deviceId);
+  return Boolean(snapshot) && snapshot.recordingId > 0 && Number(res.id) === snapshot.recordingId;
+}
+
+/**
+ * Whether the reservation is on air right now, going by its air time.
+ */
+function isReservationOnAir(res, now = Date.now()) {
+  if (!res.startDateTime) return false;
+  const start = new Date(res.startDateTime).getTime();
+  return start <= now && now < start + (res.duration || 0) * 1000;
+}
+
+function recBadgeHtml(res) {
+  const start = new Date(res.startDateTime).getTime();
+  return `<span class="rec-badge" data-start="${start}">● REC ${formatTimeSeconds((Date.now() - start) / 1000)}</span>`;
+}
+
+function updateRecBadges() {
+  const now = Date.now();
+  document.querySelectorAll('.rec-badge').forEach(badge => {
+    const elapsed = Math.max(0, (now - Number(badge.dataset.start)) / 1000);
+    badge.textContent = `● REC ${formatTimeSeconds(elapsed)}`;
+  });
+}
+
+// ─── Recording Indicator ─────────────────────────────────
+/**
+ * Header badge for the units recording right now, kept up to date by pollDevices().
+ */
+function renderRecordingIndicator() {
+  const el = document.getElementById('header-rec');
+  const devices = state.recordingDevices;
+  el.classList.toggle('hidden', devices.length === 0);
+  el.textContent = hasMultipleDevices() && devices.length > 0
+    ? `● REC ${devices.map(device => device.name).join('・')}`
+    : '● REC';
+}
+
+// ─── Background Polling ──────────────────────────────────
+const APP_ID = 'com.example.nasne';
+const POLL_SKIP_GRACE_MS = 60 * 1000; // a reservation not recording this long after its start was skipped
+
+function initPoller() {
+  initStepper(document.getElementById('poll-interval'), {
+    values: [1, 3, 5, 10, 30],
+    format: min => `${min} 分ごとに確認`,
+    onChange: min => {
+      state.poller.intervalMin = min;
+      localStorage.setItem('nasne_poll_interval_min', min);
+      if (state.poller.timer) startPolling();
+    },
+  });
+}
+
+/**
+ * Poll every connected unit now and then every few minutes, as configured.
+ * While a recording plays this waits for resumePolling().
+ */
+function startPolling() {
+  clearInterval(state.poller.timer);
+  state.poller.timer = null;
+  state.poller.paused = isPlaybackActive();
+  if (state.poller.paused) return;
+  state.poller.timer = setInterval(pollDevices, state.poller.intervalMin * 60 * 1000);
+  pollDevices();
+}
+
+/**
+ * Stop polling while a recording plays, so nothing pops up over it.
+ */
+function pausePolling() {
+  if (!state.poller.timer) return;
+  clearInterval(state.poller.timer);
+  state.poller.timer = null;
+  state.poller.paused = true;
+}
+
+/**
+ * Start polling again once playback has ended. The first poll catches up on
+ * what happened meanwhile, the REC indicator included.
+ */
+function resumePolling() {
+  if (!state.poller.paused || isPlaybackActive()) return;
+  startPolling();
+}
+
+function isPlaybackActive() {
+  return state.isPlayerOpen || Boolean(state.playback.external);
+}
+
+/**
+ * Compare each unit with the last poll and notify what changed. The first
+ * poll of a unit only records where things stand.
+ */
+async function pollDevices() {
+  if (state.poller.running || isPlaybackActive()) return;
+  state.poller.running = true;
+  try {
+    const devices = getConnectedDevices();
+    const now = Date.now();
+    const events = [];
+    let recordingChanged = false;
+    await Promise.all(devices.map(async device => {
+      let snapshot;
+      try {
+        snapshot = await takePollSnapshot(state.clients.get(device.id));
+      } catch (err) {
+        console.warn(`[nasne] Polling ${device.name} failed:`, err);
+        handleUnreachableDevice(device, err);
+        return;
+      }
+      const previous = state.poller.snapshots.get(device.id);
+      state.poller.snapshots.set(device.id, snapshot);
+      if (!previous || previous.recordingId !== snapshot.recordingId) recordingChanged = true;
+      if (!previous) return;
+      diffPollSnapshots(previous, snapshot, now).forEach(event => {
+        if (hasMultipleDevices()) event.message = `${device.name}: ${event.message}`;
+        events.push(event);
+      });
+    }));
 
-  const overlay = document.getElementById('video-player-overlay');
-  overlay.classList.add('hidden');
-  state.isPlayerOpen = false;
+    [...state.poller.snapshots.keys()].forEach(id => {
+      if (!state.clients.has(id)) state.poller.snapshots.delete(id);
+    });
+    state.recordingDevices = devices.filter(device => {
+      const snapshot = state.poller.snapshots.get(device.id);
+      return snapshot && snapshot.recordingId > 0;
+    });
+    renderRecordingIndicator();
 
-  // Restore focus
-  setInitialFocus();
+    if (events.length > 0) {
+      console.log('[nasne] Poll events:', events.map(event => event.type).join(', '));
+      notifyEvents(events);
+    }
+    if (state.currentScreen === 'reservations') {
+      // REC badges follow what the units report
+      if (events.length > 0) {
+        loadReservations();
+      } else if (recordingChanged) {
+        renderReservations();
+      }
+    }
+  } finally {
+    state.poller.running = false;
+  }
 }
 
-function formatTimeSeconds(sec) {
-  const m = Math.floor(sec / 60);
-  const s = Math.floor(sec % 60);
-  return `${m}:${String(s).padStart(2, '0')}`;
+/**
+ * ID of the reservation a unit is recording now, 0 when it isn't recording.
+ */
+function getRecordingId(boxStatus) {
+  const timer = boxStatus && boxStatus.tvTimerInfoStatus;
+  return (timer && Number(timer.nowId)) || 0;
 }
 
-// ─── Input Logic for Player is needed in handleDpad/Enter etc. or a separate handler
-
-// ─── Reservations ────────────────────────────────────────
-function initReservations() {
-  document.getElementById('btn-refresh-reservations').addEventListener('click', loadReservations);
+/**
+ * What a unit looks like right now, as far as notifications care.
+ * @param {NasneClient} client
+ */
+async function takePollSnapshot(client) {
+  const [reservations, titles, boxStatus, disks] = await Promise.all([
+    client.getReservedList(),
+    client.getRecordedTitleList().then(result => result.items),
+    client.getBoxStatusList(),
+    fetchDisks(client),
+  ]);
+  const recordingId = getRecordingId(boxStatus);
+  const now = Date.now();
+  // On air for a while, yet the tuner is on something else
+  const skipped = reservations.filter(res => res.id !== recordingId &&
+    isReservationOnAir(res, now) && isReservationOnAir(res, now - POLL_SKIP_GRACE_MS));
+  return {
+    recordingId,
+    reservations: new Map(reservations.map(res => [res.id, res])),
+    skippedIds: new Set(skipped.map(res => res.id)),
+    titles: new Map(titles.map(title => [title.id, title])),
+    conflictIds: new Set([...findConflictingReservations(reservations)].map(res => res.id)),
+    lowDisk: disks.find(disk => disk.free < state.diskWarnGb * 1e9) || null,
+  };
 }
 
-async function loadReservations() {
-  if (!state.nasne) {
-    document.getElementById('reservation-list').innerHTML =
-      '<div class="loading-message">nasne に接続してください</div>';
-    return;
-  }
+/**
+ * Events between two snapshots of the same unit.
+ * @returns {{type: string, message: string, level: 'success'|'error'|undefined}[]}
+ */
+function diffPollSnapshots(previous, next, now = Date.now()) {
+  const events = [];
+  const titleOf = item => `「${item.title || '無題'}」`;
 
-  const listEl = document.getElementById('reservation-list');
-  listEl.innerHTML = '<div class="loading-message">読み込み中...</div>';
+  if (next.recordingId > 0 && next.recordingId !== previous.recordingId) {
+    const res = next.reservations.get(next.recordingId) || previous.reservations.get(next.recordingId);
+    events.push({ type: 'recording-started', message: `録画開始 ${res ? titleOf(res) : ''}`.trim() });
+  }
 
-  try {
-    const result = await state.nasne.getReservedList();
-    state.reservations = result.item || result.reservedList || [];
+  next.titles.forEach((title, id) => {
+    if (previous.titles.has(id)) return;
+    events.push({ type: 'recording-finished', message: `録画完了 ${titleOf(title)}`, level: 'success' });
+  });
 
-    if (state.reservations.length === 0) {
-      listEl.innerHTML = '<div class="loading-message">録画予約はありません</div>';
-      return;
-    }
+  // A reservation that went away after its start time without leaving a recording failed
+  const recorded = [...next.titles.values()];
+  previous.reservations.forEach((res, id) => {
+    if (next.reservations.has(id) || id === next.recordingId || !res.startDateTime) return;
+    if (new Date(res.startDateTime).getTime() > now) return; // deleted before it aired
+    if (recorded.some(title => isRecordingOf(title, res))) return;
+    events.push({ type: 'reservation-failed', message: `録画できませんでした ${titleOf(res)}`, level: 'error' });
+  });
 
-    listEl.innerHTML = '';
-    state.reservations.forEach(res => {
-      const item = document.createElement('div');
-      item.className = 'reservation-item focusable';
-      item.tabIndex = 0;
+  next.skippedIds.forEach(id => {
+    if (previous.skippedIds.has(id)) return;
+    events.push({ type: 'reservation-skipped', message: `予約がスキップされました ${titleOf(next.reservations.get(id))}`, level: 'error' });
+  });
 
-      const startTime = res.startDateTime ? formatDateTime(res.startDateTime) : '不明';
-      const duration = res.duration ? formatDuration(res.duration) : '';
+  next.conflictIds.forEach(id => {
+    if (previous.conflictIds.has(id)) return;
+    events.push({ type: 'conflict', message: `予約が重複しています ${titleOf(next.reservations.get(id))}`, level: 'error' });
+  });
 
-      item.innerHTML = `
-        <div class="reservation-info">
-          <div class="reservation-title">${escapeHtml(res.title || '無題')}</div>
-          <div class="reservation-time">${startTime}${duration ? ' / ' + duration : ''}</div>
-          ${res.channelName ? `<div class="reservation-channel">${escapeHtml(res.channelName)}</div>` : ''}
-        </div>
-        <button class="btn btn-danger focusable" tabindex="0">削除</button>
-      `;
+  if (next.lowDisk && !previous.lowDisk) {
+    events.push({ type: 'disk-low', message: `空き容量が残り ${formatBytes(next.lowDisk.free)} です`, level: 'error' });
+  }
+  return events;
+}
 
-      const deleteBtn = item.querySelector('.btn-danger');
-      deleteBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        confirmDeleteReservation(res);
-      });
+/**
+ * Whether a recorded title came from a reservation: same channel or title, starting within a few minutes.
+ */
+function isRecordingOf(title, res) {
+  if (!title.startDateTime) return false;
+  const gap = Math.abs(new Date(title.startDateTime).getTime() - new Date(res.startDateTime).getTime());
+  if (gap > 5 * 60 * 1000) return false;
+  return (title.serviceId && title.serviceId === res.serviceId) || title.title === res.title;
+}
 
-      listEl.appendChild(item);
+/**
+ * In-app toast while the app is on screen; webOS system toasts otherwise,
+ * one per event since they queue up rather than replace each other.
+ */
+function notifyEvents(events) {
+  if (document.hidden && typeof PalmServiceBridge !== 'undefined') {
+    events.forEach(event => {
+      lunaRequest('luna://com.webos.notification/createToast', {
+        sourceId: APP_ID,
+        message: event.message,
+        noaction: true,
+      }).catch(err => console.warn('[nasne] System notification failed:', err));
     });
-  } catch (err) {
-    console.error('[nasne] Failed to load reservations:', err);
-    listEl.innerHTML = '<div class="loading-message">予約一覧の取得に失敗しました</div>';
+    return;
   }
+  const level = events.some(event => event.level === 'error') ? 'error' : events[0].level;
+  const more = events.length > 1 ? `（ほか ${events.length - 1} 件）` : '';
+  showToast(events[0].message + more, level);
 }
 
-function confirmDeleteReservation(reservation) {
-  state.pendingDeleteId = reservation.id;
-  state.pendingDeleteType = reservation.type || 0;
-
-  document.getElementById('dialog-message').textContent =
-    `「${reservation.title || '無題'}」の録画予約を削除しますか？`;
-
-  const overlay = document.getElementById('dialog-overlay');
-  overlay.classList.remove('hidden');
-
-  const confirmBtn = document.getElementById('dialog-confirm');
-  const cancelBtn = document.getElementById('dialog-cancel');
+// ─── Reservation Editing ─────────────────────────────────
+function initReservationEditor() {
+  initToggleGroup(document.getElementById('edit-condition'));
+  initToggleGroup(document.getElementById('edit-quality'));
+  initStepper(document.getElementById('edit-pad-start'), {
+    values: [0, 1, 2, 3, 5, 10, 15],
+    format: min => (min === 0 ? 'なし' : `${min}分前から`),
+  });
+  initStepper(document.getElementById('edit-pad-end'), {
+    values: [0, 1, 2, 3, 5, 10, 15, 20, 30, 45, 60],
+    format: min => (min === 0 ? 'なし' : `${min}分延長`),
+  });
+  document.getElementById('edit-cancel').addEventListener('click', () => {
+    closeOverlay(document.getElementById('edit-overlay'));
+  });
+}
 
-  const cleanup = () => {
-    overlay.classList.add('hidden');
-    confirmBtn.removeEventListener('click', onConfirm);
-    cancelBtn.removeEventListener('click', onCancel);
+/**
+ * Creation parameters that reproduce an existing reservation.
+ */
+function reservationToParams(res) {
+  return {
+    title: res.title || '',
+    startDateTime: res.startDateTime,
+    duration: res.duration,
+    serviceId: res.serviceId,
+    broadcastingType: res.broadcastingType,
+    eventId: res.eventId,
+    conditionId: res.conditionId,
+    quality: res.quality,
   };
+}
 
-  const onConfirm = async () => {
-    cleanup();
-    await deleteReservation(state.pendingDeleteId, state.pendingDeleteType);
-  };
+function openReservationEditor(reservation) {
+  const overlay = document.getElementById('edit-overlay');
+  const start = new Date(reservation.startDateTime);
+
+  document.getElementById('edit-heading').textContent =
+    `${reservation.title || '無題'}（${formatDateTime(start)}）`;
+  document.getElementById('edit-title').value = reservation.title || '';
+
+  const weeklyBtn = document.getElementById('edit-condition-weekly');
+  weeklyBtn.dataset.value = NasneClient.weeklyCondition(start.getDay());
+  weeklyBtn.textContent = formatCondition(weeklyBtn.dataset.value);
+
+  setToggleGroupValues(document.getElementById('edit-condition'),
+    [reservation.conditionId ? String(reservation.conditionId) : NasneClient.Condition.ONCE]);
+  setToggleGroupValues(document.getElementById('edit-quality'), [reservation.quality || state.quality]);
+  setStepperValue(document.getElementById('edit-pad-start'), 0);
+  setStepperValue(document.getElementById('edit-pad-end'), 0);
+
+  const oldBtn = document.getElementById('edit-save');
+  // Replace the button to drop the listener of the previous reservation
+  const saveBtn = oldBtn.cloneNode(true);
+  oldBtn.replaceWith(saveBtn);
+  saveBtn.addEventListener('click', () => {
+    closeOverlay(overlay);
+    saveReservationEdit(reservation);
+  });
+
+  openOverlay(overlay);
+  saveBtn.focus();
+}
 
-  const onCancel = () => {
-    cleanup();
+async function saveReservationEdit(reservation) {
+  const padStart = getStepperValue(document.getElementById('edit-pad-start'));
+  const padEnd = getStepperValue(document.getElementById('edit-pad-end'));
+  const original = reservationToParams(reservation);
+  const params = {
+    ...original,
+    title: document.getElementById('edit-title').value.trim() || reservation.title || '',
+    // A condition set elsewhere has no button here; keep it unless another is picked
+    conditionId: getToggleGroupValues(document.getElementById('edit-condition'))[0] || original.conditionId,
+    quality: Number(getToggleGroupValues(document.getElementById('edit-quality'))[0]),
   };
 
-  confirmBtn.addEventListener('click', onConfirm);
-  cancelBtn.addEventListener('click', onCancel);
+  if (padStart > 0 || padEnd > 0) {
+    const start = new Date(new Date(reservation.startDateTime).getTime() - padStart * 60 * 1000);
+    params.startDateTime = NasneClient.formatDateTime(start);
+    params.duration = reservation.duration + (padStart + padEnd) * 60;
+    // An event ID makes nasne use the EPG times, which would drop the padding
+    delete params.eventId;
+  }
 
-  // Focus on cancel button by default (safer)
-  cancelBtn.focus();
+  try {
+    await replaceReservation(reservation, params);
+    showToast('録画予約を変更しました', 'success');
+  } catch (err) {
+    console.error('[nasne] Failed to update reservation:', err);
+    if (err.rolledBack === undefined) {
+      // The delete failed, so the original was never touched
+      showToast(describeError(err, '予約の変更に失敗しました'), 'error');
+    } else {
+      showToast(err.rolledBack
+        ? '予約の変更に失敗したため、元の予約に戻しました'
+        : '予約の変更に失敗し、元の予約も復元できませんでした', 'error');
+    }
+  }
+  loadReservations();
 }
 
-async function deleteReservation(id, type) {
-  if (!state.nasne) return;
+/**
+ * Replace a reservation with new parameters. nasne has no update endpoint,
+ * so this deletes and recreates it, restoring the original when the create
+ * fails. Errors carry `rolledBack` telling whether the original is back.
+ */
+async function replaceReservation(original, params) {
+  await swapReservations(getClientFor(original), [original], params);
+}
 
+/**
+ * Delete reservations of one unit, then create a new one in their place.
+ * If anything fails once a delete went through, the deleted reservations are
+ * recreated and the error carries rolledBack: whether all of them came back.
+ * rolledBack stays unset when nothing was deleted.
+ * @param {NasneClient} client
+ * @param {Object[]} originals
+ * @param {Object} params - for createReservation
+ */
+async function swapReservations(client, originals, params) {
+  const deleted = [];
   try {
-    await state.nasne.deleteReservation(id, type);
-    showToast('録画予約を削除しました', 'success');
-    loadReservations();
+    for (const res of originals) {
+      await client.deleteReservation(res.id, res.type || 0);
+      deleted.push(res);
+    }
+    await client.createReservation(params);
   } catch (err) {
-    console.error('[nasne] Failed to delete reservation:', err);
-    showToast('削除に失敗しました', 'error');
+    if (deleted.length === 0) throw err;
+    err.rolledBack = true;
+    for (const res of deleted) {
+      try {
+        await client.createReservation(reservationToParams(res));
+      } catch (rollbackErr) {
+        console.error('[nasne] Failed to restore reservation:', rollbackErr);
+        err.rolledBack = false;
+      }
+    }
+    throw err;
   }
 }
 
@@ -786,13 +4456,26 @@ const KEY = {
   GREEN: 404,
   YELLOW: 405,
   BLUE: 406,
+  PLAY: 415,
+  PAUSE: 19,
+  STOP: 413,
+  FF: 417,
+  REW: 412,
+  INFO: 457,
+  CH_UP: 33,
+  CH_DOWN: 34,
 };
 
+// Media keys only mean something to the player
+const PLAYER_KEYS = [KEY.PLAY, KEY.PAUSE, KEY.STOP, KEY.FF, KEY.REW, KEY.INFO, KEY.YELLOW, KEY.CH_UP, KEY.CH_DOWN];
+
 function initKeyboard() {
   // Handle back button via popstate (triggered by browser back / history.back)
   window.addEventListener('popstate', (e) => {
     if (state.isPlayerOpen) {
       closePlayer();
+    } else if (state.library.detail) {
+      closeRecordingDetail();
     } else if (state.currentScreen !== 'channels') {
       switchScreen('channels');
       setInitialFocus();
@@ -802,7 +4485,8 @@ function initKeyboard() {
 
   document.addEventListener('keydown', (e) => {
     // Don't handle navigation when typing in an input
-    if (e.target.tagName === 'INPUT' && ![KEY.ENTER, KEY.BACK].includes(e.keyCode)) {
+    // (UP/DOWN still move focus so the remote can leave the field)
+    if (e.target.tagName === 'INPUT' && ![KEY.ENTER, KEY.BACK, KEY.UP, KEY.DOWN].includes(e.keyCode)) {
       return;
     }
 
@@ -827,7 +4511,19 @@ function initKeyboard() {
         handleRedButton();
         e.preventDefault();
         break;
+      case KEY.GREEN:
+        handleGreenButton();
+        e.preventDefault();
+        break;
+      case KEY.BLUE:
+        handleBlueButton();
+        e.preventDefault();
+        break;
       default:
+        if (state.isPlayerOpen && PLAYER_KEYS.includes(e.keyCode)) {
+          handlePlayerInput(e.keyCode);
+          e.preventDefault();
+        }
         break;
     }
   });
@@ -851,9 +4547,11 @@ function setInitialFocus() {
 
 /**
  * Get all currently visible and focusable elements.
+ * While a dialog is open, only its own elements are returned.
  */
 function getVisibleFocusables() {
-  const all = document.querySelectorAll('.focusable');
+  const scope = document.querySelector('.dialog-overlay:not(.hidden)') || document;
+  const all = scope.querySelectorAll('.focusable');
   const visible = [];
   all.forEach(el => {
     // Check if element and its parents are visible
@@ -896,14 +4594,39 @@ function handleDpad(keyCode) {
     return;
   }
 
+  // Steppers take LEFT/RIGHT to change their value
+  if (current.classList.contains('stepper') && (keyCode === KEY.LEFT || keyCode === KEY.RIGHT)) {
+    stepStepper(current, keyCode === KEY.LEFT ? -1 : 1);
+    return;
+  }
+
+  // EPG grid has its own paging at the edges
+  if (current.classList.contains('epg-cell') && handleEpgDpad(keyCode, current)) {
+    return;
+  }
+
   const focusables = getVisibleFocusables();
   if (focusables.length === 0) return;
 
+  const bestCandidate = findNextFocus(current, focusables, keyCode);
+
+  if (bestCandidate) {
+    bestCandidate.focus();
+    // Scroll into view if needed (for lists)
+    bestCandidate.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+}
+
+/**
+ * Find the nearest candidate from the current element in the given direction.
+ * @returns {Element|null}
+ */
+function findNextFocus(current, candidates, keyCode) {
   const currentCenter = getCenter(current);
   let bestCandidate = null;
   let bestScore = Infinity;
 
-  focusables.forEach(el => {
+  candidates.forEach(el => {
     if (el === current) return;
 
     const elCenter = getCenter(el);
@@ -949,11 +4672,7 @@ function handleDpad(keyCode) {
     }
   });
 
-  if (bestCandidate) {
-    bestCandidate.focus();
-    // Scroll into view if needed (for lists)
-    bestCandidate.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
-  }
+  return bestCandidate;
 }
 
 /**
@@ -972,10 +4691,15 @@ function handleEnter() {
 }
 
 function onBackPressed() {
-  // If dialog is open, close it
-  const dialog = document.getElementById('dialog-overlay');
-  if (!dialog.classList.contains('hidden')) {
-    dialog.classList.add('hidden');
+  // If a dialog is open, dismiss it the same way its cancel button does
+  const dialog = document.querySelector('.dialog-overlay:not(.hidden)');
+  if (dialog) {
+    const dismissBtn = dialog.querySelector('.dialog-dismiss');
+    if (dismissBtn) {
+      dismissBtn.click();
+    } else {
+      dialog.classList.add('hidden');
+    }
     return;
   }
 
@@ -985,6 +4709,18 @@ function onBackPressed() {
     return;
   }
 
+  // Back from a recording's detail to the list
+  if (state.library.detail) {
+    closeRecordingDetail();
+    return;
+  }
+
+  // Leave an open series folder before leaving the recordings screen
+  if (state.currentScreen === 'recordings' && state.library.folder !== null) {
+    closeSeriesFolder();
+    return;
+  }
+
   // If not on channels screen, go back to channels
   if (state.currentScreen !== 'channels') {
     switchScreen('channels');
@@ -998,6 +4734,27 @@ function onBackPressed() {
   }
 }
 
+function handleBlueButton() {
+  // Delete the focused recording
+  const current = document.activeElement;
+  if (state.currentScreen === 'recordings' && current && current._recording) {
+    confirmDeleteRecordings([current._recording]);
+  }
+}
+
+function handleGreenButton() {
+  // Queue the focused recording, or the unwatched episodes of a series
+  const current = document.activeElement;
+  if (state.currentScreen !== 'recordings' || !current) return;
+  if (current._recording) {
+    enqueueRecordings([current._recording]);
+  } else if (current._series) {
+    const unwatched = getUnwatchedEpisodes(current._series);
+    if (unwatched.length > 0) enqueueRecordings(unwatched);
+    else showToast('未視聴の録画はありません', '');
+  }
+}
+
 function handleRedButton() {
   // Quick record if a channel is selected
   if (state.currentScreen === 'channels' && state.selectedChannel) {
@@ -1007,22 +4764,57 @@ function handleRedButton() {
 }
 
 // ─── Player Controls ─────────────────────────────────────
+const PLAYBACK_RATES = [1, 1.25, 1.5, 1.75, 2];
+const JUMP_SEC = 5 * 60; // UP/DOWN when the stream has no chapters
+const SCRUB_COMMIT_MS = 800; // seek once LEFT/RIGHT have been let go this long
+
 function handlePlayerInput(keyCode) {
   const video = document.getElementById('video-player');
   if (!video) return;
 
   switch (keyCode) {
     case KEY.LEFT:
-      video.currentTime = Math.max(0, video.currentTime - 10);
-      showToast('⏪ -10秒', '');
+      scrubPlayer(video, -state.player.skipBack);
       break;
     case KEY.RIGHT:
-      video.currentTime = Math.min(video.duration, video.currentTime + 10);
-      showToast('⏩ +10秒', '');
+      scrubPlayer(video, state.player.skipForward);
+      break;
+    case KEY.UP:
+    case KEY.CH_UP:
+      if (state.player.live) switchLiveChannel(1);
+      else if (keyCode === KEY.UP) jumpChapter(video, 1);
+      else skipQueue(1);
+      break;
+    case KEY.DOWN:
+    case KEY.CH_DOWN:
+      if (state.player.live) switchLiveChannel(-1);
+      else if (keyCode === KEY.DOWN) jumpChapter(video, -1);
+      else skipQueue(-1);
       break;
     case KEY.ENTER:
       togglePlayback();
       break;
+    case KEY.PLAY:
+      if (video.paused) togglePlayback();
+      break;
+    case KEY.PAUSE:
+      if (!video.paused) togglePlayback();
+      break;
+    case KEY.STOP:
+      closePlayer();
+      return;
+    case KEY.FF:
+      stepPlaybackRate(video, 1);
+      break;
+    case KEY.REW:
+      // Undo a speed-up first; at normal speed it rewinds like LEFT
+      if (video.playbackRate > 1) stepPlaybackRate(video, -1);
+      else scrubPlayer(video, -state.player.skipBack);
+      break;
+    case KEY.INFO:
+    case KEY.YELLOW:
+      document.getElementById('video-info').classList.toggle('hidden');
+      break;
   }
 
   // Show controls temporarily
@@ -1045,7 +4837,105 @@ function togglePlayback() {
   }
 }
 
+/**
+ * Move the pending seek position. Repeated presses add up on the seek bar
+ * and the video only seeks once they stop, so a scrub is one request.
+ * @param {HTMLVideoElement} video
+ * @param {number} delta - seconds
+ */
+function scrubPlayer(video, delta) {
+  if (!video.duration || state.player.live) return;
+  const player = state.player;
+  const from = player.scrubTarget !== null ? player.scrubTarget : video.currentTime;
+  player.scrubTarget = Math.min(Math.max(0, from + delta), video.duration);
+  updateSeekBar(video);
+
+  clearTimeout(player.scrubTimer);
+  player.scrubTimer = setTimeout(() => {
+    video.currentTime = player.scrubTarget;
+    player.scrubTarget = null;
+    updateSeekBar(video);
+  }, SCRUB_COMMIT_MS);
+}
+
+/**
+ * Go to the next or previous chapter, or 5 minutes when there are none.
+ */
+function jumpChapter(video, direction) {
+  const now = state.player.scrubTarget !== null ? state.player.scrubTarget : video.currentTime;
+  const chapters = getChapterStarts(video);
+  if (chapters.length === 0) {
+    scrubPlayer(video, direction * JUMP_SEC);
+    return;
+  }
+
+  // A few seconds into a chapter, "previous" means the one before it
+  const target = direction > 0
+    ? chapters.find(t => t > now + 1)
+    : chapters.slice().reverse().find(t => t < now - 3);
+  scrubPlayer(video, (target !== undefined ? target : (direction > 0 ? video.duration : 0)) - now);
+}
+
+/**
+ * Start times of the stream's chapter cues, if it has any.
+ * @returns {number[]} seconds, ascending
+ */
+function getChapterStarts(video) {
+  const track = Array.from(video.textTracks || []).find(t => t.kind === 'chapters');
+  if (!track) return [];
+  if (track.mode === 'disabled') track.mode = 'hidden'; // cues only load once enabled
+  return Array.from(track.cues || []).map(cue => cue.startTime).sort((a, b) => a - b);
+}
+
+function stepPlaybackRate(video, direction) {
+  const index = Math.max(0, PLAYBACK_RATES.indexOf(video.playbackRate));
+  const rate = PLAYBACK_RATES[Math.min(Math.max(index + direction, 0), PLAYBACK_RATES.length - 1)];
+  video.playbackRate = rate;
+  document.getElementById('video-rate').textContent = rate === 1 ? '' : `${rate}×`;
+  showToast(`再生速度 ${rate}×`, '');
+}
+
+/**
+ * Redraw the seek bar, with the pending scrub position if there is one.
+ */
+function updateSeekBar(video) {
+  // Live streams report an infinite duration
+  const duration = isFinite(video.duration) ? video.duration : 0;
+  const scrubTarget = state.player.scrubTarget;
+  const percent = sec => (duration ? `${(sec / duration) * 100}%` : '0%');
+
+  document.getElementById('video-progress-fill').style.width = percent(video.currentTime);
+  document.getElementById('video-current-time').textContent = formatTimeSeconds(video.currentTime);
+  document.getElementById('video-duration').textContent = formatTimeSeconds(duration);
+
+  const marker = document.getElementById('video-scrub');
+  marker.classList.toggle('hidden', scrubTarget === null);
+  if (scrubTarget !== null) {
+    marker.style.left = percent(scrubTarget);
+    marker.textContent = formatTimeSeconds(scrubTarget);
+  }
+}
 
+/**
+ * Fill the info overlay (INFO / yellow button) with the program details.
+ */
+function renderPlayerInfo(title, recording) {
+  const rec = recording || {};
+  const meta = [
+    rec.startDateTime ? formatDateTime(rec.startDateTime) : '',
+    rec.duration ? formatDuration(rec.duration) : '',
+    rec.channelName || '',
+    getRecordingGenre(rec),
+    rec.quality ? formatQuality(rec.quality) : '',
+    rec.protected ? '🔒 保護' : '',
+  ].filter(Boolean);
+
+  document.getElementById('video-info-title').textContent = title || rec.title || '';
+  document.getElementById('video-info-meta').textContent = meta.join('　');
+  document.getElementById('video-info-description').textContent =
+    [rec.description, rec.descriptionLong].filter(Boolean).join('\n\n');
+  document.getElementById('video-info').classList.add('hidden');
+}
 
 // ─── Toast ───────────────────────────────────────────────
 function showToast(message, type) {
@@ -1063,6 +4953,150 @@ function showToast(message, type) {
   }, 3000);
 }
 
+// ─── Form Controls ───────────────────────────────────────
+/**
+ * Turn an element into a remote-friendly value picker: LEFT/RIGHT step
+ * through `options.values`, and the arrows can be clicked with the pointer.
+ * @param {Element} el
+ * @param {Object} options
+ * @param {Array} options.values
+ * @param {Function} [options.format] - value -> display text
+ * @param {Function} [options.onChange] - called with the new value
+ */
+function initStepper(el, options) {
+  el._stepper = { format: String, index: 0, ...options };
+  el.innerHTML = `
+    <span class="stepper-arrow" data-delta="-1">◀</span>
+    <span class="stepper-value"></span>
+    <span class="stepper-arrow" data-delta="1">▶</span>
+  `;
+  el.querySelectorAll('.stepper-arrow').forEach(arrow => {
+    arrow.addEventListener('click', () => stepStepper(el, Number(arrow.dataset.delta)));
+  });
+  renderStepper(el);
+}
+
+function renderStepper(el) {
+  const stepper = el._stepper;
+  el.querySelector('.stepper-value').textContent = stepper.values.length > 0
+    ? stepper.format(stepper.values[stepper.index])
+    : '-';
+}
+
+function stepStepper(el, delta) {
+  const stepper = el._stepper;
+  if (stepper.values.length === 0) return;
+  const next = Math.min(stepper.values.length - 1, Math.max(0, stepper.index + delta));
+  if (next === stepper.index) return;
+  stepper.index = next;
+  renderStepper(el);
+  if (stepper.onChange) stepper.onChange(stepper.values[next]);
+}
+
+function getStepperValue(el) {
+  return el._stepper.values[el._stepper.index];
+}
+
+/**
+ * Select a value (falls back to the first one when it isn't in the list).
+ * @param {Element} el
+ * @param {*} value
+ * @param {Array} [values] - replace the list of values
+ */
+function setStepperValue(el, value, values) {
+  const stepper = el._stepper;
+  if (values) stepper.values = values;
+  stepper.index = Math.max(0, stepper.values.indexOf(value));
+  renderStepper(el);
+}
+
+/**
+ * Toggle buttons inside a `.toggle-group`; with the `single` class only one
+ * button can be active at a time.
+ */
+function initToggleGroup(groupEl) {
+  groupEl.querySelectorAll('.toggle-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (groupEl.classList.contains('single')) {
+        groupEl.querySelectorAll('.toggle-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+      } else {
+        btn.classList.toggle('active');
+      }
+    });
+  });
+}
+
+function getToggleGroupValues(groupEl) {
+  return Array.from(groupEl.querySelectorAll('.toggle-btn.active')).map(b => b.dataset.value);
+}
+
+function setToggleGroupValues(groupEl, values) {
+  const wanted = values.map(String);
+  groupEl.querySelectorAll('.toggle-btn').forEach(btn => {
+    btn.classList.toggle('active', wanted.includes(btn.dataset.value));
+  });
+}
+
+// ─── Overlays ────────────────────────────────────────────
+/**
+ * Ask the user to confirm an action with the shared confirm dialog.
+ * @param {Object} options
+ * @param {string} options.message
+ * @param {string} [options.detail] - secondary line under the message
+ * @param {string} [options.confirmLabel='削除']
+ * @param {boolean} [options.danger=true] - style the confirm button as destructive
+ * @returns {Promise<boolean>} true if confirmed
+ */
+function showConfirmDialog({ message, detail = '', confirmLabel = '削除', danger = true }) {
+  const overlay = document.getElementById('dialog-overlay');
+  const confirmBtn = document.getElementById('dialog-confirm');
+  const cancelBtn = document.getElementById('dialog-cancel');
+
+  document.getElementById('dialog-message').textContent = message;
+  document.getElementById('dialog-detail').textContent = detail;
+  confirmBtn.textContent = confirmLabel;
+  confirmBtn.classList.toggle('btn-danger', danger);
+  confirmBtn.classList.toggle('btn-primary', !danger);
+
+  return new Promise(resolve => {
+    const finish = (confirmed) => {
+      confirmBtn.removeEventListener('click', onConfirm);
+      cancelBtn.removeEventListener('click', onCancel);
+      closeOverlay(overlay);
+      resolve(confirmed);
+    };
+    const onConfirm = () => finish(true);
+    const onCancel = () => finish(false);
+
+    confirmBtn.addEventListener('click', onConfirm);
+    cancelBtn.addEventListener('click', onCancel);
+
+    openOverlay(overlay);
+    // Focus on cancel button by default (safer)
+    cancelBtn.focus();
+  });
+}
+
+/**
+ * Show a dialog overlay, remembering the element to refocus on close.
+ */
+function openOverlay(overlay) {
+  overlay._returnFocus = document.activeElement;
+  overlay.classList.remove('hidden');
+}
+
+function closeOverlay(overlay) {
+  overlay.classList.add('hidden');
+  const returnFocus = overlay._returnFocus;
+  overlay._returnFocus = null;
+  if (returnFocus && document.body.contains(returnFocus)) {
+    returnFocus.focus();
+  } else {
+    setInitialFocus();
+  }
+}
+
 // ─── Helpers ─────────────────────────────────────────────
 function formatDateTime(dateStr) {
   try {
@@ -1088,6 +5122,12 @@ function formatTime(dateStr) {
   }
 }
 
+function formatBytes(bytes) {
+  if (bytes >= 1e12) return `${(bytes / 1e12).toFixed(2)} TB`;
+  if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+  return `${Math.round(bytes / 1e6)} MB`;
+}
+
 function formatDuration(seconds) {
   const h = Math.floor(seconds / 3600);
   const m = Math.floor((seconds % 3600) / 60);
@@ -1095,6 +5135,67 @@ function formatDuration(seconds) {
   return `${m}分`;
 }
 
+function formatQuality(quality) {
+  return quality === NasneClient.Quality.THREE_X ? '3倍' : 'DR';
+}
+
+function getBroadcastTypeLabel(type) {
+  return { 2: '地デジ', 3: 'BS', 4: 'CS' }[type] || '';
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight.
+ * @returns {Promise<Array>} results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Client whose requests are cancelled when the user leaves the current screen.
+ * @param {NasneClient} [client=state.nasne]
+ * @returns {NasneClient}
+ */
+function screenClient(client = state.nasne) {
+  return client.withSignal(state.screenRequests.signal);
+}
+
+function isAbortError(err) {
+  return err instanceof NasneAbortError;
+}
+
+/**
+ * User-facing message for a failed request: `fallback` plus the reason when
+ * the error is one of the NasneError types.
+ * @param {Error} err
+ * @param {string} fallback - e.g. '録画一覧の取得に失敗しました'
+ * @returns {string}
+ */
+function describeError(err, fallback) {
+  let reason = '';
+  if (err instanceof NasneNetworkError) {
+    reason = 'nasne に接続できません。電源とネットワークを確認してください';
+  } else if (err instanceof NasneTimeoutError) {
+    reason = 'nasne から応答がありません';
+  } else if (err instanceof NasneHttpError) {
+    reason = `HTTP ${err.status}`;
+  } else if (err instanceof NasneParseError) {
+    reason = 'nasne の応答を解析できませんでした';
+  } else if (err instanceof NasneApiError) {
+    reason = `nasne エラーコード ${err.errorCode}`;
+  }
+  return reason ? `${fallback}（${reason}）` : fallback;
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
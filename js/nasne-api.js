@@ -2,11 +2,66 @@
  * nasne API Client
  * Provides methods to interact with nasne's HTTP JSON API.
  */
+
+// ─── Errors ────────────────────────────────────────────────
+
+/**
+ * Base class of every error thrown by NasneClient requests.
+ */
+class NasneError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} url - the request that failed
+     */
+    constructor(message, url) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = url;
+    }
+}
+
+/** nasne couldn't be reached at all (powered off, wrong IP, no network). */
+class NasneNetworkError extends NasneError {}
+
+/** nasne didn't answer within the request timeout. */
+class NasneTimeoutError extends NasneError {}
+
+/** The request was cancelled by the caller. */
+class NasneAbortError extends NasneError {}
+
+/** nasne answered with a non-2xx HTTP status. */
+class NasneHttpError extends NasneError {
+    constructor(message, url, status) {
+        super(message, url);
+        this.status = status;
+    }
+}
+
+/** The response body wasn't valid JSON. */
+class NasneParseError extends NasneError {}
+
+/** nasne answered, but reported a failure in its `errorcode` field. */
+class NasneApiError extends NasneError {
+    constructor(message, url, errorCode) {
+        super(message, url);
+        this.errorCode = errorCode;
+    }
+}
+
+// How far a DLNA item's start time and length may be from the recording's
+const DLNA_START_TOLERANCE_MS = 60 * 1000;
+const DLNA_DURATION_TOLERANCE_SEC = 120;
+// A port scan that found no media server isn't repeated before this
+const DLNA_DISCOVERY_RETRY_MS = 5 * 60 * 1000;
+
 class NasneClient {
     /**
      * @param {string} ip - nasne IP address (e.g. '192.168.1.100')
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] - default per-request timeout in ms
+     * @param {number} [options.retries=2] - default retry count for idempotent GETs
      */
-    constructor(ip) {
+    constructor(ip, options = {}) {
         this.ip = ip;
         this.ports = {
             status: 64210,
@@ -14,6 +69,31 @@ class NasneClient {
             recorded: 64220,
             chEpg: 64220,
         };
+        // Where nasne's media server has been seen, tried in order
+        this.dlnaPorts = [58888, 60888, 55888, 50888, 2869, 8200];
+        this.timeout = options.timeout || 10000;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.signal = null;
+        // Shared with withSignal() views, so it is only filled once
+        this._cache = {
+            channelIndex: null,
+            dlna: null,
+            dlnaIndex: null,
+            dlnaDiscovery: null, // the port scan in progress
+            dlnaMissingUntil: 0, // ms, no new scan before this after one found nothing
+        };
+    }
+
+    /**
+     * A view of this client whose requests are cancelled with `signal`.
+     * Shares ports, settings and DLNA state with the original.
+     * @param {AbortSignal} signal
+     * @returns {NasneClient}
+     */
+    withSignal(signal) {
+        const scoped = Object.create(this);
+        scoped.signal = signal;
+        return scoped;
     }
 
     /**
@@ -47,18 +127,107 @@ class NasneClient {
 
     /**
      * Make a GET request to nasne API.
+     * Idempotent requests are retried with exponential backoff on network
+     * errors, timeouts and 5xx responses.
      * @param {string} pathname
      * @param {Object} [params]
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - ms, defaults to this.timeout
+     * @param {number} [options.retries] - defaults to this.retries
+     * @param {AbortSignal|null} [options.signal] - defaults to this.signal
      * @returns {Promise<Object>}
      */
-    async _get(pathname, params) {
+    async _get(pathname, params, options = {}) {
         const url = this._buildUrl(pathname, params);
+        const retries = options.retries !== undefined ? options.retries : this.retries;
+        const signal = options.signal !== undefined ? options.signal : this.signal;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._request(url, options.timeout || this.timeout, signal);
+            } catch (err) {
+                const retryable = err instanceof NasneNetworkError ||
+                    err instanceof NasneTimeoutError ||
+                    (err instanceof NasneHttpError && err.status >= 500);
+                if (!retryable || attempt >= retries) throw err;
+                const delay = 500 * 2 ** attempt;
+                console.warn(`[nasne] ${err.message}, retrying in ${delay}ms`);
+                await NasneClient._sleep(delay, signal, url);
+            }
+        }
+    }
+
+    /**
+     * Single GET attempt, translated into NasneError subclasses.
+     * @param {string} url
+     * @param {number} timeout - ms
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object>}
+     */
+    async _request(url, timeout, signal) {
+        if (signal && signal.aborted) {
+            throw new NasneAbortError('Request cancelled', url);
+        }
+
         console.log('[nasne] GET', url);
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`nasne API error: ${response.status} ${response.statusText}`);
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        try {
+            let response;
+            try {
+                response = await fetch(url, { signal: controller.signal });
+            } catch (e) {
+                if (timedOut) throw new NasneTimeoutError(`nasne API timeout after ${timeout}ms`, url);
+                if (signal && signal.aborted) throw new NasneAbortError('Request cancelled', url);
+                throw new NasneNetworkError(`nasne unreachable: ${e.message}`, url);
+            }
+
+            if (!response.ok) {
+                throw new NasneHttpError(
+                    `nasne API error: ${response.status} ${response.statusText}`, url, response.status);
+            }
+
+            let body;
+            try {
+                body = await response.json();
+            } catch (e) {
+                if (timedOut) throw new NasneTimeoutError(`nasne API timeout after ${timeout}ms`, url);
+                if (signal && signal.aborted) throw new NasneAbortError('Request cancelled', url);
+                throw new NasneParseError(`Malformed nasne response: ${e.message}`, url);
+            }
+
+            if (body && body.errorcode !== undefined && Number(body.errorcode) !== 0) {
+                throw new NasneApiError(`nasne errorcode ${body.errorcode}`, url, Number(body.errorcode));
+            }
+            return body;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
         }
-        return response.json();
+    }
+
+    /**
+     * Wait between retries; rejects early when the signal fires.
+     */
+    static _sleep(ms, signal, url) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new NasneAbortError('Request cancelled', url));
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     // ─── Status ────────────────────────────────────────────
@@ -66,37 +235,155 @@ class NasneClient {
     /**
      * Get list of channels.
      * @param {number} broadcastingType - 2=地デジ, 3=BS, 4=CS
-     * @returns {Promise<Object>}
+     * @returns {Promise<Channel[]>}
      */
     async getChannelList(broadcastingType) {
-        return this._get('/status/channelListGet', { broadcastingType });
+        const result = await this._get('/status/channelListGet', { broadcastingType });
+        return (result.channel || []).map(raw => Channel.fromJson(raw, broadcastingType));
+    }
+
+    /**
+     * Get the program currently on air on a channel.
+     * @param {Channel} channel
+     * @param {Object} [options]
+     * @returns {Promise<Program|null>} null when nothing is on air
+     */
+    async getChannelInfo2(channel, options) {
+        const result = await this._get('/status/channelInfoGet2', {
+            serviceId: channel.serviceId,
+            transportStreamId: channel.transportStreamId,
+            networkId: channel.networkId,
+            withDescriptionLong: 1,
+            ...options,
+        });
+        return Program.fromChannelInfo(result, channel);
     }
 
     /**
-     * Get detailed channel info (currently broadcasting program).
+     * Get box status list (device info).
+     * @returns {Promise<Object>}
+     */
+    async getBoxStatusList() {
+        return this._get('/status/boxStatusListGet');
+    }
+
+    /**
+     * Get the device name.
+     * @returns {Promise<Object>}
+     */
+    async getBoxName() {
+        return this._get('/status/boxNameGet');
+    }
+
+    /**
+     * Get the firmware version.
+     * @returns {Promise<Object>}
+     */
+    async getSoftwareVersion() {
+        return this._get('/status/softwareVersionGet');
+    }
+
+    /**
+     * Get clients currently streaming over DTCP-IP.
+     * @returns {Promise<Object>}
+     */
+    async getDtcpipClientList() {
+        return this._get('/status/dtcpipClientListGet');
+    }
+
+    /**
+     * Get the list of internal and external HDDs.
+     * @returns {Promise<Object>}
+     */
+    async getHddList() {
+        return this._get('/status/HDDListGet');
+    }
+
+    /**
+     * Get capacity and usage of an HDD.
+     * @param {number} id - HDD ID from getHddList()
+     * @returns {Promise<Object>}
+     */
+    async getHddInfo(id) {
+        return this._get('/status/HDDInfoGet', { id });
+    }
+
+    // ─── EPG ───────────────────────────────────────────────
+
+    /**
+     * Get the EPG program list of a channel for a time range.
      * @param {Object} tuningInfo
      * @param {number} tuningInfo.serviceId
      * @param {number} tuningInfo.transportStreamId
      * @param {number} tuningInfo.networkId
-     * @param {Object} [options]
-     * @returns {Promise<Object>}
+     * @param {Date|string} startDateTime - range start
+     * @param {number} duration - range length in seconds
+     * @returns {Promise<Program[]>}
      */
-    async getChannelInfo2(tuningInfo, options) {
-        return this._get('/status/channelInfoGet2', {
+    async getChannelEpg(tuningInfo, startDateTime, duration) {
+        const result = await this._get('/chEpg/programListGet', {
             serviceId: tuningInfo.serviceId,
             transportStreamId: tuningInfo.transportStreamId,
             networkId: tuningInfo.networkId,
+            startDateTime: NasneClient.formatDateTime(startDateTime),
+            duration,
             withDescriptionLong: 1,
-            ...options,
         });
+        return (result.item || []).map(raw => Program.fromJson(raw, tuningInfo));
     }
 
     /**
-     * Get box status list (device info).
-     * @returns {Promise<Object>}
+     * Fill in channel name and broadcasting type of items whose payload
+     * lacks them, from the channel lists of all broadcasting types.
+     * @param {Array<Reservation|RecordedTitle>} items
+     * @returns {Promise<Array>} the same items
      */
-    async getBoxStatusList() {
-        return this._get('/status/boxStatusListGet');
+    async _resolveChannels(items) {
+        const unresolved = items.filter(item => !item.channelName || !item.broadcastingType);
+        if (unresolved.length === 0) return items;
+
+        const index = await this._getChannelIndex();
+        unresolved.forEach(item => {
+            const channel = index.get(item.serviceId);
+            if (!channel) return;
+            if (!item.channelName) item.channelName = channel.name;
+            if (!item.broadcastingType) item.broadcastingType = channel.broadcastingType;
+        });
+        return items;
+    }
+
+    /**
+     * A channel of any broadcasting type by its service ID.
+     * @param {number} serviceId
+     * @returns {Promise<Channel|null>}
+     */
+    async getChannel(serviceId) {
+        return (await this._getChannelIndex()).get(serviceId) || null;
+    }
+
+    /**
+     * Channels of every broadcasting type by service ID, loaded once.
+     * @returns {Promise<Map<number, Channel>>}
+     */
+    _getChannelIndex() {
+        if (!this._cache.channelIndex) {
+            const types = Object.values(NasneClient.BroadcastingType);
+            // Not tied to the caller's signal: the index outlives the request
+            this._cache.channelIndex = Promise.all(types.map(type =>
+                this._get('/status/channelListGet', { broadcastingType: type }, { signal: null })
+                    .then(result => (result.channel || []).map(raw => Channel.fromJson(raw, type)))
+                    .catch(err => {
+                        console.warn(`[nasne] Channel list ${type} unavailable:`, err);
+                        return [];
+                    })
+            )).then(lists => {
+                const index = new Map();
+                lists.forEach(list => list.forEach(ch => index.set(ch.serviceId, ch)));
+                if (index.size === 0) this._cache.channelIndex = null; // retry next time
+                return index;
+            });
+        }
+        return this._cache.channelIndex;
     }
 
     // ─── Schedule ──────────────────────────────────────────
@@ -104,10 +391,10 @@ class NasneClient {
     /**
      * Get list of recording reservations.
      * @param {Object} [options]
-     * @returns {Promise<Object>}
+     * @returns {Promise<Reservation[]>}
      */
     async getReservedList(options) {
-        return this._get('/schedule/reservedListGet', {
+        const result = await this._get('/schedule/reservedListGet', {
             searchCriteria: 0,
             filter: 0,
             startingIndex: 0,
@@ -117,25 +404,26 @@ class NasneClient {
             withUserData: 0,
             ...options,
         });
+        return this._resolveChannels((result.item || []).map(Reservation.fromJson));
     }
 
     /**
      * Create a recording reservation.
      * @param {Object} params
      * @param {string} params.title
-     * @param {string} params.startDateTime - ISO 8601 format
+     * @param {Date|string} params.startDateTime
      * @param {number} params.duration - seconds
      * @param {number} params.serviceId - channel ID
      * @param {number} params.broadcastingType - 2=地デジ, 3=BS, 4=CS
      * @param {number} [params.eventId] - EPG event ID (auto-fills title/time)
-     * @param {string} [params.conditionId] - '1'=once, 'd'=daily, 'w3'=weekly
+     * @param {string} [params.conditionId] - see NasneClient.Condition
      * @param {number} [params.quality] - 100=DR, 101=3x
      * @returns {Promise<Object>}
      */
     async createReservation(params) {
         const queryParams = {
             title: params.title || '',
-            startDateTime: params.startDateTime,
+            startDateTime: NasneClient.formatDateTime(params.startDateTime),
             duration: params.duration,
             serviceId: params.serviceId,
             broadcastingType: params.broadcastingType,
@@ -145,7 +433,8 @@ class NasneClient {
         if (params.eventId) {
             queryParams.eventId = params.eventId;
         }
-        return this._get('/schedule/reservedInfoCreate', queryParams);
+        // Not idempotent: a retry after a lost response could reserve twice
+        return this._get('/schedule/reservedInfoCreate', queryParams, { retries: 0 });
     }
 
     /**
@@ -155,20 +444,24 @@ class NasneClient {
      * @returns {Promise<Object>}
      */
     async deleteReservation(id, type) {
-        return this._get('/schedule/reservedInfoDelete', { id, type });
+        return this._get('/schedule/reservedInfoDelete', { id, type }, { retries: 0 });
     }
 
     /**
      * Check for scheduling conflicts.
      * @param {Object} params
-     * @param {string} params.startDateTime
+     * @param {Date|string} params.startDateTime
      * @param {number} params.duration
      * @param {number} params.broadcastingType
      * @param {number} params.serviceId
-     * @returns {Promise<Object>}
+     * @returns {Promise<Reservation[]>} the reservations it would clash with
      */
     async getConflictList(params) {
-        return this._get('/schedule/conflictListGet', params);
+        const result = await this._get('/schedule/conflictListGet', {
+            ...params,
+            startDateTime: NasneClient.formatDateTime(params.startDateTime),
+        });
+        return this._resolveChannels((result.item || []).map(Reservation.fromJson));
     }
 
     // ─── Recorded ──────────────────────────────────────────
@@ -176,10 +469,11 @@ class NasneClient {
     /**
      * Get list of recorded titles.
      * @param {Object} [options]
-     * @returns {Promise<Object>}
+     * @returns {Promise<{items: RecordedTitle[], totalMatches: number|null}>}
+     *   totalMatches is null when nasne doesn't report it
      */
     async getRecordedTitleList(options) {
-        return this._get('/recorded/titleListGet', {
+        const result = await this._get('/recorded/titleListGet', {
             searchCriteria: 0,
             filter: 0,
             startingIndex: 0,
@@ -189,6 +483,9 @@ class NasneClient {
             withUserData: 0,
             ...options,
         });
+        const items = await this._resolveChannels((result.item || []).map(RecordedTitle.fromJson));
+        const totalMatches = Number(result.totalMatches);
+        return { items, totalMatches: isNaN(totalMatches) ? null : totalMatches };
     }
 
     /**
@@ -197,54 +494,65 @@ class NasneClient {
      * @returns {Promise<Object>}
      */
     async deleteRecordedTitle(id) {
-        return this._get('/recorded/titleDelete', { id });
+        return this._get('/recorded/titleDelete', { id }, { retries: 0 });
+    }
+
+    /**
+     * Protect a recorded title from deletion, or lift the protection.
+     * The endpoint and its protectFlag parameter follow the naming of the
+     * other /recorded calls but haven't been confirmed on a unit.
+     * @param {string} id - recorded title ID
+     * @param {boolean} protect
+     * @returns {Promise<Object>}
+     */
+    async setRecordedTitleProtect(id, protect) {
+        return this._get('/recorded/titleProtectSet', { id, protectFlag: protect ? 1 : 0 });
     }
 
     // ─── DLNA ContentDirectory ─────────────────────────────
 
     /**
      * Discover the nasne DLNA port by scanning known ports for a UPnP device description.
+     * Callers share a scan in progress, and one that found nothing stands for
+     * DLNA_DISCOVERY_RETRY_MS, so every lookup doesn't rescan an unreachable server.
      * @returns {Promise<number|null>} The DLNA port, or null if not found
      */
     async discoverDlnaPort() {
-        const knownPorts = [58888, 60888, 55888, 50888, 2869, 8200];
-        for (const port of knownPorts) {
-            try {
-                const url = `http://${this.ip}:${port}/description.xml`;
-                console.log(`[nasne] Trying DLNA port ${port}...`);
-                const response = await fetch(url, { signal: AbortSignal.timeout(3000) });
-                if (response.ok) {
-                    const text = await response.text();
-                    if (text.includes('ContentDirectory') || text.includes('MediaServer')) {
-                        console.log(`[nasne] DLNA port found: ${port}`);
-                        this._dlnaPort = port;
-                        this._dlnaDescriptionXml = text;
-                        return port;
-                    }
-                }
-            } catch (e) {
-                // Port not available, try next
-            }
+        const cache = this._cache;
+        if (cache.dlnaDiscovery) return cache.dlnaDiscovery;
+        if (Date.now() < cache.dlnaMissingUntil) return null;
+
+        cache.dlnaDiscovery = this._scanDlnaPorts();
+        try {
+            const port = await cache.dlnaDiscovery;
+            if (port === null) cache.dlnaMissingUntil = Date.now() + DLNA_DISCOVERY_RETRY_MS;
+            return port;
+        } finally {
+            cache.dlnaDiscovery = null;
         }
+    }
 
-        // Also try common device description paths on each port
-        for (const port of knownPorts) {
-            const paths = ['/MediaServer.xml', '/rootDesc.xml', '/dmr.xml'];
-            for (const path of paths) {
+    async _scanDlnaPorts() {
+        const paths = ['/description.xml', '/MediaServer.xml', '/rootDesc.xml', '/dmr.xml'];
+        // Try the usual description path on every port before the rarer ones
+        for (const path of paths) {
+            for (const port of this.dlnaPorts) {
+                const location = `http://${this.ip}:${port}${path}`;
                 try {
-                    const url = `http://${this.ip}:${port}${path}`;
-                    const response = await fetch(url, { signal: AbortSignal.timeout(2000) });
-                    if (response.ok) {
-                        const text = await response.text();
-                        if (text.includes('ContentDirectory') || text.includes('MediaServer')) {
-                            console.log(`[nasne] DLNA found at ${port}${path}`);
-                            this._dlnaPort = port;
-                            this._dlnaDescriptionXml = text;
-                            return port;
-                        }
-                    }
+                    const response = await fetch(location, {
+                        signal: AbortSignal.timeout(path === paths[0] ? 3000 : 2000),
+                    });
+                    if (!response.ok) continue;
+                    const description = Upnp.parseDeviceDescription(await response.text(), location);
+                    const service = description.services.find(s => s.serviceType.startsWith(
+                        'urn:schemas-upnp-org:service:ContentDirectory:'));
+                    if (!service || !service.controlUrl) continue;
+
+                    console.log(`[nasne] DLNA found at ${port}${path}, control URL ${service.controlUrl}`);
+                    this._cache.dlna = { port, description, contentDirectory: new ContentDirectory(service.controlUrl) };
+                    return port;
                 } catch (e) {
-                    // Continue
+                    // Not a media server here, try the next one
                 }
             }
         }
@@ -254,204 +562,261 @@ class NasneClient {
     }
 
     /**
-     * Parse the device description XML to find the ContentDirectory control URL.
-     * @returns {string|null} The full control URL
+     * The unit's UPnP device description, found the way discoverDlnaPort() finds it.
+     * @returns {Promise<Object|null>} from parseDeviceDescription(), null when none was found
      */
-    _getDlnaControlUrl() {
-        if (!this._dlnaDescriptionXml || !this._dlnaPort) return null;
+    async getDeviceDescription() {
+        if (!this._cache.dlna && !(await this.discoverDlnaPort())) return null;
+        return this._cache.dlna.description;
+    }
 
-        const xml = this._dlnaDescriptionXml;
-        // Look for ContentDirectory service and extract controlURL
-        const cdMatch = xml.match(
-            /ContentDirectory[\s\S]*?<controlURL>([^<]+)<\/controlURL>/
-        );
-        if (cdMatch) {
-            const controlPath = cdMatch[1];
-            const url = controlPath.startsWith('http')
-                ? controlPath
-                : `http://${this.ip}:${this._dlnaPort}${controlPath}`;
-            console.log('[nasne] ContentDirectory control URL:', url);
-            return url;
+    /**
+     * The ContentDirectory service, discovered on first use.
+     * @returns {Promise<ContentDirectory>}
+     * @throws {UpnpError} when nasne's media server can't be found
+     */
+    async getContentDirectory() {
+        if (!this._cache.dlna && !(await this.discoverDlnaPort())) {
+            throw new UpnpError('DLNA media server not found');
         }
+        return this._cache.dlna.contentDirectory;
+    }
+
+    /**
+     * Browse a DLNA container, following every page.
+     * @param {string} [objectId='0'] - Container ID ('0' for root)
+     * @param {Object} [options] - see ContentDirectory#browse
+     * @returns {Promise<{containers: Object[], items: Object[]}>}
+     */
+    async browseDlnaContent(objectId = '0', options = {}) {
+        const contentDirectory = await this.getContentDirectory();
+        return contentDirectory.browseAll(objectId, options);
+    }
+
+    /**
+     * Every item on the media server, indexed once and then refreshed
+     * container by container: only containers whose UpdateID moved are
+     * browsed again, and nothing is when the SystemUpdateID hasn't changed.
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - check the server for changes first
+     * @returns {Promise<Object[]>} DIDL items
+     */
+    async getDlnaIndex({ refresh = false } = {}) {
+        const cached = this._cache.dlnaIndex;
+        if (cached && !refresh) return NasneClient._indexedItems(await cached);
+
+        const pending = (async () => {
+            const contentDirectory = await this.getContentDirectory();
+            const previous = cached ? await cached.catch(() => null) : null;
+            const systemUpdateId = await contentDirectory.getSystemUpdateId().catch(() => null);
+            if (previous && systemUpdateId !== null && systemUpdateId === previous.systemUpdateId) {
+                return previous;
+            }
 
-        // Fallback: try common path
-        return `http://${this.ip}:${this._dlnaPort}/MediaServer_ContentDirectory/control`;
-    }
-
-    /**
-     * Browse content in DLNA ContentDirectory via UPnP SOAP.
-     * @param {string} objectId - Container ID to browse ('0' for root)
-     * @param {number} [startIndex=0]
-     * @param {number} [requestedCount=200]
-     * @returns {Promise<string>} Raw DIDL-Lite XML result
-     */
-    async browseDlnaContent(objectId = '0', startIndex = 0, requestedCount = 200) {
-        const controlUrl = this._getDlnaControlUrl();
-        if (!controlUrl) throw new Error('DLNA control URL not available');
-
-        const soapBody = `<?xml version="1.0" encoding="utf-8"?>
-<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">
-  <s:Body>
-    <u:Browse xmlns:u="urn:schemas-upnp-org:service:ContentDirectory:1">
-      <ObjectID>${objectId}</ObjectID>
-      <BrowseFlag>BrowseDirectChildren</BrowseFlag>
-      <Filter>*</Filter>
-      <StartingIndex>${startIndex}</StartingIndex>
-      <RequestedCount>${requestedCount}</RequestedCount>
-      <SortCriteria></SortCriteria>
-    </u:Browse>
-  </s:Body>
-</s:Envelope>`;
-
-        console.log(`[nasne] DLNA Browse objectId=${objectId}`);
-        const response = await fetch(controlUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'text/xml; charset="utf-8"',
-                'SOAPAction': '"urn:schemas-upnp-org:service:ContentDirectory:1#Browse"',
-            },
-            body: soapBody,
-            signal: AbortSignal.timeout(10000),
+            const containers = new Map();
+            await this._indexDlnaContainer(contentDirectory, '0', previous ? previous.containers : new Map(), containers);
+            console.log(`[nasne] DLNA index: ${containers.size} containers`);
+            return { systemUpdateId, containers };
+        })();
+        this._cache.dlnaIndex = pending;
+        // Don't keep a failed build around, the next lookup should retry
+        pending.catch(() => {
+            if (this._cache.dlnaIndex === pending) this._cache.dlnaIndex = null;
         });
+        return NasneClient._indexedItems(await pending);
+    }
 
-        if (!response.ok) {
-            throw new Error(`DLNA Browse failed: ${response.status}`);
+    /**
+     * Index a container and everything below it into `containers`, reusing
+     * the previous entry of any container whose UpdateID hasn't changed.
+     */
+    async _indexDlnaContainer(contentDirectory, id, previous, containers) {
+        let entry = previous.get(id);
+        if (entry && entry.updateId !== null) {
+            const probe = await contentDirectory.browse(id, { count: 1 });
+            if (probe.updateId !== entry.updateId || probe.totalMatches !== entry.totalMatches) entry = null;
+        } else {
+            entry = null;
         }
+        if (!entry) entry = await contentDirectory.browseAll(id);
+
+        containers.set(id, entry);
+        for (const child of entry.containers) {
+            if (!containers.has(child.id)) {
+                await this._indexDlnaContainer(contentDirectory, child.id, previous, containers);
+            }
+        }
+    }
 
-        return response.text();
+    static _indexedItems(index) {
+        const items = [];
+        index.containers.forEach(entry => items.push(...entry.items));
+        return items;
     }
 
     /**
-     * Find a recording in DLNA ContentDirectory by title and return its resource info.
-     * @param {string} title - Recording title to search for
-     * @returns {Promise<{url: string, protocolInfo: string}|null>}
+     * DLNA items that are the given recording. More than one means the
+     * recording couldn't be told apart and the user has to pick.
+     * @param {RecordedTitle} recording
+     * @returns {Promise<Object[]>} DIDL items, best match first
      */
-    async findDlnaRecording(title) {
-        try {
-            // Ensure DLNA port is discovered
-            if (!this._dlnaPort) {
-                const port = await this.discoverDlnaPort();
-                if (!port) return null;
-            }
+    async findDlnaItems(recording) {
+        let matches = NasneClient.matchDlnaItems(recording, await this.getDlnaIndex());
+        if (matches.length === 0) {
+            // Probably recorded since the index was built
+            matches = NasneClient.matchDlnaItems(recording, await this.getDlnaIndex({ refresh: true }));
+        }
+        return matches;
+    }
+
+    /**
+     * Thumbnail URL of a recording. Uses the DLNA index as it is: a tile
+     * without a thumbnail isn't worth a refresh.
+     * @param {RecordedTitle} recording
+     * @returns {Promise<string|null>}
+     */
+    async findThumbnailUrl(recording) {
+        const [item] = NasneClient.matchDlnaItems(recording, await this.getDlnaIndex());
+        return item ? NasneClient.getThumbnailUrl(item) : null;
+    }
 
-            // Browse root to find recording containers
-            const rootXml = await this.browseDlnaContent('0');
-            console.log('[nasne] Root browse result length:', rootXml.length);
+    /**
+     * Match a recording against DIDL items on a stable key: an object ID equal
+     * to the recorded title's ID, otherwise start time, duration and channel.
+     * An ID that merely contains the title's ID as a segment can be a
+     * coincidence, so it only narrows down items that match on those too.
+     * Titles are only compared (exactly) for items without a start time.
+     * @param {RecordedTitle} recording
+     * @param {Object[]} items - DIDL items from Upnp.parseDidl()
+     * @returns {Object[]}
+     */
+    static matchDlnaItems(recording, items) {
+        const playable = items.filter(item => !NasneClient._isBroadcast(item) && NasneClient.getVideoResource(item));
 
-            // Extract container IDs from root
-            const containerIds = this._extractContainerIds(rootXml);
-            console.log('[nasne] Found containers:', containerIds);
+        const id = recording.id ? String(recording.id) : '';
+        const byId = playable.filter(item => id && item.id === id);
+        if (byId.length > 0) return byId;
 
-            // Search in each container for the recording
-            for (const container of containerIds) {
-                const result = await this._searchContainer(container.id, title);
-                if (result) return result;
-            }
+        const matches = playable.filter(item => NasneClient._matchesSchedule(recording, item));
+        const bySegment = matches.filter(item => id && item.id.split(/[^\w-]/).includes(id));
+        return bySegment.length > 0 ? bySegment : matches;
+    }
 
-            // Also try browsing root directly (some devices list items at root)
-            const directResult = this._findItemInXml(rootXml, title);
-            if (directResult) return directResult;
+    static _matchesSchedule(recording, item) {
+        const start = recording.startDateTime ? new Date(recording.startDateTime).getTime() : null;
+        // Date-only values can't tell two programs of a day apart
+        const itemStart = item.date.includes('T') ? parseNasneDate(item.date) : null;
+        if (!itemStart || start === null) {
+            const title = NasneClient._normalizeTitle(recording.title || '');
+            return Boolean(title) && NasneClient._normalizeTitle(item.title) === title;
+        }
+        if (Math.abs(itemStart.getTime() - start) > DLNA_START_TOLERANCE_MS) return false;
 
-            return null;
-        } catch (err) {
-            console.error('[nasne] DLNA recording search failed:', err);
-            return null;
+        const duration = NasneClient.getVideoResource(item).duration;
+        if (duration !== null && recording.duration &&
+            Math.abs(duration - recording.duration) > DLNA_DURATION_TOLERANCE_SEC) {
+            return false;
         }
+        const channel = NasneClient._normalizeTitle(recording.channelName || '');
+        return !item.channelName || !channel || NasneClient._normalizeTitle(item.channelName) === channel;
     }
 
     /**
-     * Extract container IDs from DIDL-Lite XML.
+     * The live stream of a channel, from the media server's broadcast items.
+     * @param {Channel} channel
+     * @returns {Promise<Object|null>} DIDL item, null when the server doesn't stream the channel
      */
-    _extractContainerIds(xml) {
-        const decoded = this._decodeXmlEntities(xml);
-        const containers = [];
-        const regex = /<container[^>]*id="([^"]*)"[^>]*>[\s\S]*?<dc:title>([^<]*)<\/dc:title>[\s\S]*?<\/container>/g;
-        let match;
-        while ((match = regex.exec(decoded)) !== null) {
-            containers.push({ id: match[1], title: match[2] });
-        }
-        return containers;
+    async findDlnaLiveChannel(channel) {
+        const match = NasneClient.matchDlnaChannel(channel, await this.getDlnaIndex());
+        return match || NasneClient.matchDlnaChannel(channel, await this.getDlnaIndex({ refresh: true }));
     }
 
     /**
-     * Search a container for a recording with matching title.
+     * The broadcast item of a channel, matched on the channel name.
+     * @param {Channel} channel
+     * @param {Object[]} items - DIDL items from Upnp.parseDidl()
+     * @returns {Object|null}
      */
-    async _searchContainer(containerId, title) {
-        try {
-            const xml = await this.browseDlnaContent(containerId);
-            const found = this._findItemInXml(xml, title);
-            if (found) return found;
-
-            // Check sub-containers
-            const subContainers = this._extractContainerIds(xml);
-            for (const sub of subContainers) {
-                const subResult = await this._searchContainer(sub.id, title);
-                if (subResult) return subResult;
-            }
-        } catch (err) {
-            console.warn(`[nasne] Error browsing container ${containerId}:`, err);
-        }
-        return null;
+    static matchDlnaChannel(channel, items) {
+        const name = NasneClient._normalizeTitle(channel.name || '');
+        if (!name) return null;
+        return items.find(item => NasneClient._isBroadcast(item) && NasneClient.getVideoResource(item) &&
+            NasneClient._normalizeTitle(item.channelName || item.title) === name) || null;
+    }
+
+    static _isBroadcast(item) {
+        return item.upnpClass.startsWith('object.item.videoItem.videoBroadcast');
     }
 
     /**
-     * Find an item in DIDL-Lite XML with matching title and extract its res URL.
-     */
-    _findItemInXml(xml, searchTitle) {
-        const decoded = this._decodeXmlEntities(xml);
-        // Match items with their title and res elements
-        const itemRegex = /<item[^>]*>[\s\S]*?<\/item>/g;
-        let match;
-        while ((match = itemRegex.exec(decoded)) !== null) {
-            const itemXml = match[0];
-            const titleMatch = itemXml.match(/<dc:title>([^<]*)<\/dc:title>/);
-            if (!titleMatch) continue;
-
-            const itemTitle = titleMatch[1];
-            // Fuzzy match: check if titles are similar
-            if (itemTitle === searchTitle || itemTitle.includes(searchTitle) || searchTitle.includes(itemTitle)) {
-                console.log(`[nasne] Found DLNA item: "${itemTitle}"`);
-                // Extract res URL and protocolInfo
-                const resRegex = /<res\s+([^>]*)>([^<]*)<\/res>/g;
-                let resMatch;
-                while ((resMatch = resRegex.exec(itemXml)) !== null) {
-                    const attrs = resMatch[1];
-                    const resUrl = resMatch[2].trim();
-                    const protoMatch = attrs.match(/protocolInfo="([^"]*)"/);
-                    const protocolInfo = protoMatch ? protoMatch[1] : '';
-                    console.log(`[nasne] DLNA res URL: ${resUrl}`);
-                    console.log(`[nasne] protocolInfo: ${protocolInfo}`);
-                    // Prefer video resources
-                    if (protocolInfo.includes('video') || resUrl.includes('video')) {
-                        return { url: resUrl, protocolInfo };
-                    }
-                }
-                // Return first res if no video-specific one found
-                const firstRes = itemXml.match(/<res\s+([^>]*)>([^<]*)<\/res>/);
-                if (firstRes) {
-                    const attrs = firstRes[1];
-                    const resUrl = firstRes[2].trim();
-                    const protoMatch = attrs.match(/protocolInfo="([^"]*)"/);
-                    return {
-                        url: resUrl,
-                        protocolInfo: protoMatch ? protoMatch[1] : '',
-                    };
-                }
-            }
+     * The playable resource of a DIDL item, preferring video over thumbnails.
+     * @param {Object} item
+     * @returns {{url: string, protocolInfo: string, mimeType: string, size: number|null,
+     *   duration: number|null, resolution: string, bitrate: number|null}|null}
+     */
+    static getVideoResource(item) {
+        return item.resources.find(r => r.mimeType.startsWith('video/')) || null;
+    }
+
+    /**
+     * Thumbnail of a DIDL item: its album art, else an image resource.
+     * @param {Object} item
+     * @returns {string|null} URL
+     */
+    static getThumbnailUrl(item) {
+        if (item.albumArtUri) return item.albumArtUri;
+        const image = item.resources.find(r => r.mimeType.startsWith('image/'));
+        return image ? image.url : null;
+    }
+
+    /**
+     * Full-width/half-width and spacing differences shouldn't stop a match.
+     */
+    static _normalizeTitle(text) {
+        return text.normalize('NFKC').replace(/\s+/g, '');
+    }
+
+    // ─── Discovery ─────────────────────────────────────────
+
+    /**
+     * Check whether a nasne answers on the given IP.
+     * @param {string} ip
+     * @param {number} [timeout=1500] - ms
+     * @returns {Promise<{ip: string, name: string, udn: string}|null>} null if no nasne answered
+     */
+    static async probe(ip, timeout = 1500) {
+        return new NasneClient(ip).identify(timeout);
+    }
+
+    /**
+     * Confirm that this address is a nasne: the status API answers, and the
+     * UPnP device description says nasne. Any host could answer JSON on the
+     * status port, so the description has the final say.
+     * @param {number} [timeout=1500] - ms for the status request
+     * @returns {Promise<{ip: string, name: string, udn: string}|null>}
+     */
+    async identify(timeout = 1500) {
+        try {
+            const response = await fetch(`http://${this.ip}:${this.ports.status}/status/boxNameGet`, {
+                signal: AbortSignal.timeout(timeout),
+            });
+            if (!response.ok) return null;
+            const result = await response.json();
+            const description = await this.getDeviceDescription();
+            if (!description || !NasneClient.isNasneDescription(description)) return null;
+            return { ip: this.ip, name: result.name || description.friendlyName, udn: description.udn };
+        } catch (e) {
+            return null;
         }
-        return null;
     }
 
     /**
-     * Decode XML entities in SOAP response (DIDL-Lite is often HTML-encoded).
+     * Whether a parsed device description belongs to a nasne.
+     * @param {Object} description - from Upnp.parseDeviceDescription()
+     * @returns {boolean}
      */
-    _decodeXmlEntities(xml) {
-        return xml
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&amp;/g, '&')
-            .replace(/&quot;/g, '"')
-            .replace(/&apos;/g, "'");
+    static isNasneDescription(description) {
+        return /nasne/i.test(description.modelName) || /nasne/i.test(description.friendlyName);
     }
 
     // ─── Helpers ───────────────────────────────────────────
@@ -462,13 +827,29 @@ class NasneClient {
      */
     async testConnection() {
         try {
-            await this.getBoxStatusList();
+            // Fail fast: a powered-down unit shouldn't hold up the others
+            await this._get('/status/boxStatusListGet', undefined, { timeout: 5000, retries: 0 });
             return true;
         } catch (e) {
             console.error('[nasne] Connection failed:', e);
             return false;
         }
     }
+
+    /**
+     * Format a date the way nasne expects it (ISO 8601 with local offset).
+     * @param {Date|string} date
+     * @returns {string} e.g. '2024-04-01T21:00:00+09:00'
+     */
+    static formatDateTime(date) {
+        if (typeof date === 'string') return date;
+        const pad = (n) => String(Math.abs(n)).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+        const sign = offset >= 0 ? '+' : '-';
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+            `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
 }
 
 // Broadcasting type constants
@@ -478,6 +859,23 @@ NasneClient.BroadcastingType = {
     CS: 4,
 };
 
+// Reservation repeat condition constants; weekly ones come from weeklyCondition()
+NasneClient.Condition = {
+    ONCE: '1',
+    DAILY: 'd',
+    // 月〜金; unlike the others this ID hasn't been seen from a unit yet
+    WEEKDAYS: 'wd',
+};
+
+/**
+ * Weekly repeat condition for a day of week.
+ * @param {number} day - 0=Sunday ... 6=Saturday (Date#getDay)
+ * @returns {string} e.g. 'w3' for Wednesdays
+ */
+NasneClient.weeklyCondition = function (day) {
+    return `w${day}`;
+};
+
 // Recording quality constants
 NasneClient.Quality = {
     DR: 100,
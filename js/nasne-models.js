@@ -0,0 +1,163 @@
+/**
+ * nasne Response Models
+ * Normalized objects built from nasne's JSON payloads, so the UI never has to
+ * look at raw responses. Dates are Date objects, durations are seconds.
+ */
+
+// ─── Helpers ───────────────────────────────────────────────
+
+/**
+ * Parse a nasne timestamp ('2024-04-01T21:00:00+09:00').
+ * @param {string|Date} value
+ * @returns {Date|null} null when missing or invalid
+ */
+function parseNasneDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Broadcasting type (2=地デジ, 3=BS, 4=CS) from an ARIB original network ID.
+ * @param {number} networkId
+ * @returns {number|null} null when the network isn't known
+ */
+function broadcastingTypeFromNetworkId(networkId) {
+    const id = Number(networkId);
+    if (id === 4) return 3; // BS
+    if (id === 6 || id === 7) return 4; // 110度CS
+    if (id >= 0x7880 && id <= 0x7fe8) return 2; // 地上デジタル
+    return null;
+}
+
+/**
+ * Major ARIB content genre (0-15) of a payload's genre field, which nasne
+ * sends as a number, an object with an id, or a list of either.
+ * @returns {number|null}
+ */
+function parseGenreId(genre) {
+    const first = Array.isArray(genre) ? genre[0] : genre;
+    if (first === undefined || first === null) return null;
+    const id = Number(typeof first === 'object' ? first.id : first);
+    if (isNaN(id)) return null;
+    // Full content nibbles (0xMN) carry the major genre in the high nibble
+    return id > 0xf ? id >> 4 : id;
+}
+
+/**
+ * Fields shared by everything that sits on a channel at a time.
+ */
+function parseScheduleFields(raw, channel) {
+    const startDateTime = parseNasneDate(raw.startDateTime);
+    const duration = Number(raw.duration) || 0;
+    const serviceId = Number(raw.serviceId) || (channel ? channel.serviceId : 0);
+    return {
+        title: raw.title || '',
+        description: raw.description || '',
+        descriptionLong: raw.descriptionLong || '',
+        startDateTime,
+        endDateTime: startDateTime ? new Date(startDateTime.getTime() + duration * 1000) : null,
+        duration,
+        serviceId,
+        eventId: Number(raw.eventId) || null,
+        broadcastingType: Number(raw.broadcastingType) ||
+            broadcastingTypeFromNetworkId(raw.networkId) ||
+            (channel ? channel.broadcastingType : null),
+        channelName: raw.channelName || raw.serviceName || (channel ? channel.name : ''),
+    };
+}
+
+// ─── Models ────────────────────────────────────────────────
+
+class Channel {
+    /**
+     * @param {Object} raw - an entry of channelListGet's `channel` list
+     * @param {number} [broadcastingType] - the type the list was requested for
+     * @returns {Channel}
+     */
+    static fromJson(raw, broadcastingType) {
+        const channel = new Channel();
+        channel.serviceId = Number(raw.serviceId) || 0;
+        channel.transportStreamId = Number(raw.transportStreamId) || 0;
+        channel.networkId = Number(raw.networkId) || 0;
+        channel.broadcastingType = Number(raw.broadcastingType) ||
+            broadcastingTypeFromNetworkId(raw.networkId) || broadcastingType || null;
+        channel.remoteControlKeyId = Number(raw.remoteControlKeyId) || null;
+        channel.name = raw.title || raw.serviceName || '';
+        return channel;
+    }
+}
+
+class Program {
+    /**
+     * @param {Object} raw - an EPG event
+     * @param {Channel} [channel] - the channel it airs on, fills fields the event lacks
+     * @returns {Program}
+     */
+    static fromJson(raw, channel) {
+        const program = Object.assign(new Program(), parseScheduleFields(raw, channel));
+        program.genreId = parseGenreId(raw.genre);
+        return program;
+    }
+
+    /**
+     * The program on air from a channelInfoGet2 response, which describes the
+     * channel and its current event in one object.
+     * @param {Object} response
+     * @param {Channel} [channel]
+     * @returns {Program|null} null when no event is on air
+     */
+    static fromChannelInfo(response, channel) {
+        const raw = response && response.channel;
+        if (!raw || !(raw.title || raw.eventId)) return null;
+        return Program.fromJson(raw, channel);
+    }
+}
+
+class Reservation {
+    /**
+     * @param {Object} raw - an entry of reservedListGet's or conflictListGet's `item` list
+     * @returns {Reservation}
+     */
+    static fromJson(raw) {
+        const reservation = Object.assign(new Reservation(), parseScheduleFields(raw));
+        reservation.id = raw.id;
+        reservation.type = Number(raw.type) || 0;
+        // nasne leaves conditionId empty for one-off reservations ('1')
+        reservation.conditionId = raw.conditionId ? String(raw.conditionId) : '1';
+        reservation.quality = Number(raw.quality) || 100;
+        reservation.conflicting = Number(raw.conflictId) > 0;
+        return reservation;
+    }
+}
+
+class RecordedTitle {
+    /**
+     * @param {Object} raw - an entry of titleListGet's `item` list
+     * @returns {RecordedTitle}
+     */
+    static fromJson(raw) {
+        const title = Object.assign(new RecordedTitle(), parseScheduleFields(raw));
+        title.id = raw.id;
+        title.quality = Number(raw.quality) || 100;
+        title.genreId = parseGenreId(raw.genre);
+        title.watched = Boolean(Number(raw.playedFlag));
+        title.protected = Boolean(Number(raw.protectFlag));
+        // 0 when nasne doesn't report the file size
+        title.size = Number(raw.size || raw.fileSize) || 0;
+        return title;
+    }
+}
+
+// Node (unit tests) has no browser globals to share these through
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Channel,
+        Program,
+        Reservation,
+        RecordedTitle,
+        parseNasneDate,
+        broadcastingTypeFromNetworkId,
+        parseGenreId,
+    };
+}
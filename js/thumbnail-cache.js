@@ -0,0 +1,159 @@
+/**
+ * Thumbnail Cache
+ * Recording thumbnails kept in IndexedDB, so the recordings grid doesn't
+ * fetch them from nasne on every visit. The least recently used ones are
+ * dropped once the cache outgrows its limits.
+ */
+
+const THUMBNAIL_STORE = 'thumbnails';
+
+class ThumbnailCache {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbName='nasne_thumbnails']
+     * @param {number} [options.maxBytes=32 MiB]
+     * @param {number} [options.maxEntries=2000]
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'nasne_thumbnails';
+        this.maxBytes = options.maxBytes || 32 * 1024 * 1024;
+        this.maxEntries = options.maxEntries || 2000;
+        this._db = null; // Promise<IDBDatabase|null>, null where IndexedDB is unavailable
+        this._usage = null; // { bytes, count }, known after the first eviction check
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<Blob|null>}
+     */
+    async get(key) {
+        const db = await this._open();
+        if (!db) return null;
+        try {
+            const entry = await ThumbnailCache._request(
+                db.transaction(THUMBNAIL_STORE).objectStore(THUMBNAIL_STORE).get(key));
+            if (!entry) return null;
+            // Keep it at the recent end of the LRU order, no need to wait for that
+            this._write(db, store => store.put({ ...entry, usedAt: Date.now() })).catch(() => {});
+            return entry.blob;
+        } catch (err) {
+            console.warn('[nasne] Thumbnail cache read failed:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Store a thumbnail, then evict old ones if over the limits.
+     * @param {string} key
+     * @param {Blob} blob
+     */
+    async put(key, blob) {
+        const db = await this._open();
+        if (!db) return;
+        const size = blob.size || 0;
+        try {
+            await this._write(db, store => store.put({ key, blob, size, usedAt: Date.now() }));
+            if (this._usage) {
+                this._usage.bytes += size;
+                this._usage.count++;
+            }
+            if (!this._usage || this._usage.bytes > this.maxBytes || this._usage.count > this.maxEntries) {
+                await this._evict(db);
+            }
+        } catch (err) {
+            // Quota errors and the like only cost a refetch later
+            console.warn('[nasne] Thumbnail cache write failed:', err);
+        }
+    }
+
+    /**
+     * @param {string} key
+     */
+    async delete(key) {
+        const db = await this._open();
+        if (!db) return;
+        try {
+            await this._write(db, store => store.delete(key));
+            this._usage = null; // recounted on the next put
+        } catch (err) {
+            console.warn('[nasne] Thumbnail cache delete failed:', err);
+        }
+    }
+
+    async _evict(db) {
+        const entries = await ThumbnailCache._request(
+            db.transaction(THUMBNAIL_STORE).objectStore(THUMBNAIL_STORE).getAll());
+        const doomed = ThumbnailCache.planEviction(entries, this);
+        if (doomed.length > 0) {
+            await this._write(db, store => doomed.forEach(key => store.delete(key)));
+        }
+        const kept = entries.filter(entry => !doomed.includes(entry.key));
+        this._usage = { bytes: kept.reduce((sum, entry) => sum + entry.size, 0), count: kept.length };
+    }
+
+    /**
+     * Keys to drop, least recently used first, to get back within the limits.
+     * @param {{key: string, size: number, usedAt: number}[]} entries
+     * @param {{maxBytes: number, maxEntries: number}} limits
+     * @returns {string[]}
+     */
+    static planEviction(entries, { maxBytes, maxEntries }) {
+        let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        let count = entries.length;
+        const doomed = [];
+        for (const entry of entries.slice().sort((a, b) => a.usedAt - b.usedAt)) {
+            if (bytes <= maxBytes && count <= maxEntries) break;
+            doomed.push(entry.key);
+            bytes -= entry.size;
+            count--;
+        }
+        return doomed;
+    }
+
+    _open() {
+        if (!this._db) {
+            this._db = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(THUMBNAIL_STORE, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('[nasne] Thumbnail cache unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this._db;
+    }
+
+    /**
+     * Run fn(store) in a readwrite transaction.
+     * @returns {Promise<void>} settles when the transaction does
+     */
+    _write(db, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(THUMBNAIL_STORE, 'readwrite');
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            fn(tx.objectStore(THUMBNAIL_STORE));
+        });
+    }
+
+    static _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Node (unit tests) has no browser globals to share these through
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ThumbnailCache };
+}
@@ -0,0 +1,433 @@
+/**
+ * UPnP / DLNA Client
+ * Device descriptions, SOAP control and DIDL-Lite parsing for the
+ * ContentDirectory service, built on DOMParser.
+ */
+
+// ─── Errors ────────────────────────────────────────────────
+
+/**
+ * A UPnP request failed: SOAP fault, HTTP error or unparseable XML.
+ */
+class UpnpError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.errorCode] - UPnP error code from a SOAP fault (e.g. 701)
+     * @param {string} [details.errorDescription]
+     * @param {number} [details.status] - HTTP status
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'UpnpError';
+        this.errorCode = details.errorCode || null;
+        this.errorDescription = details.errorDescription || '';
+        this.status = details.status || null;
+    }
+}
+
+// ─── XML Helpers ───────────────────────────────────────────
+
+const Upnp = {
+    CONTENT_DIRECTORY: 'urn:schemas-upnp-org:service:ContentDirectory:1',
+    SOAP_ENVELOPE_NS: 'http://schemas.xmlsoap.org/soap/envelope/',
+
+    /**
+     * Parse an XML document.
+     * @param {string} text
+     * @returns {Document}
+     * @throws {UpnpError} when the text isn't well-formed XML
+     */
+    parseXml(text) {
+        let doc;
+        try {
+            doc = new DOMParser().parseFromString(text, 'text/xml');
+        } catch (e) {
+            throw new UpnpError(`Malformed XML: ${e.message}`);
+        }
+        if (!doc || !doc.documentElement || doc.getElementsByTagName('parsererror').length > 0) {
+            throw new UpnpError('Malformed XML');
+        }
+        return doc;
+    },
+
+    /**
+     * Element children of a node, optionally only those with a local name
+     * (namespace prefixes are ignored).
+     * @returns {Element[]}
+     */
+    children(node, localName) {
+        const result = [];
+        for (let child = node.firstChild; child; child = child.nextSibling) {
+            if (child.nodeType === 1 && (!localName || child.localName === localName)) {
+                result.push(child);
+            }
+        }
+        return result;
+    },
+
+    /**
+     * All descendants with a local name, in document order.
+     * @returns {Element[]}
+     */
+    descendants(node, localName) {
+        const result = [];
+        const walk = (parent) => {
+            Upnp.children(parent).forEach(child => {
+                if (child.localName === localName) result.push(child);
+                walk(child);
+            });
+        };
+        walk(node);
+        return result;
+    },
+
+    /**
+     * Trimmed text of the first child element with a local name ('' if none).
+     */
+    childText(node, localName) {
+        const child = Upnp.children(node, localName)[0];
+        return child ? child.textContent.trim() : '';
+    },
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    },
+
+    /**
+     * Seconds from a DIDL duration ('H+:MM:SS[.F+]').
+     * @returns {number|null}
+     */
+    parseDuration(value) {
+        const match = /^(\d+):(\d{1,2}):(\d{1,2})(\.\d+)?$/.exec((value || '').trim());
+        if (!match) return null;
+        return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) + Number(match[4] || 0);
+    },
+
+    /**
+     * Comma-separated capability list ('' means none, '*' means all).
+     * @returns {string[]}
+     */
+    parseCapabilities(value) {
+        return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+    },
+
+    // ─── Device Description ────────────────────────────────
+
+    /**
+     * Read a UPnP device description.
+     * @param {string} xml
+     * @param {string} [location] - URL the description was fetched from, for relative URLs
+     * @returns {{friendlyName: string, manufacturer: string, modelName: string, udn: string,
+     *   deviceType: string, services: {serviceType: string, serviceId: string, controlUrl: string}[]}}
+     */
+    parseDeviceDescription(xml, location) {
+        const root = Upnp.parseXml(xml).documentElement;
+        const device = Upnp.children(root, 'device')[0];
+        if (!device) throw new UpnpError('Device description has no device');
+
+        const base = Upnp.childText(root, 'URLBase') || location;
+        const resolve = (url) => {
+            if (!url) return '';
+            try {
+                return base ? new URL(url, base).toString() : url;
+            } catch (e) {
+                return url;
+            }
+        };
+
+        return {
+            friendlyName: Upnp.childText(device, 'friendlyName'),
+            manufacturer: Upnp.childText(device, 'manufacturer'),
+            modelName: Upnp.childText(device, 'modelName'),
+            udn: Upnp.childText(device, 'UDN'),
+            deviceType: Upnp.childText(device, 'deviceType'),
+            // Embedded devices list their services too
+            services: Upnp.descendants(device, 'service').map(service => ({
+                serviceType: Upnp.childText(service, 'serviceType'),
+                serviceId: Upnp.childText(service, 'serviceId'),
+                controlUrl: resolve(Upnp.childText(service, 'controlURL')),
+            })),
+        };
+    },
+
+    // ─── DIDL-Lite ─────────────────────────────────────────
+
+    /**
+     * Parse a DIDL-Lite document.
+     * @param {string} xml
+     * @returns {{containers: Object[], items: Object[]}}
+     *   containers: { id, parentId, title, upnpClass, childCount }
+     *   items: { id, parentId, title, upnpClass, date, channelName, albumArtUri, resources }
+     */
+    parseDidl(xml) {
+        const root = Upnp.parseXml(xml).documentElement;
+        const base = (el) => ({
+            id: el.getAttribute('id') || '',
+            parentId: el.getAttribute('parentID') || '',
+            title: Upnp.childText(el, 'title'),
+            upnpClass: Upnp.childText(el, 'class'),
+        });
+
+        return {
+            containers: Upnp.children(root, 'container').map(el => {
+                const childCount = el.getAttribute('childCount');
+                return { ...base(el), childCount: childCount ? Number(childCount) : null };
+            }),
+            items: Upnp.children(root, 'item').map(el => ({
+                ...base(el),
+                date: Upnp.childText(el, 'date'),
+                channelName: Upnp.childText(el, 'channelName'),
+                albumArtUri: Upnp.childText(el, 'albumArtURI'),
+                resources: Upnp.children(el, 'res').map(Upnp.parseResource),
+            })),
+        };
+    },
+
+    /**
+     * @param {Element} res - a DIDL `res` element
+     * @returns {{url: string, protocolInfo: string, mimeType: string, size: number|null,
+     *   duration: number|null, resolution: string, bitrate: number|null}}
+     */
+    parseResource(res) {
+        const protocolInfo = res.getAttribute('protocolInfo') || '';
+        const number = (name) => {
+            const value = res.getAttribute(name);
+            return value ? Number(value) : null;
+        };
+        // DTCP-IP resources name the real format in CONTENTFORMAT
+        const contentFormat = /CONTENTFORMAT=([^;:]+)/.exec(protocolInfo);
+        return {
+            url: res.textContent.trim(),
+            protocolInfo,
+            mimeType: contentFormat ? contentFormat[1] : (protocolInfo.split(':')[2] || ''),
+            size: number('size'),
+            duration: Upnp.parseDuration(res.getAttribute('duration')),
+            resolution: res.getAttribute('resolution') || '',
+            bitrate: number('bitrate'),
+        };
+    },
+};
+
+// ─── ContentDirectory ──────────────────────────────────────
+
+class ContentDirectory {
+    /**
+     * @param {string} controlUrl - absolute control URL of the service
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] - ms per request
+     * @param {number} [options.pageSize=200] - items requested per Browse/Search call
+     */
+    constructor(controlUrl, options = {}) {
+        this.controlUrl = controlUrl;
+        this.timeout = options.timeout || 10000;
+        this.pageSize = options.pageSize || 200;
+        this._capabilities = {};
+    }
+
+    /**
+     * Invoke a SOAP action.
+     * @param {string} action - e.g. 'Browse'
+     * @param {Object} [args] - in order, as the action's argument list requires
+     * @returns {Promise<Object>} output arguments by name
+     * @throws {UpnpError} on SOAP faults, HTTP errors and malformed responses
+     */
+    async invoke(action, args = {}) {
+        const argXml = Object.entries(args)
+            .map(([name, value]) => `<${name}>${Upnp.escapeXml(value)}</${name}>`)
+            .join('');
+        const body = '<?xml version="1.0" encoding="utf-8"?>' +
+            `<s:Envelope xmlns:s="${Upnp.SOAP_ENVELOPE_NS}" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">` +
+            `<s:Body><u:${action} xmlns:u="${Upnp.CONTENT_DIRECTORY}">${argXml}</u:${action}></s:Body>` +
+            '</s:Envelope>';
+
+        console.log(`[nasne] UPnP ${action}`, args);
+        let response;
+        try {
+            response = await fetch(this.controlUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'text/xml; charset="utf-8"',
+                    'SOAPAction': `"${Upnp.CONTENT_DIRECTORY}#${action}"`,
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeout),
+            });
+        } catch (e) {
+            throw new UpnpError(`UPnP ${action} failed: ${e.message}`);
+        }
+
+        const text = await response.text();
+        let doc = null;
+        try {
+            doc = Upnp.parseXml(text);
+        } catch (e) {
+            // A fault without a readable body is reported by status below
+        }
+
+        const fault = doc && Upnp.descendants(doc.documentElement, 'Fault')[0];
+        if (fault) {
+            const upnpError = Upnp.descendants(fault, 'UPnPError')[0];
+            const errorCode = upnpError ? Number(Upnp.childText(upnpError, 'errorCode')) : null;
+            const errorDescription = upnpError ? Upnp.childText(upnpError, 'errorDescription') : '';
+            throw new UpnpError(`UPnP ${action} fault ${errorCode || ''} ${errorDescription}`.trim(), {
+                errorCode, errorDescription, status: response.status,
+            });
+        }
+        if (!response.ok) {
+            throw new UpnpError(`UPnP ${action} failed: ${response.status}`, { status: response.status });
+        }
+        if (!doc) throw new UpnpError(`UPnP ${action} returned malformed XML`);
+
+        const output = Upnp.descendants(doc.documentElement, `${action}Response`)[0];
+        if (!output) throw new UpnpError(`UPnP ${action} response is missing`);
+
+        const result = {};
+        Upnp.children(output).forEach(el => { result[el.localName] = el.textContent; });
+        return result;
+    }
+
+    /**
+     * One page of a container's children.
+     * @param {string} objectId - '0' for the root
+     * @param {Object} [options]
+     * @param {number} [options.start=0]
+     * @param {number} [options.count] - defaults to pageSize
+     * @param {string} [options.sort] - e.g. '-dc:date', must be in getSortCapabilities()
+     * @returns {Promise<{containers: Object[], items: Object[], numberReturned: number,
+     *   totalMatches: number, updateId: number|null}>}
+     */
+    async browse(objectId, options = {}) {
+        const result = await this.invoke('Browse', {
+            ObjectID: objectId,
+            BrowseFlag: 'BrowseDirectChildren',
+            Filter: '*',
+            StartingIndex: options.start || 0,
+            RequestedCount: options.count || this.pageSize,
+            SortCriteria: options.sort || '',
+        });
+        return ContentDirectory._parsePage(result);
+    }
+
+    /**
+     * One page of a recursive search below a container.
+     * @param {string} containerId
+     * @param {string} criteria - UPnP search criteria, e.g. 'dc:title contains "news"'
+     * @param {Object} [options] - as for browse()
+     */
+    async search(containerId, criteria, options = {}) {
+        const result = await this.invoke('Search', {
+            ContainerID: containerId,
+            SearchCriteria: criteria,
+            Filter: '*',
+            StartingIndex: options.start || 0,
+            RequestedCount: options.count || this.pageSize,
+            SortCriteria: options.sort || '',
+        });
+        return ContentDirectory._parsePage(result);
+    }
+
+    /**
+     * All children of a container, following TotalMatches across pages.
+     * @returns {Promise<{containers: Object[], items: Object[], totalMatches: number, updateId: number|null}>}
+     */
+    browseAll(objectId, options = {}) {
+        return this._collect(start => this.browse(objectId, { ...options, start }));
+    }
+
+    /**
+     * All search results, following TotalMatches across pages.
+     * @returns {Promise<{containers: Object[], items: Object[], totalMatches: number, updateId: number|null}>}
+     */
+    searchAll(containerId, criteria, options = {}) {
+        return this._collect(start => this.search(containerId, criteria, { ...options, start }));
+    }
+
+    /**
+     * Counter the server bumps whenever anything in it changes.
+     * @returns {Promise<number>}
+     */
+    async getSystemUpdateId() {
+        const result = await this.invoke('GetSystemUpdateID');
+        return Number(result.Id);
+    }
+
+    /**
+     * Properties the server can search on; [] when Search isn't supported.
+     * @returns {Promise<string[]>}
+     */
+    getSearchCapabilities() {
+        return this._getCapabilities('GetSearchCapabilities', 'SearchCaps');
+    }
+
+    /**
+     * Properties the server can sort on.
+     * @returns {Promise<string[]>}
+     */
+    getSortCapabilities() {
+        return this._getCapabilities('GetSortCapabilities', 'SortCaps');
+    }
+
+    /**
+     * Whether Search can filter on a property.
+     * @param {string} property - e.g. 'dc:title'
+     * @returns {Promise<boolean>}
+     */
+    async canSearch(property) {
+        const caps = await this.getSearchCapabilities();
+        return caps.includes('*') || caps.includes(property);
+    }
+
+    async _getCapabilities(action, field) {
+        if (!this._capabilities[action]) {
+            this._capabilities[action] = this.invoke(action)
+                .then(result => Upnp.parseCapabilities(result[field]))
+                .catch(err => {
+                    // Optional actions: servers without them answer 401 Invalid Action
+                    console.warn(`[nasne] UPnP ${action} unavailable:`, err);
+                    return [];
+                });
+        }
+        return this._capabilities[action];
+    }
+
+    async _collect(fetchPage) {
+        const containers = [];
+        const items = [];
+        let first = null;
+        for (let start = 0; ;) {
+            const page = await fetchPage(start);
+            first = first || page;
+            containers.push(...page.containers);
+            items.push(...page.items);
+            start += page.numberReturned;
+            // Servers report 0 for TotalMatches when they don't know it
+            if (page.numberReturned === 0 || (page.totalMatches > 0 && start >= page.totalMatches) ||
+                (page.totalMatches === 0 && page.numberReturned < this.pageSize)) {
+                break;
+            }
+        }
+        return { containers, items, totalMatches: first.totalMatches, updateId: first.updateId };
+    }
+
+    static _parsePage(result) {
+        const didl = result.Result ? Upnp.parseDidl(result.Result) : { containers: [], items: [] };
+        return {
+            ...didl,
+            numberReturned: Number(result.NumberReturned) || didl.containers.length + didl.items.length,
+            totalMatches: Number(result.TotalMatches) || 0,
+            // The browsed container's update ID; servers that don't track it leave it empty
+            updateId: result.UpdateID ? Number(result.UpdateID) : null,
+        };
+    }
+}
+
+// Node (unit tests) has no browser globals to share these through
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Upnp, UpnpError, ContentDirectory };
+}
@@ -0,0 +1,244 @@
+/**
+ * UPnP layer (js/upnp.js) and the ContentDirectory lookup of NasneClient.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadScripts, useMockPorts, startMockUnits } = require('./helpers/browser-env.js');
+
+const { run } = loadScripts(['js/nasne-models.js', 'js/upnp.js', 'js/nasne-api.js']);
+const NasneClient = run('NasneClient');
+const RecordedTitle = run('RecordedTitle');
+const Upnp = run('Upnp');
+const UpnpError = run('UpnpError');
+const ContentDirectory = run('ContentDirectory');
+
+const upnpFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'upnp', name), 'utf8');
+
+/** The DIDL-Lite document inside a Browse response fixture. */
+const didlOf = (name) => Upnp.descendants(Upnp.parseXml(upnpFixture(name)).documentElement, 'Result')[0].textContent;
+
+async function withMock(fn) {
+    const [mock] = await startMockUnits();
+    try {
+        await fn(mock, useMockPorts(new NasneClient(mock.host), mock));
+    } finally {
+        await mock.close();
+    }
+}
+
+test('parseDidl reads containers by id, not parent ID', () => {
+    const { containers, items } = Upnp.parseDidl(didlOf('browse-0.xml'));
+    assert.equal(items.length, 0);
+    assert.equal(containers.length, 1);
+    assert.equal(containers[0].id, '1');
+    assert.equal(containers[0].parentId, '0');
+    assert.equal(containers[0].title, 'ビデオ');
+    assert.equal(containers[0].childCount, 2);
+});
+
+test('parseDidl copes with attribute order, other prefixes, CDATA and numeric entities', () => {
+    const xml = '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" ' +
+        'xmlns:d="http://purl.org/dc/elements/1.1/" xmlns:u="urn:schemas-upnp-org:metadata-1-0/upnp/">' +
+        '<item restricted="1" parentID="1" id="9">' +
+        '<d:title><![CDATA[<映画> Tom & Jerry]]></d:title><u:class>object.item.videoItem</u:class>' +
+        '<res bitrate="2125000" resolution="1920x1080" duration="1:05:30.500" size="8351125000" ' +
+        'protocolInfo="http-get:*:video/mp4:DLNA.ORG_OP=01">http://nasne/c/9?a=1&amp;b=2</res></item>' +
+        '<item id="10" parentID="1"><d:title>&#x661F;&#12398;旅人</d:title></item></DIDL-Lite>';
+    const { items } = Upnp.parseDidl(xml);
+
+    assert.equal(items[0].id, '9');
+    assert.equal(items[0].parentId, '1');
+    assert.equal(items[0].title, '<映画> Tom & Jerry');
+    assert.equal(items[0].upnpClass, 'object.item.videoItem');
+    assert.deepEqual({ ...items[0].resources[0] }, {
+        url: 'http://nasne/c/9?a=1&b=2',
+        protocolInfo: 'http-get:*:video/mp4:DLNA.ORG_OP=01',
+        mimeType: 'video/mp4',
+        size: 8351125000,
+        duration: 3930.5,
+        resolution: '1920x1080',
+        bitrate: 2125000,
+    });
+    assert.equal(items[1].title, '星の旅人');
+    assert.equal(items[1].resources.length, 0);
+});
+
+test('parseDeviceDescription finds services and resolves their control URLs', () => {
+    const description = Upnp.parseDeviceDescription(upnpFixture('description.xml'), 'http://192.168.1.10:58888/description.xml');
+    assert.equal(description.friendlyName, 'nasne');
+    assert.equal(description.udn, 'uuid:4c1a9e2e-2f6a-4d3b-9a1e-0123456789ab');
+    const contentDirectory = description.services.find(s => s.serviceType.includes('ContentDirectory'));
+    assert.equal(contentDirectory.controlUrl, 'http://192.168.1.10:58888/MediaServer_ContentDirectory/control');
+    assert.ok(NasneClient.isNasneDescription(Upnp.parseDeviceDescription(upnpFixture('description.xml'))));
+});
+
+test('parseXml rejects malformed XML with a UpnpError', () => {
+    assert.throws(() => Upnp.parseXml('<root><device></root>'), UpnpError);
+    assert.equal(Upnp.parseDuration('0:30:00'), 1800);
+    assert.equal(Upnp.parseDuration('bogus'), null);
+});
+
+test('getVideoResource skips the thumbnail listed before the video', () => {
+    const { items } = Upnp.parseDidl(didlOf('browse-1.xml'));
+    assert.equal(NasneClient.getVideoResource(items[0]).mimeType, 'video/vnd.dlna.mpeg-tts');
+    assert.equal(NasneClient.getVideoResource(items[1]).url, 'http://192.168.1.10:64220/content/1A2B3D');
+});
+
+test('thumbnails come from album art, else an image resource', () => {
+    const { items } = Upnp.parseDidl(didlOf('browse-1.xml'));
+    assert.equal(NasneClient.getThumbnailUrl(items[1]), 'http://192.168.1.10:64220/thumb/1A2B3D.jpg');
+    assert.equal(NasneClient.getThumbnailUrl({ ...items[1], albumArtUri: 'http://nasne/art.jpg' }), 'http://nasne/art.jpg');
+    assert.equal(NasneClient.getThumbnailUrl(items[0]), null);
+});
+
+test('identify confirms a nasne by its device description, not just its status port', async () => {
+    await withMock(async (mock, client) => {
+        assert.deepEqual({ ...await client.identify() },
+            { ip: mock.host, name: 'nasne', udn: 'uuid:4c1a9e2e-2f6a-4d3b-9a1e-0123456789ab' });
+
+        mock.state.description = mock.state.description.replace(/nasne/g, 'MediaBox');
+        const other = useMockPorts(new NasneClient(mock.host), mock);
+        assert.equal(await other.identify(), null);
+    });
+});
+
+test('a media server that isn\'t found is not searched for again on every lookup', async () => {
+    await withMock(async (mock, client) => {
+        mock.state.description = '<root/>';
+        const ports = await Promise.all([client.discoverDlnaPort(), client.discoverDlnaPort()]);
+        assert.equal(ports.join(), ',');
+        const scanned = mock.state.requests.length;
+        assert.ok(scanned > 0);
+
+        await assert.rejects(client.getDlnaIndex(), UpnpError);
+        assert.equal(await client.findThumbnailUrl({ id: '1A2B3C' }).catch(() => null), null);
+        assert.equal(mock.state.requests.length, scanned);
+    });
+});
+
+/** A DIDL item as Upnp.parseDidl() returns it. */
+function didlItem(id, title, date, duration, channelName = 'ＮＨＫ総合１・東京') {
+    return {
+        id, parentId: '1', title, upnpClass: 'object.item.videoItem', date, channelName,
+        resources: [{ url: `http://nasne/${id}`, protocolInfo: '', mimeType: 'video/mpeg', duration }],
+    };
+}
+
+test('matchDlnaItems matches on start time, duration and channel instead of titles', () => {
+    const recording = {
+        id: 'REC1', title: 'ニュース', channelName: 'NHK総合1・東京',
+        startDateTime: new Date('2024-04-01T19:00:00+09:00'), duration: 1800,
+    };
+    const items = [
+        didlItem('a', 'ニュース', '2024-04-01T12:00:00+09:00', 1800), // same title, other time
+        didlItem('b', '[字]ニュース７', '2024-04-01T19:00:05+09:00', 1795),
+        didlItem('c', 'ニュース', '2024-04-01T19:00:00+09:00', 1800, 'ＮＨＫＥテレ１・東京'),
+        didlItem('d', 'ニュース', '2024-04-01T19:00:00+09:00', 600),
+    ];
+    assert.deepEqual(NasneClient.matchDlnaItems(recording, items).map(i => i.id), ['b']);
+
+    // An object ID equal to the recorded title ID wins outright
+    items.push(didlItem('REC1', '別の番組', '', null));
+    assert.deepEqual(NasneClient.matchDlnaItems(recording, items).map(i => i.id), ['REC1']);
+});
+
+test('an ID segment only picks among items that match on time too', () => {
+    const recording = {
+        id: '12', title: 'ニュース', channelName: 'NHK総合1・東京',
+        startDateTime: new Date('2024-04-01T19:00:00+09:00'), duration: 1800,
+    };
+    const items = [
+        didlItem('video/12', '別の番組', '2024-03-01T10:00:00+09:00', 600), // coincidental ID
+        didlItem('a', 'ニュース', '2024-04-01T19:00:00+09:00', 1800),
+    ];
+    assert.deepEqual(NasneClient.matchDlnaItems(recording, items).map(i => i.id), ['a']);
+
+    items.push(didlItem('video/12/main', 'ニュース', '2024-04-01T19:00:00+09:00', 1800));
+    assert.deepEqual(NasneClient.matchDlnaItems(recording, items).map(i => i.id), ['video/12/main']);
+});
+
+test('matchDlnaItems returns every candidate it cannot tell apart', () => {
+    const recording = { title: 'ニュース', startDateTime: new Date('2024-04-01T19:00:00+09:00'), duration: 1800 };
+    const items = [
+        didlItem('a', 'ニュース', '2024-04-01T19:00:00+09:00', 1800),
+        didlItem('b', 'ニュース', '2024-04-01T19:00:00+09:00', 1800, 'ＢＳ１'),
+        // Without a start time only an exact title counts
+        didlItem('c', 'ニュース', '2024-04-01', null),
+        didlItem('d', 'ニュース７', '', null),
+    ];
+    assert.deepEqual(NasneClient.matchDlnaItems(recording, items).map(i => i.id), ['a', 'b', 'c']);
+});
+
+test('browseAll follows TotalMatches past the 200-item page limit', async () => {
+    await withMock(async (mock, client) => {
+        const template = mock.state.titles[0];
+        for (let i = 0; i < 448; i++) mock.state.titles.push({ ...template, id: `X${i}`, title: `番組${i}` });
+
+        const { items } = await client.browseDlnaContent('1');
+        assert.equal(items.length, 450);
+        assert.equal(new Set(items.map(i => i.id)).size, 450);
+        assert.equal(mock.state.requests.filter(r => r.action === 'Browse').length, 3);
+    });
+});
+
+test('findDlnaItems indexes the server once and refreshes only what changed', async () => {
+    await withMock(async (mock, client) => {
+        const [news, anime] = mock.state.titles.map(raw => RecordedTitle.fromJson(raw));
+        const browses = () => mock.state.requests.filter(r => r.action === 'Browse').length;
+
+        const found = await client.findDlnaItems(news);
+        assert.equal(found.length, 1);
+        assert.equal(NasneClient.getVideoResource(found[0]).url, `http://${mock.host}:${mock.ports.dlna}/content/1A2B3C`);
+        assert.equal(browses(), 3); // root, ビデオ and 放送中
+
+        // Cached: no more requests at all
+        const count = mock.state.requests.length;
+        assert.equal((await client.findDlnaItems(anime)).length, 1);
+        assert.equal(mock.state.requests.length, count);
+
+        // A new recording isn't in the index yet, so it is refreshed
+        mock.state.titles.push({ ...mock.state.titles[0], id: '1A2B3E', startDateTime: '2024-04-02T19:00:00+09:00' });
+        mock.state.upnp.updateId++;
+        const fresh = RecordedTitle.fromJson(mock.state.titles[2]);
+        assert.equal((await client.findDlnaItems({ ...fresh, id: null })).length, 1);
+
+        // Unchanged SystemUpdateID: the refresh is a single request
+        const before = mock.state.requests.length;
+        assert.equal((await client.findDlnaItems({ ...fresh, id: null, startDateTime: new Date(0) })).length, 0);
+        assert.equal(mock.state.requests.length, before + 1);
+    });
+});
+
+test('findDlnaLiveChannel finds the broadcast item of a channel, recordings never match it', async () => {
+    await withMock(async (mock, client) => {
+        const channel = { name: mock.state.channels[0].title, serviceId: mock.state.channels[0].serviceId };
+        const live = await client.findDlnaLiveChannel(channel);
+        assert.equal(live.upnpClass, 'object.item.videoItem.videoBroadcast');
+        assert.equal(NasneClient.getVideoResource(live).url,
+            `http://${mock.host}:${mock.ports.dlna}/live/${channel.serviceId}`);
+        assert.equal(await client.findDlnaLiveChannel({ name: '存在しない局' }), null);
+
+        // A recording titled like a channel still only matches recordings
+        const items = await client.getDlnaIndex();
+        assert.equal(NasneClient.matchDlnaItems({ title: channel.name }, items).length, 0);
+    });
+});
+
+test('SOAP faults surface as UpnpErrors with the UPnP error code', async () => {
+    await withMock(async (mock, client) => {
+        const contentDirectory = await client.getContentDirectory();
+        assert.ok(contentDirectory instanceof ContentDirectory);
+        assert.deepEqual([...await contentDirectory.getSortCapabilities()], ['dc:title', 'dc:date']);
+
+        await assert.rejects(contentDirectory.browse('99'), err => {
+            assert.ok(err instanceof UpnpError);
+            assert.equal(err.errorCode, 701);
+            assert.equal(err.errorDescription, 'No such object');
+            assert.equal(err.status, 500);
+            return true;
+        });
+        await assert.rejects(contentDirectory.invoke('DestroyObject', { ObjectID: '1' }), { errorCode: 401 });
+    });
+});
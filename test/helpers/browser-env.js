@@ -0,0 +1,150 @@
+/**
+ * Loads the app's browser scripts into a Node vm context, the way index.html
+ * loads them into a page.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { FakeDocument } = require('./fake-dom.js');
+const { FakeDOMParser } = require('./fake-xml.js');
+const { startMockNasne } = require('../../tools/mock-nasne.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// The scripts of index.html, in its order
+const APP_SCRIPTS = ['js/nasne-models.js', 'js/upnp.js', 'js/nasne-api.js', 'js/thumbnail-cache.js', 'js/app.js'];
+
+// The scripts rely on fetch and AbortSignal.timeout as the TV's browser has
+// them; without those every request would fail and the mocks never close
+if (typeof fetch !== 'function' || typeof AbortSignal.timeout !== 'function') {
+    throw new Error(`The tests need Node.js 18 or later for fetch, this is Node.js ${process.version}`);
+}
+
+/**
+ * @param {string[]} files - relative to the repo root, in load order
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=true] - drop console.log/warn output from the scripts
+ * @returns {{context: Object, document: FakeDocument, run: Function, dispose: Function}}
+ *   run(code) evaluates code in the scripts' global scope, dispose() clears
+ *   the timers the scripts left pending so the test can end
+ */
+function loadScripts(files, { quiet = true } = {}) {
+    const document = new FakeDocument();
+    const timers = new Set();
+    const context = vm.createContext({
+        console: quiet ? { log() {}, warn() {}, error() {} } : console,
+        fetch,
+        AbortController,
+        AbortSignal,
+        URL,
+        URLSearchParams,
+        setTimeout: (fn, ms, ...args) => {
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                fn(...args);
+            }, ms);
+            timers.add(timer);
+            return timer;
+        },
+        clearTimeout: timer => {
+            timers.delete(timer);
+            clearTimeout(timer);
+        },
+        requestAnimationFrame: fn => setTimeout(fn, 0),
+        localStorage: createStorage(),
+        history: { pushState() {}, back() {} },
+        document,
+        DOMParser: FakeDOMParser,
+    });
+    context.window = context;
+
+    files.forEach(file => {
+        const filename = path.join(ROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    return {
+        context,
+        document,
+        run: code => vm.runInContext(code, context),
+        dispose: () => {
+            timers.forEach(timer => clearTimeout(timer));
+            timers.clear();
+        },
+    };
+}
+
+/**
+ * The whole app, as index.html loads it.
+ * @param {Object} [options] - see loadScripts()
+ */
+function loadApp(options) {
+    return loadScripts(APP_SCRIPTS, options);
+}
+
+function createStorage() {
+    const data = new Map();
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key),
+    };
+}
+
+/**
+ * Point a NasneClient at a running mock (see tools/mock-nasne.js).
+ */
+function useMockPorts(client, mock) {
+    client.ports = {
+        status: mock.ports.status,
+        schedule: mock.ports.schedule,
+        recorded: mock.ports.schedule,
+        chEpg: mock.ports.schedule,
+    };
+    client.dlnaPorts = [mock.ports.dlna];
+    return client;
+}
+
+/**
+ * Start mock nasne units on free ports.
+ * @param {number} [count=1]
+ * @returns {Promise<Object[]>} see startMockNasne()
+ */
+function startMockUnits(count = 1) {
+    return Promise.all(Array.from({ length: count }, () =>
+        startMockNasne({ ports: { status: 0, schedule: 0, dlna: 0 } })));
+}
+
+/**
+ * Register running mocks with the app as connected units 'a', 'b', ...,
+ * the first one active.
+ * @param {Object} app - from loadApp()
+ * @param {Object[]} mocks
+ * @param {string[]} [names] - defaults to 'nasne a', 'nasne b', ...
+ * @returns {Object[]} the units' NasneClients, in the order of mocks
+ */
+function connectMockUnits(app, mocks, names = []) {
+    const state = app.run('state');
+    const NasneClient = app.run('NasneClient');
+    const clients = mocks.map((mock, i) => {
+        const id = String.fromCharCode(97 + i);
+        const client = useMockPorts(new NasneClient(mock.host, { retries: 0 }), mock);
+        state.devices.push({ id, name: names[i] || `nasne ${id}`, ip: mock.host });
+        state.clients.set(id, client);
+        return client;
+    });
+    state.activeDeviceId = 'a';
+    state.nasne = clients[0];
+    return clients;
+}
+
+/**
+ * Undo loadApp() and startMockUnits() at the end of a test.
+ * @returns {Promise<void>}
+ */
+function closeMockUnits(app, mocks) {
+    app.dispose();
+    return Promise.all(mocks.map(mock => mock.close())).then(() => {});
+}
+
+module.exports = { loadScripts, loadApp, useMockPorts, startMockUnits, connectMockUnits, closeMockUnits };
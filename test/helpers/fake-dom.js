@@ -0,0 +1,147 @@
+/**
+ * Minimal DOM stand-in for running app.js headless: just enough of
+ * Element/Document for focus handling and spatial navigation.
+ */
+
+/**
+ * Match a simple selector: compound class/id selectors with :not(.class),
+ * e.g. '.dialog-overlay:not(.hidden)' or '#toast'.
+ */
+function matches(el, selector) {
+    const parts = selector.match(/[.#][\w-]+|:not\(\.[\w-]+\)/g) || [];
+    return parts.every(part => {
+        if (part.startsWith('.')) return el.classList.contains(part.slice(1));
+        if (part.startsWith('#')) return el.id === part.slice(1);
+        return !el.classList.contains(part.slice(6, -1));
+    });
+}
+
+class FakeClassList {
+    constructor(className) {
+        this._set = new Set(className.split(/\s+/).filter(Boolean));
+    }
+
+    contains(name) { return this._set.has(name); }
+    add(...names) { names.forEach(n => this._set.add(n)); }
+    remove(...names) { names.forEach(n => this._set.delete(n)); }
+    toggle(name, force) {
+        const on = force === undefined ? !this._set.has(name) : force;
+        if (on) this._set.add(name); else this._set.delete(name);
+        return on;
+    }
+}
+
+class FakeElement {
+    /**
+     * @param {FakeDocument} document
+     * @param {Object} [options]
+     * @param {string} [options.id]
+     * @param {string} [options.className]
+     * @param {{left: number, top: number, width: number, height: number}} [options.rect]
+     */
+    constructor(document, { id = '', className = '', rect = { left: 0, top: 0, width: 0, height: 0 } } = {}) {
+        this.ownerDocument = document;
+        this.id = id;
+        this.classList = new FakeClassList(className);
+        this.rect = rect;
+        this.children = [];
+        this.parentNode = null;
+        this.dataset = {};
+        this.style = {};
+        this.innerHTML = '';
+        this._textContent = '';
+        this.clicks = 0;
+        this._listeners = {};
+    }
+
+    get textContent() { return this._textContent; }
+
+    /** Like a browser, text set as textContent reads back HTML-escaped from innerHTML. */
+    set textContent(text) {
+        this._textContent = String(text);
+        this.innerHTML = this._textContent.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    get offsetWidth() { return this.rect.width; }
+    get offsetHeight() { return this.rect.height; }
+    get offsetParent() { return this.rect.width > 0 ? this.parentNode : null; }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    getBoundingClientRect() {
+        const { left, top, width, height } = this.rect;
+        return { left, top, width, height, right: left + width, bottom: top + height };
+    }
+
+    focus() { this.ownerDocument.activeElement = this; }
+    blur() { if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = null; }
+    scrollIntoView() {}
+
+    addEventListener(type, fn) {
+        (this._listeners[type] = this._listeners[type] || []).push(fn);
+    }
+
+    removeEventListener(type, fn) {
+        this._listeners[type] = (this._listeners[type] || []).filter(f => f !== fn);
+    }
+
+    click() {
+        this.clicks++;
+        (this._listeners.click || []).forEach(fn => fn({ target: this, stopPropagation() {} }));
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const walk = el => el.children.forEach(child => {
+            if (matches(child, selector)) found.push(child);
+            walk(child);
+        });
+        walk(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+class FakeDocument {
+    constructor() {
+        this.body = new FakeElement(this, { rect: { left: 0, top: 0, width: 1920, height: 1080 } });
+        this.activeElement = null;
+        this._listeners = {};
+    }
+
+    /**
+     * Create an element and attach it to `parent` (the body by default).
+     */
+    add(options, parent = this.body) {
+        return parent.appendChild(new FakeElement(this, options));
+    }
+
+    /**
+     * A detached element, e.g. for escapeHtml().
+     */
+    createElement(tagName) {
+        return Object.assign(new FakeElement(this), { tagName: tagName.toUpperCase() });
+    }
+
+    getElementById(id) {
+        return this.body.querySelector(`#${id}`);
+    }
+
+    querySelectorAll(selector) { return this.body.querySelectorAll(selector); }
+    querySelector(selector) { return this.body.querySelector(selector); }
+
+    addEventListener(type, fn) {
+        (this._listeners[type] = this._listeners[type] || []).push(fn);
+    }
+
+    removeEventListener() {}
+}
+
+module.exports = { FakeDocument, FakeElement };
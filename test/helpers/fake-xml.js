@@ -0,0 +1,134 @@
+/**
+ * Minimal DOMParser stand-in for the UPnP layer: elements, text, CDATA,
+ * entities and namespace prefixes. Malformed input yields a document with a
+ * <parsererror> root, as browsers do.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (whole, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+            return String.fromCodePoint(code);
+        }
+        if (!(name in ENTITIES)) throw new Error(`Unknown entity ${whole}`);
+        return ENTITIES[name];
+    });
+}
+
+class FakeNode {
+    constructor(nodeType) {
+        this.nodeType = nodeType;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get firstChild() { return this.childNodes[0] || null; }
+
+    get nextSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join('');
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.childNodes.push(child);
+        return child;
+    }
+
+    getElementsByTagName(tagName) {
+        const result = [];
+        const walk = (node) => node.childNodes.forEach(child => {
+            if (child.nodeType !== 1) return;
+            if (tagName === '*' || child.tagName === tagName) result.push(child);
+            walk(child);
+        });
+        walk(this);
+        return result;
+    }
+}
+
+class FakeText extends FakeNode {
+    constructor(data) {
+        super(3);
+        this.data = data;
+    }
+
+    get textContent() { return this.data; }
+}
+
+class FakeXmlElement extends FakeNode {
+    constructor(tagName, attributes) {
+        super(1);
+        this.tagName = tagName;
+        this.localName = tagName.includes(':') ? tagName.split(':')[1] : tagName;
+        this._attributes = attributes;
+    }
+
+    getAttribute(name) {
+        return name in this._attributes ? this._attributes[name] : null;
+    }
+}
+
+class FakeXmlDocument extends FakeNode {
+    constructor() {
+        super(9);
+    }
+
+    get documentElement() {
+        return this.childNodes.find(child => child.nodeType === 1) || null;
+    }
+}
+
+function parse(text) {
+    const doc = new FakeXmlDocument();
+    const stack = [doc];
+    const top = () => stack[stack.length - 1];
+    const token = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+    let match;
+    while ((match = token.exec(text)) !== null) {
+        const [, cdata, closing, opening, attrText, selfClosing, chars, stray] = match;
+        if (stray) throw new Error(`Unexpected '<' at ${match.index}`);
+        if (cdata !== undefined) {
+            top().appendChild(new FakeText(cdata));
+        } else if (closing) {
+            const open = stack.pop();
+            if (!open || open.tagName !== closing) throw new Error(`Mismatched </${closing}>`);
+        } else if (opening) {
+            const attributes = {};
+            const attr = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let a;
+            while ((a = attr.exec(attrText)) !== null) {
+                attributes[a[1]] = decodeEntities(a[2] !== undefined ? a[2] : a[3]);
+            }
+            const el = top().appendChild(new FakeXmlElement(opening, attributes));
+            if (!selfClosing) stack.push(el);
+        } else if (chars !== undefined && stack.length > 1) {
+            top().appendChild(new FakeText(decodeEntities(chars)));
+        } else if (chars !== undefined && chars.trim()) {
+            throw new Error('Text outside the root element');
+        }
+    }
+    if (stack.length !== 1 || !doc.documentElement) throw new Error('Unclosed elements');
+    return doc;
+}
+
+class FakeDOMParser {
+    parseFromString(text) {
+        try {
+            return parse(text);
+        } catch (e) {
+            const doc = new FakeXmlDocument();
+            doc.appendChild(new FakeXmlElement('parsererror', {})).appendChild(new FakeText(e.message));
+            return doc;
+        }
+    }
+}
+
+module.exports = { FakeDOMParser };
@@ -0,0 +1,48 @@
+/**
+ * Loading, sorting and filtering the recordings library of app.js.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startMockUnits, connectMockUnits, closeMockUnits } = require('./helpers/browser-env.js');
+
+test('sort and filters cover recordings past the first page', async () => {
+    const mocks = await startMockUnits();
+    const app = loadApp();
+    try {
+        const { run, document } = app;
+        const [mock] = mocks;
+        ['recording-filter-channel', 'recording-filter-genre'].forEach(id => {
+            const stepper = document.add({ id });
+            stepper._stepper = { values: [''], index: 0, format: String };
+            document.add({ className: 'stepper-value' }, stepper);
+        });
+        const state = run('state');
+        connectMockUnits(app, mocks);
+
+        // nasne lists oldest first here, so the newest recording is on the last page
+        const [template] = mock.state.titles;
+        mock.state.titles = Array.from({ length: 120 }, (_, i) => ({
+            ...template,
+            id: `T${i}`,
+            title: `番組${String(i).padStart(3, '0')}`,
+            startDateTime: new Date(Date.UTC(2024, 0, 1) + i * 3600 * 1000).toISOString(),
+        }));
+        mock.state.titles[119] = { ...mock.state.titles[119], title: 'あさのニュース', channelName: 'ＢＳ１' };
+
+        const progress = [];
+        state.recordings = await run('fetchAllRecordings')((loaded, total) => progress.push(`${loaded}/${total}`));
+        assert.equal(state.recordings.length, 120);
+        assert.equal(progress.join(), '50/120,100/120,120/120');
+        assert.equal(mock.state.requests.filter(r => r.pathname === '/recorded/titleListGet').length, 3);
+
+        run('updateRecordingFilters')();
+        assert.ok(document.getElementById('recording-filter-channel')._stepper.values.includes('ＢＳ１'));
+
+        state.library.sort = 'date';
+        assert.equal(run('getVisibleRecordings')()[0].id, 'T119');
+        state.library.sort = 'title';
+        assert.equal(run('getVisibleRecordings')()[0].id, 'T119');
+    } finally {
+        await closeMockUnits(app, mocks);
+    }
+});
@@ -0,0 +1,55 @@
+/**
+ * Live TV tuner selection of app.js against two mock nasne units.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startMockUnits, connectMockUnits, closeMockUnits } = require('./helpers/browser-env.js');
+
+let mocks;
+let app;
+
+test.beforeEach(async () => {
+    mocks = await startMockUnits(2);
+    app = loadApp();
+    app.document.add({ id: 'toast' });
+    connectMockUnits(app, mocks);
+});
+
+test.afterEach(() => closeMockUnits(app, mocks));
+
+const dlnaRequests = (mock) => mock.state.requests.filter(r => r.action).length;
+
+test('the active unit is used when its tuner is free', async () => {
+    const { client, busy } = await app.run('findFreeTuner')();
+    assert.equal(client, app.run('state').clients.get('a'));
+    assert.equal(busy, false);
+});
+
+test('a unit that is recording is skipped for one with a free tuner', async () => {
+    mocks[0].state.recordingId = 42;
+    const channel = { name: mocks[1].state.channels[0].title, serviceId: mocks[1].state.channels[0].serviceId };
+
+    await app.run('watchLive')(channel);
+    assert.equal(dlnaRequests(mocks[0]), 0);
+    assert.ok(dlnaRequests(mocks[1]) > 0);
+    // The mock's streams are DTCP-IP protected, which only the TV's player can play
+    assert.equal(app.document.getElementById('toast').textContent, 'webOS 環境でのみ視聴できます');
+});
+
+test('a clear message when every tuner is recording', async () => {
+    mocks.forEach(mock => { mock.state.recordingId = 42; });
+
+    await app.run('watchLive')({ name: 'ＮＨＫ総合', serviceId: 1024 });
+    assert.match(app.document.getElementById('toast').textContent, /録画中のためチューナーが空いていません/);
+    assert.equal(mocks.reduce((sum, mock) => sum + dlnaRequests(mock), 0), 0);
+});
+
+test('a unit streaming to another client is not taken for free', async () => {
+    mocks[0].state.dtcpipClients = [{ ipAddress: '192.0.2.20' }];
+    const { client } = await app.run('findFreeTuner')();
+    assert.equal(client, app.run('state').clients.get('b'));
+
+    mocks[1].state.recordingId = 42;
+    await app.run('watchLive')({ name: 'ＮＨＫ総合', serviceId: 1024 });
+    assert.match(app.document.getElementById('toast').textContent, /他の機器で視聴中のためチューナーが空いていません/);
+});
@@ -0,0 +1,145 @@
+/**
+ * NasneClient against the mock nasne (tools/mock-nasne.js).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockNasne } = require('../tools/mock-nasne.js');
+const { loadScripts, useMockPorts, startMockUnits } = require('./helpers/browser-env.js');
+
+const { run } = loadScripts(['js/nasne-models.js', 'js/nasne-api.js']);
+const NasneClient = run('NasneClient');
+
+let mock;
+let client;
+
+test.beforeEach(async () => {
+    [mock] = await startMockUnits();
+    client = useMockPorts(new NasneClient(mock.host, { timeout: 2000, retries: 0 }), mock);
+});
+
+test.afterEach(() => mock.close());
+
+test('getChannelList returns the channels of one broadcasting type', async () => {
+    const dttv = await client.getChannelList(2);
+    assert.deepEqual(dttv.map(ch => ch.name), ['ＮＨＫ総合１・東京', 'ＮＨＫＥテレ１東京']);
+    const bs = await client.getChannelList(3);
+    assert.equal(bs.length, 1);
+    assert.equal(bs[0].broadcastingType, 3);
+});
+
+test('getChannelInfo2 returns the program on air', async () => {
+    const [channel] = await client.getChannelList(2);
+    const program = await client.getChannelInfo2(channel);
+    assert.equal(program.title, 'ニュース７');
+    assert.equal(program.channelName, 'ＮＨＫ総合１・東京');
+    assert.equal(program.duration, 1800);
+});
+
+test('getChannelEpg fills programs with their channel', async () => {
+    const [channel] = await client.getChannelList(2);
+    const programs = await client.getChannelEpg(channel, new Date('2024-04-01T00:00:00+09:00'), 86400);
+    assert.equal(programs.length, 2);
+    assert.equal(programs[1].serviceId, channel.serviceId);
+    assert.equal(programs[1].broadcastingType, 2);
+});
+
+test('reservations can be created, listed and deleted', async () => {
+    await client.createReservation({
+        title: 'テスト番組',
+        startDateTime: new Date('2024-04-03T20:00:00+09:00'),
+        duration: 3600,
+        serviceId: 1032,
+        broadcastingType: 2,
+        conditionId: NasneClient.Condition.DAILY,
+        quality: NasneClient.Quality.THREE_X,
+    });
+
+    const created = mock.state.requests.find(r => r.pathname === '/schedule/reservedInfoCreate');
+    assert.equal(created.query.startDateTime, NasneClient.formatDateTime(new Date('2024-04-03T20:00:00+09:00')));
+
+    let reservations = await client.getReservedList();
+    const reservation = reservations.find(r => r.title === 'テスト番組');
+    assert.ok(reservation);
+    assert.equal(reservation.conditionId, 'd');
+    assert.equal(reservation.quality, 101);
+    assert.equal(reservation.channelName, 'ＮＨＫＥテレ１東京');
+    assert.equal(reservation.startDateTime.getTime(), new Date('2024-04-03T20:00:00+09:00').getTime());
+
+    await client.deleteReservation(reservation.id, reservation.type);
+    reservations = await client.getReservedList();
+    assert.equal(reservations.some(r => r.title === 'テスト番組'), false);
+});
+
+test('reservations missing a channel name get it from the channel list', async () => {
+    const reservations = await client.getReservedList();
+    assert.equal(reservations[1].channelName, 'ＢＳ１１イレブン');
+});
+
+test('getConflictList reports overlapping reservations', async () => {
+    const conflicts = await client.getConflictList({
+        startDateTime: '2024-04-02T22:30:00+09:00',
+        duration: 1800,
+        broadcastingType: 2,
+        serviceId: 1032,
+    });
+    assert.deepEqual(conflicts.map(r => r.id), [42]);
+
+    const none = await client.getConflictList({
+        startDateTime: '2024-04-03T09:00:00+09:00',
+        duration: 1800,
+        broadcastingType: 2,
+        serviceId: 1032,
+    });
+    assert.equal(none.length, 0);
+});
+
+test('getRecordedTitleList pages and reports the total', async () => {
+    const page = await client.getRecordedTitleList({ startingIndex: 1, requestedCount: 1 });
+    assert.equal(page.totalMatches, 2);
+    assert.deepEqual(page.items.map(t => t.id), ['1A2B3D']);
+
+    await client.deleteRecordedTitle('1A2B3C');
+    const rest = await client.getRecordedTitleList();
+    assert.equal(rest.totalMatches, 1);
+});
+
+test('setRecordedTitleProtect sets and clears the protect flag', async () => {
+    await client.setRecordedTitleProtect('1A2B3D', true);
+    assert.equal((await client.getRecordedTitleList()).items.find(t => t.id === '1A2B3D').protected, true);
+    await client.setRecordedTitleProtect('1A2B3D', false);
+    assert.equal((await client.getRecordedTitleList()).items.find(t => t.id === '1A2B3D').protected, false);
+});
+
+test('an errorcode response becomes a NasneApiError', async () => {
+    mock.state.failures.set('/status/boxNameGet', 1);
+    await assert.rejects(client.getBoxName(), err => err.name === 'NasneApiError' && err.errorCode === 1);
+    // Only the one request failed
+    assert.equal((await client.getBoxName()).name, 'nasne');
+});
+
+test('an unknown endpoint becomes a NasneHttpError', async () => {
+    await assert.rejects(client._get('/status/noSuchThing'), err => err.name === 'NasneHttpError' && err.status === 404);
+});
+
+test('an unreachable unit becomes a NasneNetworkError', async () => {
+    const port = mock.ports.status;
+    await mock.close();
+    await assert.rejects(client.getBoxName(), err => err.name === 'NasneNetworkError');
+    // Re-open so afterEach has something to close
+    mock = await startMockNasne({ ports: { status: port, schedule: 0, dlna: 0 } });
+});
+
+test('requests are cancelled through withSignal()', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(client.withSignal(controller.signal).getBoxName(), err => err.name === 'NasneAbortError');
+    // The original client isn't affected
+    assert.equal((await client.getBoxName()).name, 'nasne');
+});
+
+test('testConnection reports reachability', async () => {
+    assert.equal(await client.testConnection(), true);
+    const offline = useMockPorts(new NasneClient(mock.host, { retries: 0 }), mock);
+    offline.ports.status = 1;
+    assert.equal(await offline.testConnection(), false);
+});
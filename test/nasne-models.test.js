@@ -0,0 +1,100 @@
+/**
+ * Offline tests of the response models against the fixture payloads. These are
+ * hand-written in the shape the app expects, not captured from a unit.
+ * Run with: node --test test/*.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+const {
+    Channel,
+    Program,
+    Reservation,
+    RecordedTitle,
+    parseNasneDate,
+    broadcastingTypeFromNetworkId,
+    parseGenreId,
+} = require('../js/nasne-models.js');
+
+const fixture = (name) => require(path.join(__dirname, 'fixtures', `${name}.json`));
+
+test('Channel resolves name and broadcasting type', () => {
+    const [nhk, , bs11] = fixture('channelListGet').channel.map(raw => Channel.fromJson(raw, 2));
+    assert.equal(nhk.name, 'ＮＨＫ総合１・東京');
+    assert.equal(nhk.serviceId, 1024);
+    assert.equal(nhk.remoteControlKeyId, 1);
+    assert.equal(nhk.broadcastingType, 2);
+    // The network ID wins over the type the list was requested with
+    assert.equal(bs11.broadcastingType, 3);
+});
+
+test('Program parses dates and durations', () => {
+    const [news, next] = fixture('programListGet').item.map(raw => Program.fromJson(raw));
+    assert.ok(news.startDateTime instanceof Date);
+    assert.equal(news.startDateTime.toISOString(), '2024-04-01T10:00:00.000Z');
+    assert.equal(news.duration, 1800);
+    assert.equal(news.endDateTime.getTime(), next.startDateTime.getTime());
+    assert.equal(news.eventId, 21457);
+    assert.equal(news.genreId, 0);
+    assert.equal(next.genreId, null);
+});
+
+test('Program takes missing channel fields from the channel it airs on', () => {
+    const channel = Channel.fromJson(fixture('channelListGet').channel[2], 3);
+    const program = Program.fromJson(fixture('programListGet').item[1], channel);
+    assert.equal(program.serviceId, 211);
+    assert.equal(program.broadcastingType, 3);
+    assert.equal(program.channelName, 'ＢＳ１１イレブン');
+});
+
+test('Program.fromChannelInfo reads the event on air', () => {
+    const program = Program.fromChannelInfo(fixture('channelInfoGet2'));
+    assert.equal(program.title, 'ニュース７');
+    assert.equal(program.channelName, 'ＮＨＫ総合１・東京');
+    assert.equal(program.descriptionLong, '▽きょうのニュース　▽気象情報');
+    assert.equal(program.broadcastingType, 2);
+    assert.equal(Program.fromChannelInfo({ errorcode: 0, channel: { serviceId: 1024 } }), null);
+    assert.equal(Program.fromChannelInfo({ errorcode: 0 }), null);
+});
+
+test('Reservation normalizes condition, quality and conflicts', () => {
+    const [drama, anime] = fixture('reservedListGet').item.map(raw => Reservation.fromJson(raw));
+    assert.equal(drama.id, 42);
+    assert.equal(drama.conditionId, '1');
+    assert.equal(drama.quality, 100);
+    assert.equal(drama.conflicting, false);
+    assert.equal(drama.channelName, 'ＮＨＫ総合１・東京');
+    assert.equal(anime.conditionId, 'w2');
+    assert.equal(anime.quality, 101);
+    assert.equal(anime.conflicting, true);
+    assert.equal(anime.broadcastingType, 3);
+    // Left for NasneClient to resolve from the channel list
+    assert.equal(anime.channelName, '');
+});
+
+test('RecordedTitle exposes watched and protected state, genre and size', () => {
+    const [news, anime] = fixture('titleListGet').item.map(raw => RecordedTitle.fromJson(raw));
+    assert.equal(news.id, '1A2B3C');
+    assert.equal(news.watched, true);
+    assert.equal(news.protected, true);
+    assert.equal(anime.protected, false);
+    assert.equal(news.genreId, 0);
+    assert.equal(news.size, 3825205248);
+    assert.equal(anime.watched, false);
+    assert.equal(anime.genreId, 7);
+    assert.equal(anime.size, 0);
+    assert.equal(anime.broadcastingType, null);
+});
+
+test('helpers', () => {
+    assert.equal(parseNasneDate(''), null);
+    assert.equal(parseNasneDate('not a date'), null);
+    assert.equal(broadcastingTypeFromNetworkId(32736), 2);
+    assert.equal(broadcastingTypeFromNetworkId(4), 3);
+    assert.equal(broadcastingTypeFromNetworkId(7), 4);
+    assert.equal(broadcastingTypeFromNetworkId(1), null);
+    assert.equal(parseGenreId(5), 5);
+    assert.equal(parseGenreId({ id: 0x31 }), 3);
+    assert.equal(parseGenreId([]), null);
+});
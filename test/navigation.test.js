@@ -0,0 +1,94 @@
+/**
+ * Spatial navigation of the remote's D-pad (handleDpad in app.js).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser-env.js');
+
+const KEY = { LEFT: 37, UP: 38, RIGHT: 39, DOWN: 40 };
+
+/**
+ * A fresh app with a 3x2 grid of focusable tiles:
+ *   a b c
+ *   d e f
+ */
+function setupGrid() {
+    const env = loadApp();
+    const { document } = env;
+    const screen = document.add({ className: 'screen active', rect: { left: 0, top: 0, width: 1920, height: 1080 } });
+    const tiles = {};
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach((name, i) => {
+        tiles[name] = document.add({
+            id: name,
+            className: 'recording-item focusable',
+            rect: { left: 100 + (i % 3) * 300, top: 100 + Math.floor(i / 3) * 200, width: 280, height: 180 },
+        }, screen);
+    });
+    return { ...env, screen, tiles };
+}
+
+test('moves to the neighbour in each direction', () => {
+    const { run, document, tiles } = setupGrid();
+    tiles.e.focus();
+
+    run(`handleDpad(${KEY.LEFT})`);
+    assert.equal(document.activeElement, tiles.d);
+    run(`handleDpad(${KEY.UP})`);
+    assert.equal(document.activeElement, tiles.a);
+    run(`handleDpad(${KEY.RIGHT})`);
+    assert.equal(document.activeElement, tiles.b);
+    run(`handleDpad(${KEY.DOWN})`);
+    assert.equal(document.activeElement, tiles.e);
+});
+
+test('prefers the aligned element over a nearer diagonal one', () => {
+    const { run, document, screen, tiles } = setupGrid();
+    // Slightly right of b and a bit lower than e: closer than e, but off-axis
+    document.add({ id: 'g', className: 'focusable', rect: { left: 560, top: 260, width: 100, height: 60 } }, screen);
+    tiles.b.focus();
+
+    run(`handleDpad(${KEY.DOWN})`);
+    assert.equal(document.activeElement, tiles.e);
+});
+
+test('stays put at the edge', () => {
+    const { run, document, tiles } = setupGrid();
+    tiles.c.focus();
+    run(`handleDpad(${KEY.RIGHT})`);
+    assert.equal(document.activeElement, tiles.c);
+    run(`handleDpad(${KEY.UP})`);
+    assert.equal(document.activeElement, tiles.c);
+});
+
+test('skips elements that are not rendered', () => {
+    const { run, document, tiles } = setupGrid();
+    tiles.b.rect = { left: 0, top: 0, width: 0, height: 0 };
+    tiles.a.focus();
+
+    run(`handleDpad(${KEY.RIGHT})`);
+    assert.equal(document.activeElement, tiles.c);
+});
+
+test('an open dialog keeps focus inside it', () => {
+    const { run, document, tiles } = setupGrid();
+    const overlay = document.add({ className: 'dialog-overlay', rect: { left: 0, top: 0, width: 1920, height: 1080 } });
+    const cancel = document.add({ className: 'btn focusable', rect: { left: 700, top: 500, width: 200, height: 60 } }, overlay);
+    const ok = document.add({ className: 'btn focusable', rect: { left: 950, top: 500, width: 200, height: 60 } }, overlay);
+    cancel.focus();
+
+    run(`handleDpad(${KEY.RIGHT})`);
+    assert.equal(document.activeElement, ok);
+    run(`handleDpad(${KEY.UP})`);
+    assert.equal(document.activeElement, ok, 'tiles behind the dialog must not take focus');
+
+    overlay.classList.add('hidden');
+    tiles.a.focus();
+    run(`handleDpad(${KEY.RIGHT})`);
+    assert.equal(document.activeElement, tiles.b);
+});
+
+test('focuses the first element of the screen when nothing is focused', () => {
+    const { run, document, tiles } = setupGrid();
+    run(`handleDpad(${KEY.DOWN})`);
+    assert.equal(document.activeElement, tiles.a);
+});
@@ -0,0 +1,98 @@
+/**
+ * Resume positions and watched state of recordings (Playback Positions in app.js).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser-env.js');
+
+function setup() {
+    const env = loadApp();
+    const rec = { deviceId: 'a', id: '1A2B3C', title: 'ニュース', duration: 1800, watched: false };
+    return { ...env, rec };
+}
+
+test('positions are remembered per recording and persisted', () => {
+    const { run, context, rec } = setup();
+    run('recordPlaybackPosition')(rec, 600.7);
+
+    assert.equal(run('getResumePosition')(rec), 600);
+    assert.equal(run('getPlaybackProgress')(rec), 600 / 1800);
+    assert.equal(run('getResumePosition')({ ...rec, deviceId: 'b' }), 0);
+    assert.equal(run('isRecordingWatched')(rec), false);
+
+    const saved = JSON.parse(context.localStorage.getItem('nasne_playback_positions'));
+    assert.equal(saved['a:1A2B3C'].position, 600);
+});
+
+test('stopping near the end marks the recording watched and starts over next time', () => {
+    const { run, rec } = setup();
+    run('recordPlaybackPosition')(rec, 1790);
+
+    assert.equal(run('isRecordingWatched')(rec), true);
+    assert.equal(run('getResumePosition')(rec), 0);
+    assert.equal(run('getPlaybackProgress')(rec), 0);
+
+    // Rewatching part of it keeps it watched
+    run('recordPlaybackPosition')(rec, 300);
+    assert.equal(run('isRecordingWatched')(rec), true);
+    assert.equal(run('getResumePosition')(rec), 300);
+});
+
+test('the first seconds are not worth resuming, and nasne\'s played flag counts', () => {
+    const { run, rec } = setup();
+    run('recordPlaybackPosition')(rec, 5);
+    assert.equal(run('getResumePosition')(rec), 0);
+    assert.equal(run('isRecordingWatched')({ ...rec, watched: true }), true);
+});
+
+test('only the most recent positions are kept', () => {
+    const { run, rec } = setup();
+    for (let i = 0; i < 501; i++) run('recordPlaybackPosition')({ ...rec, id: `R${i}` }, 100);
+    const positions = run('getPlaybackPositions')();
+    assert.equal(Object.keys(positions).length, 500);
+});
+
+test('an external playback is estimated from the time spent in the media app', () => {
+    const { run, document, rec } = setup();
+    run('initPlayback')();
+    run('state').playback.external = { recording: rec, startPosition: 60, launchedAt: Date.now() - 120 * 1000 };
+
+    document.hidden = false;
+    document._listeners.visibilitychange.forEach(fn => fn());
+
+    assert.equal(run('state').playback.external, null);
+    assert.ok(Math.abs(run('getResumePosition')(rec) - 180) <= 1);
+});
+
+test('only a media app that took the payload is tracked as an external playback', async () => {
+    const { run, context, document, rec, dispose } = setup();
+    document.add({ id: 'toast' });
+    const launches = [];
+    let accept = false;
+    context.PalmServiceBridge = class {
+        call(uri, params) {
+            const { id, params: launchParams } = JSON.parse(params);
+            launches.push(launchParams ? id : `${id} (bare)`);
+            const ok = accept || !launchParams;
+            Promise.resolve().then(() => this.onservicecallback(JSON.stringify({ returnValue: ok })));
+        }
+    };
+    const item = {
+        id: 'v1', title: rec.title, date: '', resources: [
+            { url: 'http://nasne/v1', protocolInfo: 'http-get:*:application/x-dtcp1:*', mimeType: 'video/mpeg' },
+        ],
+    };
+    run('state').nasne = { ip: '192.0.2.1' };
+    context.getClientFor = () => ({ findDlnaItems: async () => [item] });
+
+    run('state').playback.external = { recording: { ...rec, id: 'OLD' }, startPosition: 0, launchedAt: 0 };
+    await run('launchMediaServerApp')(rec, 60);
+    assert.equal(launches.join(), 'com.webos.app.mediadiscovery,com.webos.app.photovideo,com.webos.app.smartshare,com.webos.app.mediadiscovery (bare)');
+    assert.equal(run('state').playback.external, null);
+
+    accept = true;
+    await run('launchMediaServerApp')(rec, 60);
+    assert.equal(run('state').playback.external.recording, rec);
+    assert.equal(run('state').playback.external.startPosition, 60);
+    dispose();
+});
@@ -0,0 +1,85 @@
+/**
+ * Remote control of the in-app player (Player Controls in app.js).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser-env.js');
+
+const KEY = { LEFT: 37, UP: 38, RIGHT: 39, DOWN: 40, FF: 417, REW: 412 };
+
+/**
+ * A fresh app with the player's elements and a 1-hour video at 10:00.
+ */
+function setupPlayer() {
+    const env = loadApp();
+    const { document } = env;
+    ['toast', 'video-controls', 'video-progress-fill', 'video-current-time', 'video-duration', 'video-rate', 'video-info']
+        .forEach(id => document.add({ id }));
+    document.add({ id: 'video-scrub', className: 'hidden' });
+    const video = document.add({ id: 'video-player' });
+    Object.assign(video, { duration: 3600, currentTime: 600, playbackRate: 1, paused: false, textTracks: [] });
+    env.run('state').isPlayerOpen = true;
+    return { ...env, video };
+}
+
+test('LEFT/RIGHT add up to one seek with the configured intervals', async () => {
+    const { run, document, video, dispose } = setupPlayer();
+
+    run(`handlePlayerInput(${KEY.RIGHT})`);
+    run(`handlePlayerInput(${KEY.RIGHT})`);
+    run(`handlePlayerInput(${KEY.LEFT})`);
+    assert.equal(video.currentTime, 600); // not seeked yet
+    assert.equal(run('state').player.scrubTarget, 650);
+    assert.equal(document.getElementById('video-scrub').textContent, '10:50');
+    assert.equal(document.getElementById('video-scrub').classList.contains('hidden'), false);
+
+    await new Promise(resolve => setTimeout(resolve, 900));
+    assert.equal(video.currentTime, 650);
+    assert.equal(run('state').player.scrubTarget, null);
+    assert.equal(document.getElementById('video-scrub').classList.contains('hidden'), true);
+    dispose();
+});
+
+test('UP/DOWN jump 5 minutes without chapters, and by chapter with them', () => {
+    const { run, video, dispose } = setupPlayer();
+
+    run(`handlePlayerInput(${KEY.UP})`);
+    assert.equal(run('state').player.scrubTarget, 900);
+    run('clearTimeout(state.player.scrubTimer); state.player.scrubTarget = null');
+
+    video.textTracks = [{ kind: 'chapters', mode: 'disabled', cues: [{ startTime: 0 }, { startTime: 420 }, { startTime: 1500 }] }];
+    run(`handlePlayerInput(${KEY.UP})`);
+    assert.equal(run('state').player.scrubTarget, 1500);
+    assert.equal(video.textTracks[0].mode, 'hidden');
+    run(`handlePlayerInput(${KEY.DOWN})`);
+    run(`handlePlayerInput(${KEY.DOWN})`);
+    assert.equal(run('state').player.scrubTarget, 0);
+    dispose();
+});
+
+test('FF/REW step the playback speed between 1.0x and 2.0x, REW rewinds at 1.0x', () => {
+    const { run, document, video, dispose } = setupPlayer();
+
+    for (let i = 0; i < 6; i++) run(`handlePlayerInput(${KEY.FF})`);
+    assert.equal(video.playbackRate, 2);
+    assert.equal(document.getElementById('video-rate').textContent, '2×');
+
+    run(`handlePlayerInput(${KEY.REW})`);
+    assert.equal(video.playbackRate, 1.75);
+    for (let i = 0; i < 3; i++) run(`handlePlayerInput(${KEY.REW})`);
+    assert.equal(video.playbackRate, 1);
+    assert.equal(document.getElementById('video-rate').textContent, '');
+    assert.equal(run('state').player.scrubTarget, null);
+
+    run(`handlePlayerInput(${KEY.REW})`);
+    run(`handlePlayerInput(${KEY.REW})`);
+    assert.equal(video.playbackRate, 1);
+    assert.equal(run('state').player.scrubTarget, 580);
+    dispose();
+});
+
+test('formatTimeSeconds shows hours for long recordings', () => {
+    const { run } = setupPlayer();
+    assert.equal(run('formatTimeSeconds(65)'), '1:05');
+    assert.equal(run('formatTimeSeconds(7265)'), '2:01:05');
+});
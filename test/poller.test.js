@@ -0,0 +1,108 @@
+/**
+ * Background polling and its notifications (Background Polling in app.js).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startMockUnits, connectMockUnits, closeMockUnits } = require('./helpers/browser-env.js');
+
+let mock;
+let app;
+
+test.beforeEach(async () => {
+    [mock] = await startMockUnits();
+    app = loadApp();
+    app.document.add({ id: 'toast' });
+    app.document.add({ id: 'header-rec', className: 'hidden' });
+    connectMockUnits(app, [mock]);
+});
+
+test.afterEach(() => closeMockUnits(app, [mock]));
+
+const inHours = hours => new Date(Date.now() + hours * 3600 * 1000).toISOString();
+
+test('changes between two polls become events, the first poll only looks', async () => {
+    const { run, document } = app;
+    const [drama, anime] = mock.state.reservations;
+    mock.state.reservations.push({ ...drama, id: 50, title: '特番', startDateTime: inHours(5), duration: 3600 });
+
+    await run('pollDevices')();
+    assert.equal(document.getElementById('toast').textContent, '');
+
+    // The drama was recorded; the anime went away without a recording
+    mock.state.reservations = mock.state.reservations.filter(res => res !== drama && res !== anime);
+    mock.state.titles.push({ ...mock.state.titles[0], id: 'NEW', title: drama.title, startDateTime: drama.startDateTime });
+    mock.state.reservations.push({ ...drama, id: 51, title: '映画', startDateTime: inHours(5.5), duration: 3600 });
+    mock.state.recordingId = 50;
+    mock.state.hdd = { ...mock.state.hdd, freeVolumeSize: 5e9, usedVolumeSize: 995e9 };
+
+    const previous = run('state').poller.snapshots.get('a');
+    const next = await run('takePollSnapshot')(run('state').clients.get('a'));
+    const events = run('diffPollSnapshots')(previous, next);
+    assert.equal(events.map(event => event.type).join(),
+        'recording-started,recording-finished,reservation-failed,conflict,conflict,disk-low');
+    assert.equal(events[0].message, '録画開始 「特番」');
+    assert.equal(events[2].message, `録画できませんでした 「${anime.title}」`);
+
+    await run('pollDevices')();
+    const toast = document.getElementById('toast');
+    assert.equal(toast.textContent, '録画開始 「特番」（ほか 5 件）');
+    assert.equal(toast.classList.contains('error'), true);
+    assert.equal(document.getElementById('header-rec').classList.contains('hidden'), false);
+});
+
+test('a reservation on air without the tuner is reported as skipped once', async () => {
+    const { run } = app;
+    const [drama] = mock.state.reservations;
+    mock.state.reservations = [{ ...drama, startDateTime: inHours(-0.5), duration: 3600 }];
+    const client = run('state').clients.get('a');
+
+    const skipped = await run('takePollSnapshot')(client);
+    assert.equal(skipped.skippedIds.has(drama.id), true);
+    const previous = { ...skipped, skippedIds: new Set() };
+    assert.equal(run('diffPollSnapshots')(previous, skipped).map(event => event.type).join(), 'reservation-skipped');
+    assert.equal(run('diffPollSnapshots')(skipped, skipped).length, 0);
+
+    mock.state.recordingId = drama.id;
+    assert.equal((await run('takePollSnapshot')(client)).skippedIds.size, 0);
+});
+
+test('reservations deleted before they air are not failures', async () => {
+    const { run } = app;
+    const [drama] = mock.state.reservations;
+    mock.state.reservations = [{ ...drama, startDateTime: inHours(2) }];
+    const client = run('state').clients.get('a');
+    const previous = await run('takePollSnapshot')(client);
+    mock.state.reservations = [];
+    assert.equal(run('diffPollSnapshots')(previous, await run('takePollSnapshot')(client)).length, 0);
+});
+
+test('polling stops while a recording plays and catches up when it ends', async () => {
+    const { run, context, document } = app;
+    let intervals = 0;
+    context.setInterval = () => ++intervals;
+    context.clearInterval = () => {};
+    const state = run('state');
+
+    state.isPlayerOpen = true;
+    run('startPolling')();
+    assert.equal(state.poller.timer, null);
+    assert.equal(state.poller.paused, true);
+
+    // Another poll due meanwhile does nothing either
+    await run('pollDevices')();
+    assert.equal(mock.state.requests.length, 0);
+
+    mock.state.recordingId = 42;
+    state.isPlayerOpen = false;
+    run('resumePolling')();
+    assert.equal(intervals, 1);
+    while (state.poller.running) await new Promise(resolve => setImmediate(resolve));
+    assert.equal(state.poller.snapshots.size, 1);
+    assert.equal(document.getElementById('header-rec').classList.contains('hidden'), false);
+
+    state.playback.external = { recording: {}, startPosition: 0, launchedAt: Date.now() };
+    run('pausePolling')();
+    assert.equal(state.poller.timer, null);
+    run('resumePolling')();
+    assert.equal(intervals, 1);
+});
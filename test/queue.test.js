@@ -0,0 +1,87 @@
+/**
+ * Playing recordings in a row (Playback Queue in app.js).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser-env.js');
+
+function recording(id, startDateTime, watched = false) {
+    return { deviceId: 'a', id, title: `第${id}話`, startDateTime, duration: 1800, watched };
+}
+
+function setup() {
+    const env = loadApp();
+    const { document } = env;
+    ['toast', 'next-up-message', 'next-up-countdown', 'next-up-list', 'next-up-play', 'next-up-cancel']
+        .forEach(id => document.add({ id }));
+    ['btn-play-queue', 'btn-clear-queue'].forEach(id => document.add({ id, className: 'hidden' }));
+    document.add({ id: 'next-up-overlay', className: 'dialog-overlay hidden' });
+    const episodes = ['2024-04-01', '2024-04-08', '2024-04-15']
+        .map((date, i) => recording(String(i + 1), `${date}T19:00:00+09:00`));
+    return { ...env, episodes };
+}
+
+test('recordings are queued once, and deleting one keeps the queue position', () => {
+    const { run, document, episodes, dispose } = setup();
+    run('enqueueRecordings')(episodes.slice(0, 2));
+    run('enqueueRecordings')(episodes);
+    const queue = run('state').queue;
+    assert.equal(queue.items.map(rec => rec.id).join(), '1,2,3');
+    assert.equal(document.getElementById('btn-play-queue').classList.contains('hidden'), false);
+    assert.equal(document.getElementById('btn-play-queue').textContent, '▶ キュー (3)');
+
+    queue.index = 1;
+    run('removeFromQueue')(episodes[0]);
+    assert.equal(queue.items[queue.index].id, '2');
+    dispose();
+});
+
+test('the unwatched episodes of a series play oldest first', () => {
+    const { run, episodes } = setup();
+    const series = [episodes[2], { ...episodes[1], watched: true }, episodes[0]];
+    assert.equal(run('getUnwatchedEpisodes')(series).map(rec => rec.id).join(), '1,3');
+});
+
+test('coming back from the media app at the end counts down to the next entry', async () => {
+    const { run, document, episodes, dispose } = setup();
+    run('initPlayback')();
+    const state = run('state');
+    Object.assign(state.queue, { items: episodes.slice(0, 2), index: 0, playing: true });
+    state.playback.external = { recording: episodes[0], startPosition: 0, launchedAt: Date.now() - 1800 * 1000 };
+
+    document.hidden = false;
+    document._listeners.visibilitychange.forEach(fn => fn());
+
+    const overlay = document.getElementById('next-up-overlay');
+    assert.equal(overlay.classList.contains('hidden'), false);
+    assert.equal(document.getElementById('next-up-message').textContent, '次は「第2話」');
+    assert.equal(document.getElementById('next-up-countdown').textContent, '10 秒後に再生します');
+    assert.equal(state.queue.index, 1);
+
+    // Playing on needs the TV's media player, which isn't here
+    document.getElementById('next-up-play').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(overlay.classList.contains('hidden'), true);
+    assert.equal(state.queue.playing, true);
+    assert.equal(document.getElementById('toast').textContent, 'webOS 環境でのみ再生できます');
+    dispose();
+});
+
+test('cancelling the countdown stops the queue where it was', async () => {
+    const { run, document, episodes, dispose } = setup();
+    const state = run('state');
+    Object.assign(state.queue, { items: episodes, index: 1, playing: true });
+
+    const advanced = run('advanceQueue')(1, { countdown: true });
+    document.getElementById('next-up-cancel').click();
+    await advanced;
+    assert.equal(state.queue.playing, false);
+    assert.equal(state.queue.index, 2);
+    assert.equal(document.getElementById('btn-play-queue').textContent, '▶ キュー (1)');
+
+    // Past the last entry the queue is done
+    await run('advanceQueue')(1);
+    assert.equal(state.queue.items.length, 0);
+    assert.equal(document.getElementById('btn-play-queue').classList.contains('hidden'), true);
+    dispose();
+});
@@ -0,0 +1,113 @@
+/**
+ * The recording detail screen of app.js and its actions, against the mock nasne.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startMockUnits, connectMockUnits, closeMockUnits } = require('./helpers/browser-env.js');
+
+let mock;
+let app;
+
+const DETAIL_IDS = [
+    'toast', 'recording-detail-title', 'recording-detail-facts', 'recording-detail-description',
+    'recording-detail-mark', 'recording-detail-image', 'btn-detail-resume', 'btn-detail-play',
+    'btn-detail-protect', 'btn-detail-next', 'btn-detail-delete',
+];
+
+test.beforeEach(async () => {
+    [mock] = await startMockUnits();
+    app = loadApp();
+    const { document, run } = app;
+    DETAIL_IDS.forEach(id => document.add({ id }));
+    document.add({ id: 'screen-recordings', className: 'screen active' });
+    document.add({ id: 'screen-recording-detail', className: 'screen' });
+    document.add({ id: 'recording-list' });
+
+    const [client] = connectMockUnits(app, [mock]);
+    const { items } = await client.getRecordedTitleList();
+    items.forEach(rec => { rec.deviceId = 'a'; });
+    run('state').recordings = items;
+});
+
+test.afterEach(() => closeMockUnits(app, [mock]));
+
+test('back from the detail returns to the same place in the list', () => {
+    const { document, run } = app;
+    const [news, anime] = run('state').recordings;
+    const list = document.getElementById('recording-list');
+    const tiles = [news, anime].map(rec => Object.assign(document.add({ className: 'focusable' }, list), { _recording: rec }));
+    const listScreen = document.getElementById('screen-recordings');
+    listScreen.scrollTop = 640;
+
+    const pushed = [];
+    app.context.history.pushState = (data) => pushed.push(data);
+    run('openRecordingDetail')(anime);
+    assert.equal(pushed.length, 1);
+    assert.equal(listScreen.classList.contains('active'), false);
+    assert.equal(document.getElementById('screen-recording-detail').classList.contains('active'), true);
+    assert.equal(document.getElementById('recording-detail-title').textContent, 'アニメ「星の旅人」 #１');
+    assert.match(document.getElementById('recording-detail-facts').innerHTML, /<dt>画質<\/dt><dd>3倍<\/dd>/);
+    assert.equal(document.activeElement, document.getElementById('btn-detail-play'));
+
+    listScreen.scrollTop = 0; // hidden screens lose their scroll position
+    run('onBackPressed')();
+    assert.equal(run('state').library.detail, null);
+    assert.equal(listScreen.classList.contains('active'), true);
+    assert.equal(listScreen.scrollTop, 640);
+    assert.equal(document.activeElement, tiles[1]);
+});
+
+test('resume is offered only where playback stopped midway', () => {
+    const { document, run } = app;
+    const [news] = run('state').recordings;
+    run('openRecordingDetail')(news);
+    assert.equal(document.getElementById('btn-detail-resume').classList.contains('hidden'), true);
+
+    run('recordPlaybackPosition')(news, 600);
+    run('renderRecordingDetail')();
+    const resumeBtn = document.getElementById('btn-detail-resume');
+    assert.equal(resumeBtn.classList.contains('hidden'), false);
+    assert.equal(resumeBtn.textContent, '続きから再生（10:00）');
+});
+
+test('protecting a recording goes to nasne and can be undone', async () => {
+    const { document, run } = app;
+    const [, anime] = run('state').recordings;
+    run('openRecordingDetail')(anime);
+
+    await run('toggleRecordingProtect')(anime);
+    assert.equal(mock.state.titles.find(t => t.id === anime.id).protectFlag, 1);
+    assert.equal(document.getElementById('btn-detail-protect').textContent, '保護を解除');
+    assert.match(document.getElementById('recording-detail-facts').innerHTML, /🔒 保護中/);
+
+    await run('toggleRecordingProtect')(anime);
+    assert.equal(mock.state.titles.find(t => t.id === anime.id).protectFlag, 0);
+    assert.equal(document.getElementById('btn-detail-protect').textContent, '保護');
+});
+
+test('a failed protect change keeps the state and points to the official app', async () => {
+    const { document, run } = app;
+    const [, anime] = run('state').recordings;
+    run('openRecordingDetail')(anime);
+    mock.state.failures.set('/recorded/titleProtectSet', 1);
+
+    await run('toggleRecordingProtect')(anime);
+    assert.equal(anime.protected, false);
+    assert.match(document.getElementById('toast').textContent, /保護の設定に失敗しました。nasne の公式アプリから設定してください/);
+});
+
+test('the next episode is looked up in the EPG of the recording\'s channel', async () => {
+    const { run } = app;
+    const [news] = run('state').recordings;
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    mock.state.programs.push(
+        { eventId: 3, title: 'ニュース７', startDateTime: new Date(tomorrow.getTime() + 3600 * 1000).toISOString(), duration: 1800 },
+        { eventId: 2, title: '[字]ニュース７', startDateTime: tomorrow.toISOString(), duration: 1800 },
+        { eventId: 1, title: 'ニュース７', startDateTime: '2024-04-08T19:00:00+09:00', duration: 1800 });
+
+    const next = await run('findNextEpisode')(news);
+    assert.equal(next.program.eventId, 2);
+    assert.equal(next.channel.serviceId, news.serviceId);
+
+    assert.equal(await run('findNextEpisode')({ ...news, title: '放送予定のない番組' }), null);
+});
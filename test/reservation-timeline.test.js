@@ -0,0 +1,97 @@
+/**
+ * The reservation timeline, REC badges and the header recording indicator of app.js.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startMockUnits, connectMockUnits, closeMockUnits } = require('./helpers/browser-env.js');
+
+const { run } = loadApp();
+const layout = run('layoutReservationTimeline');
+
+const FROM = new Date(2024, 3, 1, 12).getTime(); // 4/1 noon, local time
+const DEVICES = [{ id: 'a', name: 'リビング' }, { id: 'b', name: '寝室' }];
+
+function reservation(deviceId, title, start, minutes) {
+    return { deviceId, title, startDateTime: new Date(start).toISOString(), duration: minutes * 60 };
+}
+
+test('overlapping reservations of one unit go to a conflict lane on that day only', () => {
+    const reservations = [
+        reservation('a', 'ニュース', new Date(2024, 3, 1, 19), 60),
+        reservation('a', 'ドラマ', new Date(2024, 3, 1, 19, 30), 60),
+        reservation('b', '映画', new Date(2024, 3, 1, 19), 120), // other unit, own tuner
+        reservation('a', 'アニメ', new Date(2024, 3, 2, 19, 30), 30),
+    ];
+    const { days } = layout(reservations, DEVICES, FROM);
+    assert.equal(days.length, 7);
+    assert.equal(days[0].start, new Date(2024, 3, 1).getTime());
+
+    const first = days[0].rows;
+    assert.equal(first.map(row => `${row.device.id}${row.lane}${row.conflict ? '!' : ''}`).join(), 'a0,a1!,b0');
+    assert.equal(first[0].bars[0].res.title, 'ニュース');
+    assert.equal(first[1].bars[0].res.title, 'ドラマ');
+    assert.equal(first[2].bars[0].width, 2 / 24 * 100);
+
+    // The next day has no overlap, and every unit keeps its tuner lane even when empty
+    const second = days[1].rows;
+    assert.equal(second.map(row => `${row.device.id}${row.lane}`).join(), 'a0,b0');
+    assert.equal(second[0].bars[0].res.title, 'アニメ');
+    assert.equal(second[1].bars.length, 0);
+});
+
+test('a reservation over midnight is split, ones past the range are counted', () => {
+    const reservations = [
+        reservation('a', '深夜映画', new Date(2024, 3, 1, 23), 120),
+        reservation('a', '来月の特番', new Date(2024, 4, 1, 20), 60),
+    ];
+    const { days, outside } = layout(reservations, DEVICES.slice(0, 1), FROM);
+    const [late] = days[0].rows[0].bars;
+    const [early] = days[1].rows[0].bars;
+    assert.equal(late.left, 23 / 24 * 100);
+    assert.equal(late.width, 1 / 24 * 100);
+    assert.equal(early.left, 0);
+    assert.equal(early.width, 1 / 24 * 100);
+    assert.equal(outside, 1);
+});
+
+test('a reservation is on air between its start and end', () => {
+    const isOnAir = run('isReservationOnAir');
+    const res = reservation('a', 'ニュース', FROM, 30);
+    assert.equal(isOnAir(res, FROM - 1), false);
+    assert.equal(isOnAir(res, FROM + 10 * 60 * 1000), true);
+    assert.equal(isOnAir(res, FROM + 30 * 60 * 1000), false);
+});
+
+test('only the reservation its unit reports on the tuner is recording', () => {
+    const isRecording = run('isReservationRecording');
+    const overlapping = [
+        { ...reservation('a', 'ニュース', FROM, 60), id: 1 },
+        { ...reservation('a', 'ドラマ', FROM, 60), id: 2 },
+        { ...reservation('b', 'ニュース', FROM, 60), id: 1 },
+    ];
+    assert.equal(overlapping.some(res => isRecording(res)), false);
+
+    run('state').poller.snapshots.set('a', { recordingId: 2 });
+    assert.equal(overlapping.map(res => isRecording(res)).join(), 'false,true,false');
+    run('state').poller.snapshots.clear();
+});
+
+test('the header indicator names the units that are recording', async () => {
+    const mocks = await startMockUnits(2);
+    const app = loadApp();
+    try {
+        const indicator = app.document.add({ id: 'header-rec', className: 'hidden' });
+        app.document.add({ id: 'toast' });
+        connectMockUnits(app, mocks, DEVICES.map(device => device.name));
+
+        await app.run('pollDevices')();
+        assert.equal(indicator.classList.contains('hidden'), true);
+
+        mocks.forEach(mock => { mock.state.recordingId = 42; });
+        await app.run('pollDevices')();
+        assert.equal(indicator.classList.contains('hidden'), false);
+        assert.equal(indicator.textContent, '● REC リビング・寝室');
+    } finally {
+        await closeMockUnits(app, mocks);
+    }
+});
@@ -0,0 +1,187 @@
+/**
+ * Reservation flows of app.js against two mock nasne units.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startMockUnits, connectMockUnits, closeMockUnits } = require('./helpers/browser-env.js');
+
+// Overlaps reservation 42 of the fixtures (22:00-22:49)
+const LATE_SHOW = {
+    title: '深夜番組',
+    startDateTime: '2024-04-02T22:30:00+09:00',
+    duration: 1800,
+    serviceId: 1032,
+    broadcastingType: 2,
+    conditionId: '1',
+    quality: 100,
+};
+
+let mocks;
+let app;
+
+// Two connected units 'a' and 'b', with 'a' active
+test.beforeEach(async () => {
+    mocks = await startMockUnits(2);
+    app = loadApp();
+    connectMockUnits(app, mocks);
+});
+
+test.afterEach(() => closeMockUnits(app, mocks));
+
+test('a new reservation goes to the unit without a conflict', async () => {
+    mocks[1].state.reservations = [];
+    const target = await app.run('pickReservationTarget')(LATE_SHOW);
+    assert.equal(target.device.id, 'b');
+    assert.equal(target.conflicts.length, 0);
+});
+
+test('without conflicts the unit with more free space wins', async () => {
+    mocks.forEach(mock => { mock.state.reservations = []; });
+    mocks[0].state.hdd.freeVolumeSize = 1e11;
+    mocks[1].state.hdd.freeVolumeSize = 5e11;
+
+    const target = await app.run('pickReservationTarget')(LATE_SHOW);
+    assert.equal(target.device.id, 'b');
+});
+
+test('an explicitly chosen unit is used even if it conflicts', async () => {
+    const target = await app.run('pickReservationTarget')(LATE_SHOW, 'a');
+    assert.equal(target.device.id, 'a');
+    assert.deepEqual(target.conflicts.map(r => r.id), [42]);
+});
+
+test('editing a reservation replaces it on its own unit', async () => {
+    mocks[1].state.reservations = [{ ...mocks[0].state.reservations[0], id: 7 }];
+    const [original] = (await app.run('state').clients.get('b').getReservedList()).filter(r => r.id === 7);
+    original.deviceId = 'b';
+
+    const params = { ...app.run('reservationToParams')(original), quality: 101 };
+    await app.run('replaceReservation')(original, params);
+
+    const onB = mocks[1].state.reservations.filter(r => r.title === original.title);
+    assert.equal(onB.length, 1);
+    assert.equal(onB[0].quality, 101);
+    assert.notEqual(onB[0].id, 7);
+    assert.equal(mocks[0].state.reservations.length, 2, 'unit a is untouched');
+});
+
+test('a failed edit restores the original reservation', async () => {
+    const [original] = await app.run('state').nasne.getReservedList();
+    original.deviceId = 'a';
+    // The replacement fails, the restore succeeds
+    mocks[0].state.failures.set('/schedule/reservedInfoCreate', 1);
+
+    await assert.rejects(
+        app.run('replaceReservation')(original, { ...app.run('reservationToParams')(original), quality: 101 }),
+        err => err.rolledBack === true);
+
+    const restored = mocks[0].state.reservations.filter(r => r.title === original.title);
+    assert.equal(restored.length, 1);
+    assert.equal(restored[0].quality, 100);
+    assert.equal(new Date(restored[0].startDateTime).getTime(), original.startDateTime.getTime());
+});
+
+test('merged lists tag every item with its unit', async () => {
+    const items = await app.run('fetchFromAllDevices')(client => client.getReservedList());
+    assert.equal(items.length, 4);
+    assert.deepEqual([...new Set(items.map(r => r.deviceId))].sort(), ['a', 'b']);
+});
+
+test('merged lists survive one unit being down', async () => {
+    await mocks[1].close();
+    const items = await app.run('fetchFromAllDevices')(client => client.getReservedList());
+    assert.equal(items.length, 2);
+    [mocks[1]] = await startMockUnits();
+});
+
+test('an auto-reservation that failed is retried with a backoff, then given up', async () => {
+    const { run, document } = app;
+    document.add({ id: 'auto-status' });
+    document.add({ id: 'toast' });
+    const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    mocks[0].state.programs = [{ eventId: 9, title: '深夜アニメ', startDateTime: start.toISOString(), duration: 1800 }];
+    mocks[0].state.channels = mocks[0].state.channels.slice(0, 1);
+    mocks.forEach(mock => mock.state.failures.set('/schedule/reservedInfoCreate', 100));
+    run('saveAutoRules')([{
+        id: 'r1', enabled: true, keyword: 'アニメ', broadcastingTypes: [], weekdays: [], fromHour: 0, toHour: 24, quality: 100,
+    }]);
+
+    const creates = () => mocks[0].state.requests.filter(r => r.pathname === '/schedule/reservedInfoCreate').length;
+    const failedEntries = () => run('loadAutoLog()').filter(e => e.result === 'failed');
+    // Pretend every logged attempt happened this many hours ago
+    const age = hours => {
+        const at = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        run('localStorage').setItem('nasne_auto_log', JSON.stringify(run('loadAutoLog()').map(e => ({ ...e, at }))));
+    };
+
+    await run('runAutoReservation')();
+    assert.equal(failedEntries().length, 1);
+    await run('runAutoReservation')();
+    assert.equal(failedEntries().length, 1, 'not retried within the backoff');
+
+    age(3);
+    await run('runAutoReservation')();
+    assert.equal(failedEntries().length, 2);
+    age(5);
+    await run('runAutoReservation')();
+    assert.equal(failedEntries().length, 3);
+
+    age(100);
+    const before = creates();
+    await run('runAutoReservation')();
+    assert.equal(creates(), before, 'given up after the retry limit');
+});
+
+test('replacing conflicts puts them back when the new reservation fails', async () => {
+    const client = app.run('state').nasne;
+    const conflicts = await client.getReservedList();
+    mocks[0].state.failures.set('/schedule/reservedInfoCreate', 1);
+
+    await assert.rejects(app.run('swapReservations')(client, conflicts, LATE_SHOW), err => err.rolledBack === true);
+    const titles = mocks[0].state.reservations.map(r => r.title);
+    assert.equal(titles.length, 2);
+    conflicts.forEach(res => assert.ok(titles.includes(res.title)));
+});
+
+test('nothing is restored when the first delete already fails', async () => {
+    const client = app.run('state').nasne;
+    const conflicts = await client.getReservedList();
+    mocks[0].state.failures.set('/schedule/reservedInfoDelete', 1);
+
+    await assert.rejects(app.run('swapReservations')(client, conflicts, LATE_SHOW), err => err.rolledBack === undefined);
+    assert.equal(mocks[0].state.reservations.length, 2);
+    assert.equal(mocks[0].state.requests.filter(r => r.pathname === '/schedule/reservedInfoCreate').length, 0);
+});
+
+test('an edit whose delete fails says the original is untouched', async () => {
+    const { run, document } = app;
+    ['toast', 'reservation-list'].forEach(id => document.add({ id }));
+    document.add({ id: 'edit-title' }).value = '';
+    ['edit-pad-start', 'edit-pad-end'].forEach(id => { document.add({ id })._stepper = { values: [0], index: 0 }; });
+    [['edit-condition', '1'], ['edit-quality', '101']].forEach(([id, value]) => {
+        const option = document.add({ className: 'toggle-btn active' }, document.add({ id }));
+        option.dataset.value = value;
+    });
+    const [original] = await run('state').nasne.getReservedList();
+    original.deviceId = 'a';
+    mocks[0].state.failures.set('/schedule/reservedInfoDelete', 1);
+
+    await run('saveReservationEdit')(original);
+    assert.equal(document.getElementById('toast').textContent, '予約の変更に失敗しました（nasne エラーコード 1）');
+    assert.equal(mocks[0].state.reservations.length, 2);
+});
+
+test('a weekday reservation nasne turns down says the repeat may be unsupported', async () => {
+    const { run, document } = app;
+    document.add({ id: 'toast' });
+    mocks[0].state.reservations = [];
+    mocks[0].state.failures.set('/schedule/reservedInfoCreate', 1);
+
+    const program = { title: LATE_SHOW.title, startDateTime: LATE_SHOW.startDateTime, duration: LATE_SHOW.duration };
+    const created = await run('recordProgram')(program, { serviceId: LATE_SHOW.serviceId }, {
+        broadcastingType: 2, conditionId: run('NasneClient').Condition.WEEKDAYS, deviceId: 'a',
+    });
+    assert.equal(created, false);
+    assert.match(document.getElementById('toast').textContent, /月〜金の繰り返しに nasne が対応していない可能性があります/);
+    assert.equal(run('formatCondition')('wd'), '毎週月〜金');
+});
@@ -0,0 +1,50 @@
+/**
+ * Recording thumbnails: the IndexedDB cache's eviction and the lookup in app.js.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startMockUnits, connectMockUnits, closeMockUnits } = require('./helpers/browser-env.js');
+const { ThumbnailCache } = require('../js/thumbnail-cache.js');
+
+test('eviction drops the least recently used thumbnails until within the limits', () => {
+    const entries = [
+        { key: 'a', size: 400, usedAt: 3 },
+        { key: 'b', size: 300, usedAt: 1 },
+        { key: 'c', size: 300, usedAt: 2 },
+    ];
+    assert.deepEqual(ThumbnailCache.planEviction(entries, { maxBytes: 1000, maxEntries: 3 }), []);
+    assert.deepEqual(ThumbnailCache.planEviction(entries, { maxBytes: 500, maxEntries: 3 }), ['b', 'c']);
+    assert.deepEqual(ThumbnailCache.planEviction(entries, { maxBytes: 1000, maxEntries: 2 }), ['b']);
+});
+
+test('without IndexedDB the cache stores nothing and never fails', async () => {
+    const cache = new ThumbnailCache();
+    await cache.put('a:1', new Blob(['jpeg']));
+    assert.equal(await cache.get('a:1'), null);
+});
+
+test('a recording\'s thumbnail is fetched once through DLNA', async () => {
+    const mocks = await startMockUnits();
+    const app = loadApp();
+    try {
+        const { run } = app;
+        const state = run('state');
+        connectMockUnits(app, mocks);
+        const [mock] = mocks;
+        state.thumbnails.cache = new (run('ThumbnailCache'))();
+        const [news] = mock.state.titles.map(raw => ({ ...run('RecordedTitle').fromJson(raw), deviceId: 'a' }));
+        const thumbRequests = () => mock.state.requests.filter(r => r.pathname.startsWith('/thumb/')).length;
+
+        const url = await run('getThumbnailUrl')(news);
+        assert.match(url, /^blob:/);
+        assert.equal(await run('getThumbnailUrl')(news), url);
+        assert.equal(thumbRequests(), 1);
+
+        // No match in the index: no thumbnail, and no index refresh for it either
+        const browses = mock.state.requests.length;
+        assert.equal(await run('getThumbnailUrl')({ ...news, id: 'NONE', startDateTime: new Date(0) }), null);
+        assert.equal(mock.state.requests.length, browses);
+    } finally {
+        await closeMockUnits(app, mocks);
+    }
+});
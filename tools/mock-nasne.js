@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+/**
+ * Mock nasne
+ * Emulates the nasne JSON API (64210 / 64220) and its UPnP ContentDirectory
+ * from the fixtures in test/fixtures, so the app and the test suite can run
+ * without a real unit.
+ *
+ *   node tools/mock-nasne.js [--host 0.0.0.0]
+ *
+ * Then connect the app to the host's IP. From the tests, use startMockNasne().
+ */
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures');
+const DEFAULT_PORTS = { status: 64210, schedule: 64220, dlna: 58888 };
+const CONTROL_PATH = '/MediaServer_ContentDirectory/control';
+const TUNER_COUNT = 1;
+
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+function readUpnpFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, 'upnp', name), 'utf8');
+}
+
+/**
+ * Broadcasting type of a fixture channel (2=地デジ, 3=BS, 4=CS).
+ */
+function channelType(channel) {
+    if (channel.networkId === 4) return 3;
+    if (channel.networkId === 6 || channel.networkId === 7) return 4;
+    return 2;
+}
+
+/**
+ * Fresh, mutable copy of everything the mock serves.
+ */
+function createState() {
+    return {
+        boxName: 'nasne',
+        channels: readFixture('channelListGet').channel,
+        channelInfo: readFixture('channelInfoGet2').channel,
+        programs: readFixture('programListGet').item,
+        reservations: readFixture('reservedListGet').item,
+        titles: readFixture('titleListGet').item,
+        hdd: { id: 0, internalFlag: 1, totalVolumeSize: 1e12, usedVolumeSize: 4e11, freeVolumeSize: 6e11 },
+        nextReservationId: 1000,
+        // ID of the reservation being recorded now, 0 when the tuner is free
+        recordingId: 0,
+        // clients streaming over DTCP-IP, e.g. [{ ipAddress: '192.168.0.20' }]
+        dtcpipClients: [],
+        // ContentDirectory state; set searchCaps to '' to turn Search off and
+        // bump updateId after changing titles, as the recorded list changes
+        upnp: { searchCaps: 'dc:title,upnp:class', sortCaps: 'dc:title,dc:date', updateId: 1 },
+        // served at /description.xml; swap it to play another kind of device
+        description: readUpnpFixture('description.xml'),
+        // pathname -> number of upcoming requests to answer with errorcode 1
+        failures: new Map(),
+        // every request received, for assertions: { method, pathname, query }
+        requests: [],
+    };
+}
+
+function overlaps(a, b) {
+    const aStart = new Date(a.startDateTime).getTime();
+    const bStart = new Date(b.startDateTime).getTime();
+    return aStart < bStart + b.duration * 1000 && bStart < aStart + a.duration * 1000;
+}
+
+/**
+ * JSON endpoints by pathname. Each gets the query as an object and the state.
+ */
+const routes = {
+    '/status/boxStatusListGet': (q, state) => ({ tvTimerInfoStatus: { nowId: state.recordingId } }),
+    '/status/boxNameGet': (q, state) => ({ name: state.boxName }),
+    '/status/softwareVersionGet': () => ({ softwareVersion: '2.80' }),
+    '/status/dtcpipClientListGet': (q, state) => ({ number: state.dtcpipClients.length, client: state.dtcpipClients }),
+    '/status/HDDListGet': (q, state) => ({ number: 1, HDD: [{ id: state.hdd.id, registerFlag: 1 }] }),
+    '/status/HDDInfoGet': (q, state) => ({ HDD: state.hdd }),
+    '/status/channelListGet': (q, state) => ({
+        channel: state.channels.filter(ch => channelType(ch) === Number(q.broadcastingType)),
+    }),
+    '/status/channelInfoGet2': (q, state) => {
+        const channel = state.channels.find(ch => ch.serviceId === Number(q.serviceId));
+        if (!channel) return { channel: {} };
+        // channelInfoGet2 describes the channel and its current event in one object
+        return {
+            channel: {
+                ...state.channelInfo,
+                networkId: channel.networkId,
+                transportStreamId: channel.transportStreamId,
+                serviceId: channel.serviceId,
+                serviceName: channel.title,
+            },
+        };
+    },
+    '/chEpg/programListGet': (q, state) => ({
+        item: state.channels.some(ch => ch.serviceId === Number(q.serviceId)) ? state.programs : [],
+    }),
+    '/schedule/reservedListGet': (q, state) => ({
+        numberOfReturned: state.reservations.length,
+        totalMatches: state.reservations.length,
+        item: state.reservations,
+    }),
+    '/schedule/reservedInfoCreate': (q, state) => {
+        const channel = state.channels.find(ch => ch.serviceId === Number(q.serviceId));
+        const reservation = {
+            id: state.nextReservationId++,
+            type: 0,
+            title: q.title || '',
+            startDateTime: q.startDateTime,
+            duration: Number(q.duration),
+            conditionId: q.conditionId === '1' ? '' : q.conditionId,
+            quality: Number(q.quality),
+            serviceId: Number(q.serviceId),
+            eventId: q.eventId ? Number(q.eventId) : undefined,
+            channelName: channel ? channel.title : '',
+            broadcastingType: Number(q.broadcastingType),
+            conflictId: 0,
+        };
+        state.reservations.push(reservation);
+        return { id: reservation.id };
+    },
+    '/schedule/reservedInfoDelete': (q, state) => {
+        const index = state.reservations.findIndex(r => String(r.id) === q.id);
+        if (index < 0) return { errorcode: 2 };
+        state.reservations.splice(index, 1);
+        return {};
+    },
+    '/schedule/conflictListGet': (q, state) => {
+        const wanted = { startDateTime: q.startDateTime, duration: Number(q.duration) };
+        const clashing = state.reservations.filter(r => overlaps(r, wanted));
+        return { item: clashing.length >= TUNER_COUNT ? clashing : [] };
+    },
+    '/recorded/titleListGet': (q, state) => {
+        const start = Number(q.startingIndex) || 0;
+        const count = Number(q.requestedCount) || state.titles.length;
+        const item = state.titles.slice(start, start + count);
+        return { numberOfReturned: item.length, totalMatches: state.titles.length, item };
+    },
+    '/recorded/titleDelete': (q, state) => {
+        const index = state.titles.findIndex(t => t.id === q.id);
+        if (index < 0) return { errorcode: 2 };
+        state.titles.splice(index, 1);
+        state.upnp.updateId++;
+        return {};
+    },
+    '/recorded/titleProtectSet': (q, state) => {
+        const title = state.titles.find(t => t.id === q.id);
+        if (!title) return { errorcode: 2 };
+        title.protectFlag = Number(q.protectFlag) ? 1 : 0;
+        return {};
+    },
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify(body));
+}
+
+function sendXml(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'text/xml; charset="utf-8"',
+        'Access-Control-Allow-Origin': '*',
+    });
+    res.end(body);
+}
+
+function handleJson(req, res, url, state) {
+    const route = routes[url.pathname];
+    if (!route) {
+        sendJson(res, 404, { errorcode: 404 });
+        return;
+    }
+
+    const remaining = state.failures.get(url.pathname) || 0;
+    if (remaining > 0) {
+        state.failures.set(url.pathname, remaining - 1);
+        sendJson(res, 200, { errorcode: 1 });
+        return;
+    }
+
+    sendJson(res, 200, { errorcode: 0, ...route(Object.fromEntries(url.searchParams), state) });
+}
+
+const SOAP_ENVELOPE = '<?xml version="1.0" encoding="utf-8"?>' +
+    '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+    's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/"><s:Body>';
+const CONTENT_DIRECTORY = 'urn:schemas-upnp-org:service:ContentDirectory:1';
+// Most servers cap a single Browse/Search answer
+const MAX_PAGE = 200;
+// A tiny JPEG, served as every recording's thumbnail
+const THUMBNAIL_JPEG = Buffer.from(
+    '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////' +
+    '////////////////////////2wBDAf//////////////////////////////////////////////////////////////////' +
+    '////////////////////wAARCAABAAEDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAP/xAAUEAEAAAAAAAAAAAAA' +
+    'AAAAAAAA/8QAFAEBAAAAAAAAAAAAAAAAAAAAAP/EABQRAQAAAAAAAAAAAAAAAAAAAAD/2gAMAwEAAhEDEQA/AKAA/9k=',
+    'base64');
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function formatDuration(seconds) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}.000`;
+}
+
+/**
+ * DIDL-Lite for a recorded title: album art and a thumbnail first, then the DTCP-IP stream.
+ */
+function didlItem(title, base) {
+    const size = title.size || 0;
+    const bitrate = title.duration ? Math.round(size / title.duration) : 0;
+    return `<item id="${escapeXml(title.id)}" parentID="1" restricted="1">` +
+        `<dc:title>${escapeXml(title.title)}</dc:title>` +
+        '<upnp:class>object.item.videoItem</upnp:class>' +
+        `<dc:date>${escapeXml(title.startDateTime || '')}</dc:date>` +
+        `<upnp:channelName>${escapeXml(title.channelName || '')}</upnp:channelName>` +
+        `<upnp:albumArtURI>${base}/thumb/${escapeXml(title.id)}.jpg</upnp:albumArtURI>` +
+        `<res protocolInfo="http-get:*:image/jpeg:DLNA.ORG_PN=JPEG_TN">${base}/thumb/${escapeXml(title.id)}.jpg</res>` +
+        `<res size="${size}" duration="${formatDuration(title.duration || 0)}" resolution="1440x1080" ` +
+        `bitrate="${bitrate}" protocolInfo="http-get:*:application/x-dtcp1;CONTENTFORMAT=video/vnd.dlna.mpeg-tts:` +
+        `DLNA.ORG_PN=MPEG_TS_JP_T;DLNA.ORG_OP=01">${base}/content/${escapeXml(title.id)}</res></item>`;
+}
+
+/**
+ * DIDL-Lite for a channel's live stream.
+ */
+function didlBroadcast(channel, base) {
+    return `<item id="live-${channel.serviceId}" parentID="2" restricted="1">` +
+        `<dc:title>${escapeXml(channel.title)}</dc:title>` +
+        '<upnp:class>object.item.videoItem.videoBroadcast</upnp:class>' +
+        `<upnp:channelName>${escapeXml(channel.title)}</upnp:channelName>` +
+        `<upnp:channelNr>${channel.remoteControlKeyId || 0}</upnp:channelNr>` +
+        '<res protocolInfo="http-get:*:application/x-dtcp1;CONTENTFORMAT=video/vnd.dlna.mpeg-tts:' +
+        `DLNA.ORG_PN=MPEG_TS_JP_T;DLNA.ORG_OP=00">${base}/live/${channel.serviceId}</res></item>`;
+}
+
+/**
+ * Children of a ContentDirectory object: '0' holds the ビデオ container,
+ * with one item per recorded title, and 放送中 with one item per channel.
+ * null for unknown objects.
+ */
+function upnpChildren(objectId, state, base) {
+    if (objectId === '0') {
+        return [
+            `<container id="1" parentID="0" restricted="1" childCount="${state.titles.length}">` +
+                '<dc:title>ビデオ</dc:title><upnp:class>object.container</upnp:class></container>',
+            `<container id="2" parentID="0" restricted="1" childCount="${state.channels.length}">` +
+                '<dc:title>放送中</dc:title><upnp:class>object.container</upnp:class></container>',
+        ];
+    }
+    if (objectId === '1') return state.titles.map(title => didlItem(title, base));
+    if (objectId === '2') return state.channels.map(channel => didlBroadcast(channel, base));
+    return null;
+}
+
+function soapFault(res, errorCode, description) {
+    sendXml(res, 500, `${SOAP_ENVELOPE}<s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring>` +
+        '<detail><UPnPError xmlns="urn:schemas-upnp-org:control-1-0">' +
+        `<errorCode>${errorCode}</errorCode><errorDescription>${description}</errorDescription>` +
+        '</UPnPError></detail></s:Fault></s:Body></s:Envelope>');
+}
+
+function soapResponse(res, action, fields) {
+    const body = Object.entries(fields).map(([name, value]) => `<${name}>${escapeXml(value)}</${name}>`).join('');
+    sendXml(res, 200, `${SOAP_ENVELOPE}<u:${action}Response xmlns:u="${CONTENT_DIRECTORY}">${body}` +
+        `</u:${action}Response></s:Body></s:Envelope>`);
+}
+
+/**
+ * Answer one page of results the way Browse and Search do.
+ */
+function sendPage(res, action, entries, args, state) {
+    const start = Number(args.StartingIndex) || 0;
+    const requested = Number(args.RequestedCount) || MAX_PAGE;
+    const page = entries.slice(start, start + Math.min(requested, MAX_PAGE));
+    soapResponse(res, action, {
+        Result: '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">' +
+            `${page.join('')}</DIDL-Lite>`,
+        NumberReturned: page.length,
+        TotalMatches: entries.length,
+        UpdateID: state.upnp.updateId,
+    });
+}
+
+/**
+ * ContentDirectory actions by name. Each gets the SOAP arguments, the state
+ * and the base URL for resources.
+ */
+const upnpActions = {
+    GetSearchCapabilities: (res, args, state) => soapResponse(res, 'GetSearchCapabilities', { SearchCaps: state.upnp.searchCaps }),
+    GetSortCapabilities: (res, args, state) => soapResponse(res, 'GetSortCapabilities', { SortCaps: state.upnp.sortCaps }),
+    GetSystemUpdateID: (res, args, state) => soapResponse(res, 'GetSystemUpdateID', { Id: state.upnp.updateId }),
+    Browse: (res, args, state, base) => {
+        const entries = upnpChildren(args.ObjectID, state, base);
+        if (!entries) return soapFault(res, 701, 'No such object');
+        sendPage(res, 'Browse', entries, args, state);
+    },
+    Search: (res, args, state, base) => {
+        if (!state.upnp.searchCaps) return soapFault(res, 708, 'Unsupported or invalid search criteria');
+        if (!upnpChildren(args.ContainerID, state, base)) return soapFault(res, 710, 'No such container');
+        // Only understands the title condition; everything here is a video item
+        const match = /dc:title contains "((?:[^"\\]|\\.)*)"/.exec(args.SearchCriteria || '');
+        const wanted = match ? match[1].replace(/\\(.)/g, '$1') : '';
+        const entries = state.titles.filter(title => title.title.includes(wanted)).map(title => didlItem(title, base));
+        sendPage(res, 'Search', entries, args, state);
+    },
+};
+
+function handleUpnp(req, res, url, state, base) {
+    if (req.method === 'GET' && url.pathname === '/description.xml') {
+        state.requests.push({ method: req.method, pathname: url.pathname, query: {} });
+        sendXml(res, 200, state.description);
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === CONTROL_PATH) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const action = (/#(\w+)"?$/.exec(req.headers.soapaction || '') || [])[1];
+            const args = {};
+            const argument = /<(\w+)>([^<]*)<\/\1>/g;
+            let match;
+            while ((match = argument.exec(body)) !== null) args[match[1]] = unescapeXml(match[2]);
+            state.requests.push({ method: req.method, pathname: url.pathname, action, query: args });
+
+            const handler = upnpActions[action];
+            if (!handler) {
+                soapFault(res, 401, 'Invalid Action');
+                return;
+            }
+            handler(res, args, state, base);
+        });
+        return;
+    }
+
+    const thumbnail = /^\/thumb\/(.+)\.jpg$/.exec(url.pathname);
+    if (req.method === 'GET' && thumbnail) {
+        state.requests.push({ method: req.method, pathname: url.pathname, query: {} });
+        const found = state.titles.some(title => title.id === decodeURIComponent(thumbnail[1]));
+        res.writeHead(found ? 200 : 404, { 'Content-Type': 'image/jpeg' });
+        res.end(found ? THUMBNAIL_JPEG : undefined);
+        return;
+    }
+
+    state.requests.push({ method: req.method, pathname: url.pathname, query: {} });
+    res.writeHead(404);
+    res.end();
+}
+
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server.address().port));
+    });
+}
+
+/**
+ * Start the mock. Pass port 0 to get free ports (what the tests do).
+ * @param {Object} [options]
+ * @param {string} [options.host='127.0.0.1']
+ * @param {{status?: number, schedule?: number, dlna?: number}} [options.ports]
+ * @returns {Promise<{host: string, ports: Object, state: Object, close: Function}>}
+ */
+async function startMockNasne(options = {}) {
+    const host = options.host || '127.0.0.1';
+    const wanted = { ...DEFAULT_PORTS, ...options.ports };
+    const state = createState();
+
+    const jsonHandler = (req, res) => {
+        const url = new URL(req.url, `http://${host}`);
+        state.requests.push({ method: req.method, pathname: url.pathname, query: Object.fromEntries(url.searchParams) });
+        handleJson(req, res, url, state);
+    };
+    const servers = {
+        status: http.createServer(jsonHandler),
+        schedule: http.createServer(jsonHandler),
+        dlna: http.createServer((req, res) => {
+            handleUpnp(req, res, new URL(req.url, `http://${host}`), state, `http://${host}:${ports.dlna}`);
+        }),
+    };
+
+    const ports = {};
+    for (const [name, server] of Object.entries(servers)) {
+        ports[name] = await listen(server, wanted[name], host);
+    }
+
+    return {
+        host,
+        ports,
+        state,
+        close: () => Promise.all(Object.values(servers).map(server => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        }))),
+    };
+}
+
+module.exports = { startMockNasne, DEFAULT_PORTS };
+
+if (require.main === module) {
+    const hostIndex = process.argv.indexOf('--host');
+    const host = hostIndex > 0 ? process.argv[hostIndex + 1] : '0.0.0.0';
+    startMockNasne({ host }).then(mock => {
+        console.log(`[mock-nasne] Listening on ${host}: ` +
+            `status ${mock.ports.status}, schedule ${mock.ports.schedule}, DLNA ${mock.ports.dlna}`);
+    }, err => {
+        console.error('[mock-nasne] Failed to start:', err.message);
+        process.exit(1);
+    });
+}